@@ -2,6 +2,18 @@ const accessibilityRuleDescriptions = {
   "color-contrast": {
     help: `Ensure that the text color has sufficient contrast against the background color`,
   },
+  "color-contrast-enhanced": {
+    help: `Ensure that the text color has enhanced contrast against the background color: 7:1 for normal text and 4.5:1 for large text (WCAG level AAA).`,
+  },
+  "color-contrast-apca": {
+    help: `Ensure that the text reaches the APCA lightness contrast (Lc) its font size and weight need: for example Lc 90 for 16px body text of weight 400, Lc 75 for 18px or 14px bold text and Lc 60 for 24px text. Increase the contrast, or make the text larger or bolder.`,
+  },
+  "non-text-contrast": {
+    help: `Give the boundaries of form fields, the icons and graphics users need to understand the page, and the focus indicator of every control a contrast of at least 3:1 against the colors next to them. Do not remove the focus outline without replacing it with a visible one.`,
+  },
+  "stylesheet-missing": {
+    help: `Publish every stylesheet the page links to. A missing stylesheet means the colors of the page cannot be checked as they are published.`,
+  },
   "image-alt": {
     help: `Add meaningful \`alt\` attributes to all \`<img>\` tags.`,
   },
@@ -0,0 +1,817 @@
+/**
+ * @module checkAccessibilityRules
+ * @description Runs the accessibility rules described in `accessibilty_mapping.js`, besides color contrast,
+ * against the loaded page: each rule inspects the DOM and reports the elements (or the page) that break it,
+ * as findings carrying the id of the rule.
+ */
+
+const { IGNORE_ATTRIBUTE } = require("./util/suppressions");
+const { captureElement } = require("./util/elementScreenshot");
+
+/**
+ * Rules run by this check, in the order they are reported.
+ *  - `image-alt`: images have an `alt` attribute or another accessible name.
+ *  - `label`: form controls have a label and buttons have descriptive text.
+ *  - `heading-order`: heading levels only increase by one.
+ *  - `landmark-one-main`: the page has exactly one main landmark.
+ *  - `page-has-heading-one`: the page has a level-one heading.
+ *  - `region`: all content is inside landmarks.
+ *  - `aria-hidden-focus`: `aria-hidden="true"` content is not focusable.
+ *  - `aria-roles`: `role` attributes are valid ARIA roles and clickable elements have an interactive role.
+ *  - `tabindex`: elements with a positive `tabindex` are reached in their visual order.
+ */
+const RULE_IDS = [
+  "image-alt",
+  "label",
+  "heading-order",
+  "landmark-one-main",
+  "page-has-heading-one",
+  "region",
+  "aria-hidden-focus",
+  "aria-roles",
+  "tabindex",
+];
+
+/**
+ * Best-practice rules: they go beyond WCAG success criteria, so they only run when asked for.
+ */
+const BEST_PRACTICE_RULE_IDS = [
+  "heading-order",
+  "landmark-one-main",
+  "page-has-heading-one",
+  "region",
+];
+
+/**
+ * Rules run when none are asked for: the rules of WCAG success criteria.
+ */
+const DEFAULT_RULE_IDS = RULE_IDS.filter(
+  (ruleId) => !BEST_PRACTICE_RULE_IDS.includes(ruleId)
+);
+
+/**
+ * Non-abstract roles of WAI-ARIA 1.2. Roles of the DPUB (`doc-*`) and graphics (`graphics-*`) modules are accepted too.
+ */
+const ARIA_ROLES = [
+  "alert",
+  "alertdialog",
+  "application",
+  "article",
+  "banner",
+  "blockquote",
+  "button",
+  "caption",
+  "cell",
+  "checkbox",
+  "code",
+  "columnheader",
+  "combobox",
+  "complementary",
+  "contentinfo",
+  "definition",
+  "deletion",
+  "dialog",
+  "directory",
+  "document",
+  "emphasis",
+  "feed",
+  "figure",
+  "form",
+  "generic",
+  "grid",
+  "gridcell",
+  "group",
+  "heading",
+  "img",
+  "insertion",
+  "link",
+  "list",
+  "listbox",
+  "listitem",
+  "log",
+  "main",
+  "marquee",
+  "math",
+  "meter",
+  "menu",
+  "menubar",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "navigation",
+  "none",
+  "note",
+  "option",
+  "paragraph",
+  "presentation",
+  "progressbar",
+  "radio",
+  "radiogroup",
+  "region",
+  "row",
+  "rowgroup",
+  "rowheader",
+  "scrollbar",
+  "search",
+  "searchbox",
+  "separator",
+  "slider",
+  "spinbutton",
+  "status",
+  "strong",
+  "subscript",
+  "superscript",
+  "switch",
+  "tab",
+  "table",
+  "tablist",
+  "tabpanel",
+  "term",
+  "textbox",
+  "time",
+  "timer",
+  "toolbar",
+  "tooltip",
+  "tree",
+  "treegrid",
+  "treeitem",
+];
+
+/**
+ * Abstract roles of WAI-ARIA 1.2, which authors must not use.
+ */
+const ABSTRACT_ROLES = [
+  "command",
+  "composite",
+  "input",
+  "landmark",
+  "range",
+  "roletype",
+  "section",
+  "sectionhead",
+  "select",
+  "structure",
+  "widget",
+  "window",
+];
+
+/**
+ * Roles that tell assistive technologies an element can be operated.
+ */
+const INTERACTIVE_ROLES = [
+  "button",
+  "checkbox",
+  "combobox",
+  "gridcell",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "scrollbar",
+  "searchbox",
+  "slider",
+  "spinbutton",
+  "switch",
+  "tab",
+  "textbox",
+  "treeitem",
+];
+
+// Outer HTML longer than this is reported as the start tag of the element only
+const MAX_HTML_LENGTH = 300;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Runs the rules in the page and collects what breaks them.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Array<string>} rules - Ids of the rules to run.
+ * @returns {Promise<Array<Object>>} - One entry per rule: `{ ruleId, checked, violations }`, where `checked` is
+ *  the number of elements (or pages) the rule inspected and each violation has a `message` and the details
+ *  of its element (`html`, `path`, `text`, `selector`, `id`, `ignoreJustification`, `rect`), null for the page.
+ */
+async function collectRuleViolations(page, rules) {
+  const evaluateOptions = {
+    rules,
+    ariaRoles: ARIA_ROLES,
+    abstractRoles: ABSTRACT_ROLES,
+    interactiveRoles: INTERACTIVE_ROLES,
+    ignoreAttribute: IGNORE_ATTRIBUTE,
+    maxHtmlLength: MAX_HTML_LENGTH,
+    maxTextLength: MAX_TEXT_LENGTH,
+  };
+  return page.evaluate(
+    ({
+      rules,
+      ariaRoles,
+      abstractRoles,
+      interactiveRoles,
+      ignoreAttribute,
+      maxHtmlLength,
+      maxTextLength,
+    }) => {
+      const LANDMARK_SELECTOR = [
+        "main",
+        "nav",
+        "aside",
+        "header",
+        "footer",
+        "section",
+        "article",
+        "form",
+        ...[
+          "main",
+          "navigation",
+          "complementary",
+          "banner",
+          "contentinfo",
+          "region",
+          "search",
+          "form",
+        ].map((role) => `[role="${role}"]`),
+      ].join(", ");
+      const FOCUSABLE_SELECTOR =
+        'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, audio[controls], video[controls], [contenteditable=""], [contenteditable="true"], [tabindex]';
+      const NATIVE_INTERACTIVE_SELECTOR =
+        "a[href], area[href], button, input, select, textarea, summary, label, option";
+      const CONTENT_SELECTOR =
+        "img, input, select, textarea, button, video, audio, canvas, svg, iframe, object, embed";
+
+      /**
+       * Tells whether an element is not rendered: it or an ancestor has `display: none`, or it is invisible.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {boolean} - True if nobody can see or reach the element.
+       */
+      function isHidden(element) {
+        for (let node = element; node; node = node.parentElement) {
+          if (window.getComputedStyle(node).display === "none") return true;
+        }
+        return ["hidden", "collapse"].includes(
+          window.getComputedStyle(element).visibility
+        );
+      }
+
+      /**
+       * Tells whether assistive technologies skip an element: it is hidden or inside `aria-hidden="true"` content.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {boolean} - True if the element is not in the accessibility tree.
+       */
+      function isHiddenFromAssistiveTech(element) {
+        return (
+          Boolean(element.closest('[aria-hidden="true"]')) || isHidden(element)
+        );
+      }
+
+      /**
+       * Collapses the white space of a text.
+       * @param {string} text - The text.
+       * @returns {string} - The normalized text.
+       */
+      function normalize(text) {
+        return (text || "").replace(/\s+/g, " ").trim();
+      }
+
+      /**
+       * Computes the accessible name an element gets from ARIA, its labels and its title, and optionally from
+       * its content (text and the alternative text of its images).
+       * @param {HTMLElement} element - The DOM element.
+       * @param {boolean} fromContent - Whether the element is named by its content, like buttons.
+       * @returns {string} - The accessible name, empty without one.
+       */
+      function getAccessibleName(element, fromContent) {
+        const labelledBy = (element.getAttribute("aria-labelledby") || "")
+          .split(/\s+/)
+          .map((id) => id && document.getElementById(id))
+          .filter(Boolean)
+          .map((label) => label.textContent)
+          .join(" ");
+        const content = fromContent
+          ? [
+              element.textContent,
+              ...Array.from(element.querySelectorAll("img[alt]")).map(
+                (image) => image.alt
+              ),
+            ].join(" ")
+          : "";
+        const labels = element.labels
+          ? Array.from(element.labels)
+              .map((label) => label.textContent)
+              .join(" ")
+          : "";
+        return normalize(
+          [
+            labelledBy,
+            element.getAttribute("aria-label"),
+            content,
+            labels,
+            element.getAttribute("title"),
+          ].find((name) => normalize(name))
+        );
+      }
+
+      /**
+       * Reads the heading level of an element, from `aria-level` or its tag name.
+       * @param {HTMLElement} element - A heading element.
+       * @returns {number} - The level, 2 for `role="heading"` without `aria-level` as in ARIA.
+       */
+      function getHeadingLevel(element) {
+        const level = parseInt(element.getAttribute("aria-level"), 10);
+        if (level > 0) return level;
+        const match = element.tagName.match(/^H([1-6])$/);
+        return match ? Number(match[1]) : 2;
+      }
+
+      /**
+       * Returns the rendered headings of the page, in document order.
+       * @returns {Array<HTMLElement>} - The headings.
+       */
+      function getHeadings() {
+        return Array.from(
+          document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')
+        ).filter(
+          (element) =>
+            !isHiddenFromAssistiveTech(element) &&
+            (!element.hasAttribute("role") ||
+              element.getAttribute("role") === "heading")
+        );
+      }
+
+      /**
+       * Tells whether an element can receive the keyboard focus with the Tab key.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {boolean} - True if the element is in the tab order.
+       */
+      function isTabbable(element) {
+        const tabindex = parseInt(element.getAttribute("tabindex"), 10);
+        return (
+          element.matches(FOCUSABLE_SELECTOR) &&
+          !element.disabled &&
+          !(tabindex < 0) &&
+          !isHidden(element)
+        );
+      }
+
+      /**
+       * Tells whether an element shows something: text, an image, a control or embedded media.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {boolean} - True if the element has rendered content.
+       */
+      function hasContent(element) {
+        const walker = document.createTreeWalker(
+          element,
+          NodeFilter.SHOW_TEXT,
+          {
+            acceptNode: (node) =>
+              node.textContent.trim() &&
+              !node.parentElement.closest(
+                "script, style, noscript, template"
+              ) &&
+              !isHiddenFromAssistiveTech(node.parentElement)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT,
+          }
+        );
+        return (
+          Boolean(walker.nextNode()) ||
+          Array.from(element.querySelectorAll(CONTENT_SELECTOR)).some(
+            (node) => !isHiddenFromAssistiveTech(node)
+          )
+        );
+      }
+
+      /**
+       * Finds the outermost elements whose content is outside every landmark.
+       * @param {HTMLElement} element - The element to search.
+       * @returns {Array<HTMLElement>} - The elements to move into landmarks.
+       */
+      function findContentOutsideLandmarks(element) {
+        if (
+          isHiddenFromAssistiveTech(element) ||
+          element.matches(LANDMARK_SELECTOR) ||
+          element.matches("script, style, noscript, template")
+        ) {
+          return [];
+        }
+        if (!element.querySelector(LANDMARK_SELECTOR)) {
+          return hasContent(element) ? [element] : [];
+        }
+        // Text of the element itself is outside the landmarks inside it
+        const ownText = Array.from(element.childNodes).some(
+          (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+        );
+        if (ownText) return [element];
+        return Array.from(element.children).flatMap(
+          findContentOutsideLandmarks
+        );
+      }
+
+      /**
+       * Builds a path that finds the element again in later runs: \`nth-of-type\` steps from its closest
+       * ancestor with an id, or from the root.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string} - The element path (e.g. "#page > div:nth-of-type(2) > span:nth-of-type(1)").
+       */
+      function getElementPath(element) {
+        const steps = [];
+        for (let node = element; node; node = node.parentElement) {
+          if (node.id) {
+            steps.unshift(`#${node.id}`);
+            break;
+          }
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(
+                (sibling) => sibling.tagName === node.tagName
+              )
+            : [node];
+          steps.unshift(
+            `${node.tagName.toLowerCase()}:nth-of-type(${
+              siblings.indexOf(node) + 1
+            })`
+          );
+        }
+        return steps.join(" > ");
+      }
+
+      /**
+       * Describes the element of a violation for the report.
+       * @param {HTMLElement|null} element - The DOM element, or null when the page breaks the rule.
+       * @param {string} message - Why the element breaks the rule.
+       * @returns {Object} - The violation.
+       */
+      function toViolation(element, message) {
+        if (!element) {
+          return {
+            message,
+            html: null,
+            path: null,
+            text: "",
+            selector: null,
+            id: null,
+            ignoreJustification: null,
+            rect: null,
+          };
+        }
+        const rect = element.getBoundingClientRect();
+        const html = element.outerHTML.trim();
+        return {
+          message,
+          html:
+            html.length > maxHtmlLength
+              ? element.cloneNode(false).outerHTML
+              : html, // Large containers are reported by their start tag
+          path: getElementPath(element),
+          text: normalize(element.textContent).slice(0, maxTextLength),
+          selector: element.tagName.toLowerCase(),
+          id: element.id || null,
+          ignoreJustification:
+            element
+              .closest(`[${ignoreAttribute}]`)
+              ?.getAttribute(ignoreAttribute) ?? null,
+          rect: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          },
+        };
+      }
+
+      /**
+       * Each rule returns the number of elements it `checked` and its `violations` as `[element, message]`,
+       * with a null element when the page as a whole breaks the rule.
+       */
+      const checks = {
+        "image-alt": () => {
+          const images = Array.from(
+            document.querySelectorAll('img, [role="img"]')
+          ).filter((element) => !isHiddenFromAssistiveTech(element));
+          return {
+            checked: images.length,
+            violations: images
+              .filter(
+                (element) =>
+                  !["presentation", "none"].includes(
+                    element.getAttribute("role")
+                  ) &&
+                  !(element.tagName === "IMG" && element.hasAttribute("alt")) &&
+                  !getAccessibleName(element, false)
+              )
+              .map((element) => [
+                element,
+                element.tagName === "IMG"
+                  ? 'Image has no alt attribute: describe it, or use alt="" if it is decorative'
+                  : 'Element with role="img" has no aria-label or aria-labelledby',
+              ]),
+          };
+        },
+
+        label: () => {
+          const controls = Array.from(
+            document.querySelectorAll(
+              'input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="image"]), select, textarea'
+            )
+          ).filter((element) => !isHiddenFromAssistiveTech(element));
+          const buttons = Array.from(
+            document.querySelectorAll(
+              'button, input[type="button"], input[type="image"], [role="button"]'
+            )
+          ).filter((element) => !isHiddenFromAssistiveTech(element));
+          const hasButtonName = (element) =>
+            getAccessibleName(element, true) ||
+            (element.tagName === "INPUT" &&
+              normalize(
+                element.type === "image" ? element.alt : element.value
+              ));
+          return {
+            checked: controls.length + buttons.length,
+            violations: [
+              ...controls
+                .filter(
+                  (element) =>
+                    !getAccessibleName(element, false) &&
+                    !normalize(element.getAttribute("placeholder"))
+                )
+                .map((element) => [
+                  element,
+                  `Form control <${element.tagName.toLowerCase()}${
+                    element.type ? ` type="${element.type}"` : ""
+                  }> has no label`,
+                ]),
+              ...buttons
+                .filter((element) => !hasButtonName(element))
+                .map((element) => [
+                  element,
+                  "Button has no descriptive text or accessible name",
+                ]),
+            ],
+          };
+        },
+
+        "heading-order": () => {
+          const headings = getHeadings();
+          return {
+            checked: headings.length,
+            violations: headings.flatMap((element, index) => {
+              if (!index) return [];
+              const previous = getHeadingLevel(headings[index - 1]);
+              const level = getHeadingLevel(element);
+              return level > previous + 1
+                ? [
+                    [
+                      element,
+                      `Heading level ${level} follows level ${previous}: level ${
+                        previous + 1
+                      } is skipped`,
+                    ],
+                  ]
+                : [];
+            }),
+          };
+        },
+
+        "landmark-one-main": () => {
+          const mains = Array.from(
+            document.querySelectorAll('main, [role="main"]')
+          ).filter((element) => !isHiddenFromAssistiveTech(element));
+          return {
+            checked: 1,
+            violations: mains.length
+              ? mains
+                  .slice(1)
+                  .map((element) => [
+                    element,
+                    `The page has ${mains.length} main landmarks: keep only one`,
+                  ])
+              : [[null, "The page has no main landmark"]],
+          };
+        },
+
+        "page-has-heading-one": () => ({
+          checked: 1,
+          violations: getHeadings().some(
+            (element) => getHeadingLevel(element) === 1
+          )
+            ? []
+            : [[null, "The page has no level-one heading"]],
+        }),
+
+        region: () => ({
+          checked: 1,
+          violations: (document.body
+            ? findContentOutsideLandmarks(document.body)
+            : []
+          ).map((element) => [
+            element,
+            "Content is not inside a landmark or section",
+          ]),
+        }),
+
+        "aria-hidden-focus": () => {
+          // Nested aria-hidden content is reported with its outermost container
+          const containers = Array.from(
+            document.querySelectorAll('[aria-hidden="true"]')
+          ).filter(
+            (element) =>
+              !element.parentElement ||
+              !element.parentElement.closest('[aria-hidden="true"]')
+          );
+          return {
+            checked: containers.length,
+            violations: containers.flatMap((element) => {
+              const focusable = [
+                element,
+                ...element.querySelectorAll(FOCUSABLE_SELECTOR),
+              ].filter(isTabbable);
+              return focusable.length
+                ? [
+                    [
+                      element,
+                      `aria-hidden content contains ${
+                        focusable.length
+                      } focusable element${
+                        focusable.length === 1 ? "" : "s"
+                      }: ${focusable
+                        .map((node) => `<${node.tagName.toLowerCase()}>`)
+                        .join(", ")}`,
+                    ],
+                  ]
+                : [];
+            }),
+          };
+        },
+
+        "aria-roles": () => {
+          const withRole = Array.from(
+            document.querySelectorAll("[role]")
+          ).filter((element) => !isHidden(element));
+          const clickable = Array.from(
+            document.body ? document.body.querySelectorAll("*") : []
+          ).filter(
+            (element) =>
+              (element.hasAttribute("onclick") ||
+                typeof element.onclick === "function") &&
+              !element.matches(NATIVE_INTERACTIVE_SELECTOR) &&
+              !isHiddenFromAssistiveTech(element)
+          );
+          const isValidRole = (role) =>
+            ariaRoles.includes(role) || /^(doc|graphics)-[a-z]+$/.test(role);
+          return {
+            checked: withRole.length + clickable.length,
+            violations: [
+              ...withRole.flatMap((element) => {
+                const roles = element
+                  .getAttribute("role")
+                  .toLowerCase()
+                  .split(/\s+/)
+                  .filter(Boolean);
+                if (roles.some(isValidRole)) return [];
+                const abstract = roles.find((role) =>
+                  abstractRoles.includes(role)
+                );
+                return [
+                  [
+                    element,
+                    abstract
+                      ? `Role "${abstract}" is abstract and cannot be used on elements`
+                      : `Role "${element.getAttribute(
+                          "role"
+                        )}" is not a valid ARIA role`,
+                  ],
+                ];
+              }),
+              ...clickable
+                .filter(
+                  (element) =>
+                    !(element.getAttribute("role") || "")
+                      .toLowerCase()
+                      .split(/\s+/)
+                      .some((role) => interactiveRoles.includes(role))
+                )
+                .map((element) => [
+                  element,
+                  `Clickable <${element.tagName.toLowerCase()}> has no interactive role, like role="button"`,
+                ]),
+            ],
+          };
+        },
+
+        tabindex: () => {
+          const ordered = Array.from(document.querySelectorAll("[tabindex]"))
+            .filter(
+              (element) =>
+                parseInt(element.getAttribute("tabindex"), 10) > 0 &&
+                !isHidden(element)
+            )
+            .map((element, index) => ({
+              element,
+              index,
+              tabindex: parseInt(element.getAttribute("tabindex"), 10),
+              rect: element.getBoundingClientRect(),
+            }))
+            .sort((a, b) => a.tabindex - b.tabindex || a.index - b.index);
+          // Boxes overlapping vertically by half their height are on the same row, read from left to right
+          const isPlacedBefore = (rect, other) => {
+            const tolerance = Math.min(rect.height, other.height) / 2;
+            return Math.abs(rect.top - other.top) <= tolerance
+              ? rect.left < other.left
+              : rect.top < other.top;
+          };
+          return {
+            checked: ordered.length,
+            violations: ordered.flatMap((current, index) => {
+              const previous = ordered[index - 1];
+              return previous && isPlacedBefore(current.rect, previous.rect)
+                ? [
+                    [
+                      current.element,
+                      `tabindex="${
+                        current.tabindex
+                      }" is reached after tabindex="${
+                        previous.tabindex
+                      }" (${previous.element.tagName.toLowerCase()}) but is placed before it`,
+                    ],
+                  ]
+                : [];
+            }),
+          };
+        },
+      };
+
+      return rules.map((ruleId) => {
+        const { checked, violations } = checks[ruleId]();
+        return {
+          ruleId,
+          checked,
+          violations: violations.map(([element, message]) =>
+            toViolation(element, message)
+          ),
+        };
+      });
+    },
+    evaluateOptions
+  );
+}
+
+/**
+ * Runs the accessibility rules on a loaded page.
+ * @async
+ * @function checkAccessibilityRules
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Array<string>} logs - Array the operation logs are pushed into.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.rules] - Ids of the rules to run, `DEFAULT_RULE_IDS` by default.
+ * @param {boolean} [options.screenshots=false] - Attach a screenshot of each reported element, outlined,
+ *  as a PNG data URL in `Screenshot`.
+ * @returns {Promise<Object>} - A summary of the results:
+ *  - `xlsxArray`: Array of violations with the `Rule_Id` they break, `Status` "fail", the reason and the details
+ *    of their element (`Tag`, `Selector`, `Element_Path`, `Text`). Violations of the whole page have no element.
+ *  - `totalChecked`: Total number of elements and pages the rules inspected.
+ *  - `totalFailed`: Total number of violations.
+ * @throws {Error} - If the page cannot be evaluated, so the page is reported as not checked.
+ */
+async function checkAccessibilityRules(
+  page,
+  logs,
+  { rules = DEFAULT_RULE_IDS, screenshots = false } = {}
+) {
+  if (!rules.length) return { xlsxArray: [], totalChecked: 0, totalFailed: 0 };
+  const data = [];
+  let totalChecked = 0;
+  const title = (await page.url()).split("/");
+  const results = await collectRuleViolations(page, rules);
+
+  for (const { ruleId, checked, violations } of results) {
+    logs.push(`Checking for Page:${title}, Rule: ${ruleId}`);
+    totalChecked += checked;
+    for (const violation of violations) {
+      logs.push(
+        `Error: Page:${title}, Rule: ${ruleId}, Tag ${
+          violation.selector || "page"
+        } with ID: ${violation.id || "No ID"}. Reason: ${violation.message}`
+      );
+      data.push({
+        Tag: violation.html,
+        PageName: title.slice(title.length - 2, title.length).join("/"),
+        Selector: violation.selector,
+        Element_Path: violation.path,
+        Text: violation.text,
+        Inline_Ignore: violation.ignoreJustification,
+        Reason_For_Failing: violation.message,
+        Rule_Id: ruleId,
+        Status: "fail",
+        ...(screenshots &&
+          violation.rect && {
+            Screenshot: await captureElement(page, violation.rect),
+          }),
+      });
+    }
+  }
+
+  return { xlsxArray: data, totalChecked, totalFailed: data.length };
+}
+
+module.exports = checkAccessibilityRules;
+module.exports.RULE_IDS = RULE_IDS;
+module.exports.DEFAULT_RULE_IDS = DEFAULT_RULE_IDS;
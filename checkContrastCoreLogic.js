@@ -1,66 +1,230 @@
-const path = require("path");
-const fs = require("fs");
+const {
+  parseColor,
+  compositeOver,
+  toRgbString,
+  WHITE,
+} = require("./util/colorUtils");
+const { UnresolvableColorError } = require("./util/errors");
+const { getApcaContrast, getApcaRequiredLc } = require("./util/apca");
 
+/**
+ * Rule ids of the text contrast requirement at each level, as used by axe-core:
+ * WCAG 1.4.3 Contrast (Minimum) for AA and 1.4.6 Contrast (Enhanced) for AAA.
+ */
+const CONTRAST_RULE_IDS = {
+  AA: "color-contrast",
+  AAA: "color-contrast-enhanced",
+};
+
+/**
+ * Rule id of text failing the APCA font lookup table, when APCA is the selected algorithm.
+ */
+const APCA_RULE_ID = "color-contrast-apca";
+
+/**
+ * Algorithms text contrast can be scored with: the WCAG 2 ratio, or the APCA lightness contrast (Lc)
+ * of the WCAG 3 draft. Results carry both scores whichever decides the status.
+ */
+const CONTRAST_ALGORITHMS = ["wcag2", "apca"];
+
+/**
+ * Checks the contrast of a text color against a background color.
+ * Both colors may use any CSS color syntax; translucent colors are composited over the background and white.
+ * @param {string} cssTextColor - Text color (e.g. "#fff", "navy", "hsl(0 0% 20%)").
+ * @param {string} cssBackgroundColor - Background color.
+ * @param {boolean} isLargeText - Whether the text is large by WCAG rules.
+ * @param {Object} element - The checked element, used in the failure message.
+ * @param {string} textColor - Text color as reported in the failure message.
+ * @param {string} backgroundColor - Background color as reported in the failure message.
+ * @param {string} [contrastLevel="AA"] - WCAG conformance level ("AA" or "AAA").
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="wcag2"] - Algorithm deciding the status, one of `CONTRAST_ALGORITHMS`.
+ * @param {string} [options.fontSize] - Font size of the text (e.g. "16px"), to look up the Lc it needs.
+ * @param {string} [options.fontWeight] - Font weight of the text (e.g. "400").
+ * @returns {Object} - The contrast result, for passes and failures alike:
+ *  - `ruleId`: "color-contrast" (AA) or "color-contrast-enhanced" (AAA), or "color-contrast-apca" with APCA.
+ *  - `status`: "pass" or "fail".
+ *  - `ratio`: Contrast ratio of the opaque colors, from 1 to 21.
+ *  - `requiredRatio`: Ratio required for this text size and level.
+ *  - `level`: The conformance level checked.
+ *  - `isLargeText`: Whether the text is large.
+ *  - `apcaLc`: APCA lightness contrast, negative for light text on a dark background.
+ *  - `apcaRequiredLc`: Lc the text needs for its size and weight, null without a font or when it is too small
+ *    to be read at any contrast.
+ *  - `foreground` / `background`: The opaque colors compared, as `rgb()` strings.
+ *  - `message`: Description of the result, naming the element and its colors.
+ * @throws {UnresolvableColorError} - If a color cannot be parsed.
+ */
 function checkContrastCoreLogic(
-  hexTextColor,
-  hexBackgroundColor,
+  cssTextColor,
+  cssBackgroundColor,
   isLargeText,
   element,
   textColor,
   backgroundColor,
-  contrastLevel = "AA"
+  contrastLevel = "AA",
+  { algorithm = "wcag2", fontSize, fontWeight } = {}
 ) {
-  // Convert hex colors to RGB and calculate luminance
-  const textLuminance = getLuminance(hexToRgb(hexTextColor));
-  const backgroundLuminance = getLuminance(hexToRgb(hexBackgroundColor));
+  // Parse the colors, flatten any transparency, and calculate luminance
+  const parsedBackground = parseColor(cssBackgroundColor);
+  if (!parsedBackground) {
+    throw new UnresolvableColorError(cssBackgroundColor, "background color");
+  }
+  const parsedText = parseColor(cssTextColor);
+  if (!parsedText) throw new UnresolvableColorError(cssTextColor, "text color");
+
+  const opaqueBackground = compositeOver(parsedBackground, WHITE);
+  const opaqueText = compositeOver(parsedText, opaqueBackground);
 
   // Determine the contrast ratio
-  const contrastRatio =
-    (Math.max(textLuminance, backgroundLuminance) + 0.05) /
-    (Math.min(textLuminance, backgroundLuminance) + 0.05);
+  const contrastRatio = getContrastRatio(opaqueText, opaqueBackground);
 
   // Set the required contrast ratio based on level (AA or AAA)
-  let requiredContrast;
-  if (contrastLevel === "AAA") {
-    requiredContrast = isLargeText ? 4.5 : 7.0; // AAA requires 4.5 for large and 7.0 for normal text
-  } else if (contrastLevel === "AA") {
-    requiredContrast = isLargeText ? 3.0 : 4.5; // AA requires 3.0 for large and 4.5 for normal text
-  } else {
-    throw new Error("Invalid contrast level provided. Use 'AA' or 'AAA'.");
-  }
+  const requiredContrast = getRequiredContrast(isLargeText, contrastLevel);
 
-  // // Log the contrast ratio
-  // // console.log(
-  //   `Contrast ratio for ${hexTextColor} on ${hexBackgroundColor}: ${contrastRatio.toFixed(
-  //     2
-  //   )} (Required: ${requiredContrast})`
-  // );
+  // Score the same colors with APCA, reported side by side with the ratio
+  const apcaLc = getApcaContrast(opaqueText, opaqueBackground);
+  const apcaRequiredLc =
+    fontSize === undefined ? null : getApcaRequiredLc(fontSize, fontWeight);
+  const result = {
+    ratio: contrastRatio,
+    requiredRatio: requiredContrast,
+    level: contrastLevel,
+    isLargeText,
+    apcaLc,
+    apcaRequiredLc,
+    foreground: toRgbString(opaqueText),
+    background: toRgbString(opaqueBackground),
+  };
 
-  // Check if the contrast meets the requirement based on the level
-  if (contrastRatio < requiredContrast) {
-    throw new Error(
-      `=> ${element.selector} Contrast ratio ${contrastRatio.toFixed(
-        2
-      )} is below the required ${requiredContrast}:1 for ${
-        isLargeText ? "large" : "normal"
-      } text (Level ${contrastLevel}).  ${
+  if (algorithm === "apca") {
+    const passed =
+      apcaRequiredLc !== null && Math.abs(apcaLc) >= apcaRequiredLc;
+    return {
+      ruleId: APCA_RULE_ID,
+      status: passed ? "pass" : "fail",
+      ...result,
+      message: `=> ${element.selector} APCA contrast Lc ${apcaLc.toFixed(1)} ${
+        apcaRequiredLc === null
+          ? `cannot make ${fontSize} text of weight ${fontWeight} readable, it is too small`
+          : `is ${
+              passed ? "at least" : "below"
+            } the required Lc ${apcaRequiredLc} for ${fontSize} text of weight ${fontWeight}`
+      } (WCAG 2 ratio ${contrastRatio.toFixed(2)}).  ${
         element.id
-      } textColor: ${textColor} backgroundColor: ${backgroundColor}`
-    );
+      } textColor: ${textColor} backgroundColor: ${backgroundColor}`,
+    };
   }
+
+  // Check if the contrast meets the requirement based on the level
+  const passed = contrastRatio >= requiredContrast;
+  return {
+    ruleId: CONTRAST_RULE_IDS[contrastLevel],
+    status: passed ? "pass" : "fail",
+    ...result,
+    message: `=> ${element.selector} Contrast ratio ${contrastRatio.toFixed(
+      2
+    )} is ${
+      passed ? "at least" : "below"
+    } the required ${requiredContrast}:1 for ${
+      isLargeText ? "large" : "normal"
+    } text (Level ${contrastLevel}).  ${
+      element.id
+    } textColor: ${textColor} backgroundColor: ${backgroundColor}`,
+  };
+}
+
+/**
+ * Builds the failed result of a check whose ratio could not be computed, e.g. for an unresolvable color.
+ * @param {string} message - Why the contrast could not be computed.
+ * @param {boolean} isLargeText - Whether the text is large by WCAG rules.
+ * @param {string} contrastLevel - WCAG conformance level ("AA" or "AAA").
+ * @param {string|null} foreground - Text color as far as it was resolved.
+ * @param {string|null} background - Background color as far as it was resolved.
+ * @param {string} [algorithm="wcag2"] - Algorithm deciding the status, one of `CONTRAST_ALGORITHMS`.
+ * @returns {Object} - A result shaped like the one of `checkContrastCoreLogic`, with null `ratio` and `apcaLc`.
+ */
+function getUnresolvedResult(
+  message,
+  isLargeText,
+  contrastLevel,
+  foreground,
+  background,
+  algorithm = "wcag2"
+) {
+  return {
+    ruleId:
+      algorithm === "apca" ? APCA_RULE_ID : CONTRAST_RULE_IDS[contrastLevel],
+    status: "fail",
+    ratio: null,
+    requiredRatio: getRequiredContrast(isLargeText, contrastLevel),
+    level: contrastLevel,
+    isLargeText,
+    apcaLc: null,
+    apcaRequiredLc: null,
+    foreground,
+    background,
+    message,
+  };
 }
 
-// Helper function to convert hex to RGB
-function hexToRgb(hex) {
-  // Remove the hash at the start if it's there
-  hex = hex.replace(/^#/, "");
+/**
+ * Copies a contrast result into the fields of a report finding.
+ * The ratio is rounded to 2 decimals and the Lc to 1, as shown in the messages; they are null when they could not
+ * be computed.
+ * @param {Object} result - Result of `checkContrastCoreLogic`, or a result of the same shape.
+ * @returns {Object} - `Rule_Id`, `Status`, `Contrast_Ratio`, `Required_Ratio`, `APCA_Lc`, `APCA_Required_Lc`,
+ *  `Level`, `Large_Text`, `Text_Color` and `Background_Color`.
+ */
+function toFindingFields(result) {
+  return {
+    Rule_Id: result.ruleId,
+    Status: result.status,
+    Contrast_Ratio:
+      typeof result.ratio === "number"
+        ? Math.round(result.ratio * 100) / 100
+        : null,
+    Required_Ratio: result.requiredRatio,
+    APCA_Lc:
+      typeof result.apcaLc === "number"
+        ? Math.round(result.apcaLc * 10) / 10
+        : null,
+    APCA_Required_Lc: result.apcaRequiredLc ?? null,
+    Level: result.level,
+    Large_Text: result.isLargeText,
+    Text_Color: result.foreground,
+    Background_Color: result.background,
+  };
+}
 
-  let bigint = parseInt(hex, 16);
-  let r = (bigint >> 16) & 255;
-  let g = (bigint >> 8) & 255;
-  let b = bigint & 255;
+/**
+ * Returns the WCAG contrast ratio required for text.
+ * @param {boolean} isLargeText - Whether the text is large by WCAG rules.
+ * @param {string} [contrastLevel="AA"] - WCAG conformance level ("AA" or "AAA").
+ * @returns {number} - The required ratio (e.g. 4.5).
+ */
+function getRequiredContrast(isLargeText, contrastLevel = "AA") {
+  if (contrastLevel === "AAA") {
+    return isLargeText ? 4.5 : 7.0; // AAA requires 4.5 for large and 7.0 for normal text
+  } else if (contrastLevel === "AA") {
+    return isLargeText ? 3.0 : 4.5; // AA requires 3.0 for large and 4.5 for normal text
+  }
+  throw new Error("Invalid contrast level provided. Use 'AA' or 'AAA'.");
+}
 
-  return [r, g, b];
+/**
+ * Calculates the WCAG contrast ratio between two opaque colors.
+ * @param {Object} first - Color as `{ r, g, b }`.
+ * @param {Object} second - Color as `{ r, g, b }`.
+ * @returns {number} - The ratio, from 1 to 21.
+ */
+function getContrastRatio(first, second) {
+  const firstLuminance = getLuminance([first.r, first.g, first.b]);
+  const secondLuminance = getLuminance([second.r, second.g, second.b]);
+  return (
+    (Math.max(firstLuminance, secondLuminance) + 0.05) /
+    (Math.min(firstLuminance, secondLuminance) + 0.05)
+  );
 }
 
 // Helper function to calculate the relative luminance of an RGB color
@@ -76,3 +240,10 @@ function getLuminance([r, g, b]) {
 }
 
 module.exports = checkContrastCoreLogic;
+module.exports.getContrastRatio = getContrastRatio;
+module.exports.getRequiredContrast = getRequiredContrast;
+module.exports.getUnresolvedResult = getUnresolvedResult;
+module.exports.toFindingFields = toFindingFields;
+module.exports.CONTRAST_RULE_IDS = CONTRAST_RULE_IDS;
+module.exports.APCA_RULE_ID = APCA_RULE_ID;
+module.exports.CONTRAST_ALGORITHMS = CONTRAST_ALGORITHMS;
@@ -0,0 +1,771 @@
+/**
+ * @module checkNonTextContrast
+ * @description Checks the contrast of what identifies user interface components and graphics on a loaded page
+ * (WCAG 1.4.11 Non-text Contrast): the boundaries of form fields, the shapes of meaningful SVG icons and icon font
+ * glyphs against their adjacent colors, and the focus indicator each control shows when it is focused.
+ * The text checks never see these, as they skip elements without text.
+ */
+
+const {
+  getContrastRatio,
+  toFindingFields,
+} = require("./checkContrastCoreLogic");
+const {
+  parseColor,
+  applyOpacity,
+  compositeColorStack,
+  toRgbString,
+} = require("./util/colorUtils");
+const { IGNORE_ATTRIBUTE } = require("./util/suppressions");
+const { captureElement } = require("./util/elementScreenshot");
+const {
+  INTERACTIVE_SELECTOR,
+  enterState,
+  leaveState,
+} = require("./util/interactiveStates");
+
+/**
+ * Rule id of WCAG 1.4.11 Non-text Contrast, required at both AA and AAA.
+ */
+const NON_TEXT_RULE_ID = "non-text-contrast";
+const NON_TEXT_RATIO = 3;
+
+const FOCUS_ATTRIBUTE = "data-contrast-focus";
+const MAX_HTML_LENGTH = 300;
+
+/**
+ * Input types whose field has a boundary users need to see. Other types are buttons, named by their text,
+ * or drawn by the browser.
+ */
+const FIELD_INPUT_TYPES = [
+  "text",
+  "search",
+  "email",
+  "url",
+  "tel",
+  "password",
+  "number",
+  "date",
+  "datetime-local",
+  "month",
+  "week",
+  "time",
+];
+
+/**
+ * Collects the components and graphics of the page with the colors that identify them and the background layers
+ * they are painted on, or, with `focusSelector`, the styles of one element that can change when it is focused.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} [options]
+ * @param {string|null} [options.focusSelector=null] - Selector of the element whose styles are read.
+ * @param {boolean} [options.markFocusable=false] - Whether to mark the controls whose focus indicator is checked.
+ * @returns {Promise<Object>} - `{ components, graphics, focusableCount }`, or the styles of the element.
+ */
+async function collectNonTextElements(
+  page,
+  { focusSelector = null, markFocusable = false } = {}
+) {
+  const collectOptions = {
+    focusSelector,
+    focusAttribute: FOCUS_ATTRIBUTE,
+    interactiveSelector: INTERACTIVE_SELECTOR,
+    markFocusable,
+    ignoreAttribute: IGNORE_ATTRIBUTE,
+    fieldInputTypes: FIELD_INPUT_TYPES,
+    maxHtmlLength: MAX_HTML_LENGTH,
+  };
+  return page.evaluate(
+    ({
+      focusSelector,
+      focusAttribute,
+      interactiveSelector,
+      markFocusable,
+      ignoreAttribute,
+      fieldInputTypes,
+      maxHtmlLength,
+    }) => {
+      /**
+       * Collects the background color and opacity of an element and each of its ancestors.
+       * @param {HTMLElement|null} element - The DOM element.
+       * @returns {Array<Object>} - `{ backgroundColor, opacity }` from the element up to the root.
+       */
+      function getBackgroundLayers(element) {
+        const layers = [];
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          layers.push({
+            backgroundColor: style.backgroundColor,
+            opacity: style.opacity,
+          });
+        }
+        return layers;
+      }
+
+      /**
+       * Collects the layers around an element: its own opacity, which also fades its border and outline,
+       * then the backgrounds of its ancestors.
+       * @param {Element} element - The DOM element.
+       * @returns {Array<Object>} - `{ backgroundColor, opacity }` from the element up to the root.
+       */
+      function getAdjacentLayers(element) {
+        return [
+          {
+            backgroundColor: null,
+            opacity: window.getComputedStyle(element).opacity,
+          },
+          ...getBackgroundLayers(element.parentElement),
+        ];
+      }
+
+      /**
+       * Tells whether a background image or gradient is painted below an element, before an opaque
+       * background color hides whatever is further below.
+       * @param {Element|null} element - The first element of the background stack.
+       * @returns {boolean} - True if the adjacent colors cannot be read from the styles.
+       */
+      function hasImageBackground(element) {
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          if (style.backgroundImage && style.backgroundImage !== "none") {
+            return true;
+          }
+          if (/^rgb\(/.test(style.backgroundColor)) return false; // Opaque background
+        }
+        return false;
+      }
+
+      /**
+       * Tells whether users cannot see an element.
+       * @param {Element} element - The DOM element.
+       * @returns {boolean} - True if the element is not displayed, invisible, transparent or empty.
+       */
+      function isHidden(element) {
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          if (style.display === "none" || parseFloat(style.opacity) === 0) {
+            return true;
+          }
+        }
+        const rect = element.getBoundingClientRect();
+        return (
+          ["hidden", "collapse"].includes(
+            window.getComputedStyle(element).visibility
+          ) ||
+          rect.width < 1 ||
+          rect.height < 1
+        );
+      }
+
+      /**
+       * Tells whether a graphic conveys something: it is exposed to assistive technologies,
+       * or it is the icon of a control, which it identifies.
+       * @param {Element} element - The graphic.
+       * @returns {boolean} - True if the graphic is not decorative.
+       */
+      function isMeaningful(element) {
+        if (element.closest(interactiveSelector)) return true;
+        return !(
+          element.closest('[aria-hidden="true"]') ||
+          ["presentation", "none"].includes(element.getAttribute("role"))
+        );
+      }
+
+      /**
+       * Reads the widest visible side of an element's border.
+       * @param {Element} element - The DOM element.
+       * @returns {Object|null} - `{ color, width }`, or null without a visible border.
+       */
+      function getBorder(element) {
+        const style = window.getComputedStyle(element);
+        return ["Top", "Right", "Bottom", "Left"].reduce((widest, side) => {
+          const width = parseFloat(style[`border${side}Width`]);
+          if (
+            ["none", "hidden"].includes(style[`border${side}Style`]) ||
+            !(width > 0) ||
+            (widest && widest.width >= width)
+          ) {
+            return widest;
+          }
+          return { color: style[`border${side}Color`], width };
+        }, null);
+      }
+
+      /**
+       * Reads the colors an SVG paints: the fill and stroke of its shapes, with the opacity between them and the SVG.
+       * @param {SVGElement} svg - The SVG element.
+       * @returns {Array<Object>} - `{ label, color, opacity }` of each paint.
+       */
+      function getSvgPaints(svg) {
+        const shapes = svg.querySelectorAll(
+          "path, circle, ellipse, line, polyline, polygon, rect, text, use"
+        );
+        return Array.from(shapes).flatMap((shape) => {
+          if (shape.closest("defs, clipPath, mask, pattern, marker, symbol")) {
+            return [];
+          }
+          // Shapes are not tested by their box, which is empty for straight lines
+          const style = window.getComputedStyle(shape);
+          let opacity = 1;
+          for (let node = shape; node && node !== svg; node = node.parentNode) {
+            const nodeStyle = window.getComputedStyle(node);
+            if (nodeStyle.display === "none") return [];
+            opacity *= parseFloat(nodeStyle.opacity);
+          }
+          if (["hidden", "collapse"].includes(style.visibility)) return [];
+          const paints = [];
+          if (style.fill && style.fill !== "none") {
+            paints.push({
+              label: "fill",
+              color: style.fill,
+              opacity: opacity * parseFloat(style.fillOpacity),
+            });
+          }
+          if (
+            style.stroke &&
+            style.stroke !== "none" &&
+            parseFloat(style.strokeWidth) > 0
+          ) {
+            paints.push({
+              label: "stroke",
+              color: style.stroke,
+              opacity: opacity * parseFloat(style.strokeOpacity),
+            });
+          }
+          return paints;
+        });
+      }
+
+      /**
+       * Reads the glyph an icon font draws in a pseudo-element of an empty element.
+       * @param {Element} element - The DOM element.
+       * @returns {Object|null} - `{ label, color, opacity }` of the glyph, or null if no pseudo-element draws one.
+       */
+      function getIconPaint(element) {
+        if (element.children.length || element.textContent.trim()) return null;
+        for (const pseudo of ["::before", "::after"]) {
+          const style = window.getComputedStyle(element, pseudo);
+          if (
+            !["none", "normal", '""', "''"].includes(style.content) &&
+            style.display !== "none"
+          ) {
+            return { label: "icon", color: style.color, opacity: 1 };
+          }
+        }
+        return null;
+      }
+
+      /**
+       * Builds a path that finds the element again in later runs: \`nth-of-type\` steps from its closest
+       * ancestor with an id, or from the root.
+       * @param {Element} element - The DOM element.
+       * @returns {string} - The element path (e.g. "#page > div:nth-of-type(2) > span:nth-of-type(1)").
+       */
+      function getElementPath(element) {
+        const steps = [];
+        for (let node = element; node; node = node.parentElement) {
+          if (node.id) {
+            steps.unshift(`#${node.id}`);
+            break;
+          }
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(
+                (sibling) => sibling.tagName === node.tagName
+              )
+            : [node];
+          steps.unshift(
+            `${node.tagName.toLowerCase()}:nth-of-type(${
+              siblings.indexOf(node) + 1
+            })`
+          );
+        }
+        return steps.join(" > ");
+      }
+
+      /**
+       * Describes an element for the report.
+       * @param {Element} element - The DOM element.
+       * @returns {Object} - Its HTML, path, text, tag name, id, ignore justification and box.
+       */
+      function describe(element) {
+        const clone = element.cloneNode(true);
+        [clone, ...clone.querySelectorAll("*")].forEach((node) =>
+          node.removeAttribute(focusAttribute)
+        );
+        const html = clone.outerHTML.trim();
+        const rect = element.getBoundingClientRect();
+        return {
+          html:
+            html.length > maxHtmlLength
+              ? clone.cloneNode(false).outerHTML
+              : html, // Large graphics are reported by their start tag
+          path: getElementPath(element),
+          text: (element.textContent || "").replace(/\s+/g, " ").trim(),
+          selector: element.tagName.toLowerCase(),
+          id: element.id || null,
+          ignoreJustification:
+            element
+              .closest(`[${ignoreAttribute}]`)
+              ?.getAttribute(ignoreAttribute) ?? null,
+          rect: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          },
+        };
+      }
+
+      // Styles of one element, compared at rest and focused
+      if (focusSelector) {
+        const element = document.querySelector(focusSelector);
+        if (!element) return null;
+        const style = window.getComputedStyle(element);
+        const pseudoStyles = ["::before", "::after"].map((pseudo) => {
+          const pseudoStyle = window.getComputedStyle(element, pseudo);
+          return [
+            "content",
+            "color",
+            "backgroundColor",
+            "borderColor",
+            "outlineStyle",
+            "boxShadow",
+          ]
+            .map((property) => pseudoStyle[property])
+            .join(" ");
+        });
+        return {
+          ...describe(element),
+          outline: {
+            style: style.outlineStyle,
+            width: parseFloat(style.outlineWidth),
+            color: style.outlineColor,
+          },
+          boxShadow: style.boxShadow,
+          border: getBorder(element),
+          backgroundColor: style.backgroundColor,
+          otherStyles: [
+            style.color,
+            style.textDecorationLine,
+            style.fontWeight,
+            ...pseudoStyles,
+          ].join("|"), // Changes that may show focus but have no color to measure
+          adjacentLayers: getAdjacentLayers(element),
+          imageBackground: hasImageBackground(element.parentElement),
+        };
+      }
+
+      const root = document.body || document.documentElement;
+      if (!root) return { components: [], graphics: [], focusableCount: 0 };
+
+      // Form fields, and the checkboxes and radio buttons whose appearance the author replaced
+      const components = Array.from(
+        root.querySelectorAll("input, select, textarea")
+      )
+        .filter((element) => {
+          if (element.matches(":disabled") || isHidden(element)) return false;
+          if (element.tagName !== "INPUT") return true;
+          const type = (element.getAttribute("type") || "text").toLowerCase();
+          if (["checkbox", "radio"].includes(type)) {
+            const style = window.getComputedStyle(element);
+            return (style.appearance || style.webkitAppearance) === "none";
+          }
+          return fieldInputTypes.includes(type);
+        })
+        .map((element) => {
+          const border = getBorder(element);
+          return {
+            ...describe(element),
+            paints: [
+              ...(border
+                ? [{ label: "border", color: border.color, opacity: 1 }]
+                : []),
+              {
+                label: "background",
+                color: window.getComputedStyle(element).backgroundColor,
+                opacity: 1,
+              },
+            ],
+            layers: getAdjacentLayers(element),
+            imageBackground: hasImageBackground(element.parentElement),
+          };
+        });
+
+      // Meaningful SVGs and icon font glyphs
+      const graphics = [];
+      root.querySelectorAll("svg").forEach((svg) => {
+        if (
+          svg.parentElement?.closest("svg") ||
+          isHidden(svg) ||
+          !isMeaningful(svg)
+        ) {
+          return;
+        }
+        const paints = getSvgPaints(svg);
+        if (!paints.length) return;
+        graphics.push({
+          ...describe(svg),
+          paints,
+          layers: getBackgroundLayers(svg),
+          imageBackground: hasImageBackground(svg),
+        });
+      });
+      root.querySelectorAll("*").forEach((element) => {
+        if (element.closest("svg")) return;
+        const paint = getIconPaint(element);
+        if (!paint || isHidden(element) || !isMeaningful(element)) return;
+        graphics.push({
+          ...describe(element),
+          paints: [paint],
+          layers: getBackgroundLayers(element),
+          imageBackground: hasImageBackground(element),
+        });
+      });
+
+      // Mark the visible, enabled controls whose focus indicator is checked
+      let focusableCount = 0;
+      if (markFocusable) {
+        root.querySelectorAll(interactiveSelector).forEach((element) => {
+          if (
+            !element.matches(':disabled, [aria-disabled="true"]') &&
+            !isHidden(element)
+          ) {
+            element.setAttribute(focusAttribute, focusableCount);
+            focusableCount += 1;
+          }
+        });
+      }
+      return { components, graphics, focusableCount };
+    },
+    collectOptions
+  );
+}
+
+/**
+ * Measures the contrast of one color against the adjacent color, both composited through the background layers.
+ * @param {Object} candidate
+ * @param {string} candidate.color - The color that identifies the component or graphic.
+ * @param {number} [candidate.opacity=1] - Opacity of the color itself.
+ * @param {Array<Object>} candidate.layers - `{ backgroundColor, opacity }` the color is painted on.
+ * @param {string} [candidate.against] - Color compared to instead of the background, e.g. a border at rest,
+ *  painted on the same layers.
+ * @returns {Object|null} - `{ ratio, foreground, background }` with opaque `rgb()` colors, or null if
+ *  a color cannot be resolved.
+ */
+function measureCandidate({ color, opacity = 1, layers, against }) {
+  const parsed = parseColor(color);
+  if (!parsed) return null;
+  try {
+    const composited = compositeColorStack({
+      textColor: toRgbString(applyOpacity(parsed, opacity)),
+      layers,
+    });
+    const adjacent = against
+      ? compositeColorStack({ textColor: against, layers }).textColor
+      : composited.backgroundColor;
+    return {
+      ratio: getContrastRatio(composited.textColor, adjacent),
+      foreground: toRgbString(composited.textColor),
+      background: toRgbString(adjacent),
+    };
+  } catch (error) {
+    return null; // A background color cannot be resolved
+  }
+}
+
+/**
+ * Builds the non-text contrast result of an element from the best of its candidate colors.
+ * @param {Object} element - Element details collected from the page.
+ * @param {Array<Object>} candidates - Colors that may identify the element, see `measureCandidate`,
+ *  each with a `label` naming it in the message (e.g. "border").
+ * @param {string} subject - What the colors identify, for the message (e.g. "the boundary of the field").
+ * @param {string} contrastLevel - WCAG conformance level ("AA" or "AAA").
+ * @returns {Object} - A result shaped like the one of `checkContrastCoreLogic`, with status "pass", "fail"
+ *  or "needs review", and a null `isLargeText`.
+ */
+function checkCandidates(element, candidates, subject, contrastLevel) {
+  const result = {
+    ruleId: NON_TEXT_RULE_ID,
+    requiredRatio: NON_TEXT_RATIO,
+    level: contrastLevel,
+    isLargeText: null,
+  };
+  if (element.imageBackground) {
+    return {
+      ...result,
+      status: "needs review",
+      ratio: null,
+      foreground: null,
+      background: null,
+      message: `=> ${element.selector} The contrast of ${subject} could not be measured over a background image or gradient.  ${element.id}`,
+    };
+  }
+
+  const best = candidates
+    .map((candidate) => ({ ...candidate, ...measureCandidate(candidate) }))
+    .filter((candidate) => typeof candidate.ratio === "number")
+    .reduce(
+      (top, candidate) =>
+        !top || candidate.ratio > top.ratio ? candidate : top,
+      null
+    );
+  if (!best) {
+    return {
+      ...result,
+      status: "fail",
+      ratio: null,
+      foreground: null,
+      background: null,
+      message: `=> ${element.selector} ${subject} has no color that can be resolved.  ${element.id}`,
+    };
+  }
+
+  const passed = best.ratio >= NON_TEXT_RATIO;
+  return {
+    ...result,
+    status: passed ? "pass" : "fail",
+    ratio: best.ratio,
+    foreground: best.foreground,
+    background: best.background,
+    message: `=> ${element.selector} Contrast ratio ${best.ratio.toFixed(
+      2
+    )} of ${subject} (${best.label}) is ${
+      passed ? "at least" : "below"
+    } the required ${NON_TEXT_RATIO}:1 for non-text content.  ${element.id} ${
+      best.label
+    }: ${best.foreground} ${best.against ? "unfocused" : "adjacent"}: ${
+      best.background
+    }`,
+  };
+}
+
+/**
+ * Compares the styles of a control at rest and focused and checks the contrast of its focus indicator:
+ * an added outline or box shadow against the adjacent background, or a changed border or background
+ * against its color at rest. The browser's own focus ring (`outline-style: auto`) is drawn in two colors
+ * that contrast with any background and passes.
+ * @param {Object} rest - Styles of the control at rest, from `collectNonTextElements`.
+ * @param {Object} focused - Styles of the control focused.
+ * @param {string} contrastLevel - WCAG conformance level ("AA" or "AAA").
+ * @returns {Object} - A result shaped like the one of `checkContrastCoreLogic`.
+ */
+function checkFocusIndicator(rest, focused, contrastLevel) {
+  const subject = "the focus indicator";
+  const { adjacentLayers: layers } = focused;
+  const candidates = [];
+
+  const outlineChanged =
+    focused.outline.style !== "none" &&
+    focused.outline.width > 0 &&
+    JSON.stringify(focused.outline) !== JSON.stringify(rest.outline);
+  if (outlineChanged && focused.outline.style === "auto") {
+    return {
+      ruleId: NON_TEXT_RULE_ID,
+      status: "pass",
+      ratio: null,
+      requiredRatio: NON_TEXT_RATIO,
+      level: contrastLevel,
+      isLargeText: null,
+      foreground: null,
+      background: null,
+      message: `=> ${focused.selector} shows the focus ring of the browser.  ${focused.id}`,
+    };
+  }
+  if (outlineChanged) {
+    candidates.push({ label: "outline", color: focused.outline.color, layers });
+  }
+  if (focused.boxShadow !== "none" && focused.boxShadow !== rest.boxShadow) {
+    (
+      focused.boxShadow.match(
+        /(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]*\)/g
+      ) || []
+    ).forEach((color) =>
+      candidates.push({ label: "box shadow", color, layers })
+    );
+  }
+  if (
+    focused.border &&
+    rest.border &&
+    focused.border.color !== rest.border.color
+  ) {
+    candidates.push({
+      label: "border",
+      color: focused.border.color,
+      layers,
+      against: rest.border.color,
+    });
+  }
+  if (focused.backgroundColor !== rest.backgroundColor) {
+    candidates.push({
+      label: "background",
+      color: focused.backgroundColor,
+      layers,
+      against: rest.backgroundColor,
+    });
+  }
+
+  if (!candidates.length) {
+    const changed = focused.otherStyles !== rest.otherStyles;
+    return {
+      ruleId: NON_TEXT_RULE_ID,
+      status: changed ? "needs review" : "fail",
+      ratio: null,
+      requiredRatio: NON_TEXT_RATIO,
+      level: contrastLevel,
+      isLargeText: null,
+      foreground: null,
+      background: null,
+      message: changed
+        ? `=> ${focused.selector} Focus only changes the text or a pseudo-element, check that the change is visible.  ${focused.id}`
+        : `=> ${focused.selector} has no visible focus indicator: its styles do not change when it is focused.  ${focused.id}`,
+    };
+  }
+  return checkCandidates(focused, candidates, subject, contrastLevel);
+}
+
+/**
+ * Checks the non-text contrast of a loaded page.
+ * @async
+ * @function checkNonTextContrast
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Array<string>} logs - Array the operation logs are pushed into.
+ * @param {Object} [options]
+ * @param {string} [options.contrastLevel="AA"] - WCAG conformance level, reported with the findings;
+ *  the required ratio is 3:1 at both levels.
+ * @param {boolean} [options.focus=true] - Whether to focus each control and check its focus indicator.
+ * @param {boolean} [options.screenshots=false] - Attach a screenshot of each reported element, outlined,
+ *  as a PNG data URL in `Screenshot`.
+ * @returns {Promise<Object>} - A summary of the results:
+ *  - `xlsxArray`: Array of failed elements with their tag, reason for failure, the state they failed in
+ *    ("default" or "focus") and the fields of their contrast result (`Rule_Id` "non-text-contrast", `Status`,
+ *    `Contrast_Ratio`, `Required_Ratio`, `Level`, `Large_Text` (null), `Text_Color`, the color identifying the
+ *    element, and `Background_Color`, the adjacent color).
+ *  - `totalChecked`: Total number of components, graphics and focus indicators checked.
+ *  - `totalFailed`: Total number of them that failed.
+ *  - `totalNeedsReview`: Total number of them whose contrast could not be decided.
+ * @throws {Error} - If the page cannot be evaluated, so the page is reported as not checked.
+ */
+async function checkNonTextContrast(
+  page,
+  logs,
+  { contrastLevel = "AA", focus = true, screenshots = false } = {}
+) {
+  const data = [];
+  let totalChecked = 0;
+  let totalFailed = 0;
+  let totalNeedsReview = 0;
+  const title = (await page.url()).split("/");
+  const { components, graphics, focusableCount } = await collectNonTextElements(
+    page,
+    { markFocusable: focus }
+  );
+
+  try {
+    /**
+     * Counts a checked element and stores the result in the report unless it passed.
+     * @param {Object} element - Element details collected from the page.
+     * @param {Object} result - Result of `checkCandidates` or `checkFocusIndicator`.
+     * @param {string} state - "default" or "focus".
+     */
+    const report = async (element, result, state) => {
+      totalChecked += 1;
+      if (result.status === "pass") return;
+      if (result.status === "fail") totalFailed += 1;
+      else totalNeedsReview += 1;
+      logs.push(
+        `${result.status === "fail" ? "Error" : "Review"}: Page:${title}, Tag ${
+          element.selector
+        } with ID: ${element.id || "No ID"}, State: ${state}. Reason: ${
+          result.message
+        }`
+      );
+      data.push({
+        Tag: element.html,
+        PageName: title.slice(title.length - 2, title.length).join("/"),
+        Selector: element.selector,
+        Element_Path: element.path,
+        Text: element.text,
+        Inline_Ignore: element.ignoreJustification,
+        Reason_For_Failing: result.message,
+        ...toFindingFields(result),
+        State: state,
+        ...(screenshots && {
+          Screenshot: await captureElement(page, element.rect),
+        }),
+      });
+    };
+
+    for (const component of components) {
+      logs.push(
+        `Checking for Page:${title}, Component: ${
+          component.selector
+        } with ID: ${component.id || "No ID"}`
+      );
+      const candidates = component.paints.map((paint) => ({
+        ...paint,
+        layers: component.layers,
+      }));
+      await report(
+        component,
+        checkCandidates(
+          component,
+          candidates,
+          "the boundary of the field",
+          contrastLevel
+        ),
+        "default"
+      );
+    }
+
+    for (const graphic of graphics) {
+      logs.push(
+        `Checking for Page:${title}, Graphic: ${graphic.selector} with ID: ${
+          graphic.id || "No ID"
+        }`
+      );
+      const candidates = graphic.paints.map((paint) => ({
+        ...paint,
+        layers: graphic.layers,
+      }));
+      await report(
+        graphic,
+        checkCandidates(graphic, candidates, "the graphic", contrastLevel),
+        "default"
+      );
+    }
+
+    // Focus each control and compare its styles with the ones at rest
+    for (let index = 0; index < focusableCount; index++) {
+      const focusSelector = `[${FOCUS_ATTRIBUTE}="${index}"]`;
+      const rest = await collectNonTextElements(page, { focusSelector });
+      if (!rest || !(await enterState(page, focusSelector, "focus"))) continue;
+      try {
+        const focused = await collectNonTextElements(page, { focusSelector });
+        logs.push(
+          `Checking for Page:${title}, Focus indicator: ${
+            focused.selector
+          } with ID: ${focused.id || "No ID"}`
+        );
+        await report(
+          focused,
+          checkFocusIndicator(rest, focused, contrastLevel),
+          "focus"
+        );
+      } finally {
+        await leaveState(page, focusSelector, "focus");
+      }
+    }
+  } finally {
+    // Remove the focus markers from the page, also when a check threw
+    await page.evaluate((attribute) => {
+      document
+        .querySelectorAll(`[${attribute}]`)
+        .forEach((element) => element.removeAttribute(attribute));
+    }, FOCUS_ATTRIBUTE);
+  }
+
+  return { xlsxArray: data, totalChecked, totalFailed, totalNeedsReview };
+}
+
+module.exports = checkNonTextContrast;
+module.exports.NON_TEXT_RULE_ID = NON_TEXT_RULE_ID;
@@ -1,229 +1,657 @@
 /**
  * @module checkStaticCCwithCss
  * @description This module checks the color contrast of static elements on a webpage using external CSS files.
- * It parses and accumulates CSS rules, applies them to elements, and verifies if the color contrast meets WCAG standards.
+ * It parses the CSS rules of the stylesheets each page links, applies them to elements, and verifies if the color contrast meets WCAG standards.
  */
 
 const fs = require("fs");
 const path = require("path");
-const css = require("css");
 const checkContrast = require("./checkContrastCoreLogic");
+const { getUnresolvedResult, toFindingFields } = checkContrast;
+const { parseCssRules } = require("./util/cssCascade");
+const {
+  parseColor,
+  compositeColorStack,
+  toHex,
+  toRgbString,
+} = require("./util/colorUtils");
+const { captureElement } = require("./util/elementScreenshot");
+const {
+  getColorSuggestions,
+  toSuggestionFields,
+} = require("./util/colorSuggestions");
+const { getCssPatch } = require("./util/cssPatch");
+const { IGNORE_ATTRIBUTE } = require("./util/suppressions");
 
-// Path to the CSS folder
-const cssFolderPath = path.join(__dirname, "./CSS_PATHS/cssFiles.json");
+// Parsed stylesheets, keyed by resolved file path
+const styleSheetCache = new Map();
 
-// Store all CSS rules in memory
-let AllCssRule = {};
+/**
+ * Parses a stylesheet once and caches its rules by resolved path.
+ * A cached sheet is parsed again when the file has been modified since.
+ * @param {string} cssPath - Path of the CSS file.
+ * @returns {Array<Object>} - Rules as returned by `parseCssRules`, ordered within the sheet.
+ */
+function getStyleSheetRules(cssPath) {
+  const resolvedPath = path.resolve(cssPath);
+  const { mtimeMs } = fs.statSync(resolvedPath);
+  const cached = styleSheetCache.get(resolvedPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.rules;
+
+  let rules = [];
+  try {
+    rules = parseCssRules(fs.readFileSync(resolvedPath, "utf-8"), {
+      source: cssPath,
+    });
+  } catch (error) {
+    // An unparseable stylesheet contributes no rules
+  }
+  styleSheetCache.set(resolvedPath, { mtimeMs, rules });
+  return rules;
+}
 
 /**
- * Parses and accumulates CSS rules from the specified files into `AllCssRule`.
- * @param {string} cssFolderPath - Path to the JSON file containing paths to CSS files.
- * @param {Array<string>} styleSheetnameArray - Array of stylesheet names used in the HTML file.
+ * Builds the rule set of a single page from the stylesheets it links, in cascade order.
+ * Declarations are renumbered so that a later stylesheet wins over an earlier one on equal specificity.
+ * @param {Array<string>} styleSheetPaths - Resolved paths of the stylesheets applied to the HTML file.
+ * @param {Function} nextOrder - Returns the next source order number of the page.
+ * @returns {Array<Object>} - Rules of the page.
  */
-function parseAndAccumulateCSSFiles(cssFolderPath, styleSheetnameArray) {
-  const cssFiles = JSON.parse(fs.readFileSync(cssFolderPath, "utf-8")).filter(
-    (path) => {
-      const temp = path.split("\\");
-      const cssFileNameInFolder = temp[temp.length - 1];
-      return styleSheetnameArray.includes(cssFileNameInFolder); // Only include CSS files used in the HTML
-    }
+function buildPageCssRules(styleSheetPaths, nextOrder) {
+  return styleSheetPaths.flatMap((styleSheetPath) =>
+    getStyleSheetRules(styleSheetPath).map((rule) => ({
+      ...rule,
+      declarations: rule.declarations.map((declaration) => ({
+        ...declaration,
+        order: nextOrder(),
+      })),
+    }))
+  );
+}
+
+/**
+ * Parses the `<style>` blocks of the page into cascade rules.
+ * They are ordered after the linked stylesheets, which is where Lectora emits them.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Function} nextOrder - Returns the next source order number of the page.
+ * @returns {Promise<Array<Object>>} - Rules as returned by `parseCssRules`.
+ */
+async function getStyleBlockRules(page, nextOrder) {
+  const styleBlocks = await page.evaluate(() =>
+    Array.from(document.querySelectorAll("style")).map(
+      (style) => style.textContent
+    )
   );
 
-  cssFiles.forEach((singleCssFile) => {
-    const cssPath = path.join(__dirname, singleCssFile);
-    const cssContent = fs.readFileSync(cssPath, "utf-8");
+  return styleBlocks.flatMap((cssContent, index) => {
     try {
-      const parsedCSS = css.parse(cssContent);
-
-      parsedCSS.stylesheet.rules.forEach((rule) => {
-        if (rule.type === "rule") {
-          rule.selectors.forEach((selector) => {
-            const className = selector.replace(/^\./, "");
-            if (!AllCssRule[className]) {
-              AllCssRule[className] = {};
-            }
-
-            rule.declarations.forEach((declaration) => {
-              AllCssRule[className][declaration.property] = declaration.value;
-            });
-          });
-        }
+      return parseCssRules(cssContent, {
+        source: `<style> #${index + 1}`,
+        nextOrder,
       });
     } catch (error) {
-      // console.error(
-      //   `Error parsing CSS file ${singleCssFile}: ${error.message}`
-      // );
+      return [];
     }
   });
 }
 
-/**
- * Retrieves the styles for a specific set of classes from `AllCssRule`.
- * @param {Array<string>} classList - List of class names applied to an element.
- * @returns {Object} - An object containing styles like textColor, backgroundColor, fontSize, and fontWeight.
- */
-function getStylesForClasses(classList) {
-  const accumulatedStyles = {
-    textColor: null,
-    backgroundColor: null,
-    fontSize: null,
-    fontWeight: null,
-  };
-
-  classList.forEach((className) => {
-    const styles = AllCssRule[className] || {};
-    if (styles.color) accumulatedStyles.textColor = styles.color;
-    if (styles["background-color"])
-      accumulatedStyles.backgroundColor = styles["background-color"];
-    if (styles["font-size"]) accumulatedStyles.fontSize = styles["font-size"];
-    if (styles["font-weight"])
-      accumulatedStyles.fontWeight = styles["font-weight"];
-  });
-
-  return accumulatedStyles;
-}
-
 /**
  * Main function to check color contrast for static elements using CSS files.
+ * Every run of text is checked once, on the element that renders it, like in the dynamic check.
+ * That element's color, background-color, font-size and font-weight are resolved from the
+ * linked stylesheets, `<style>` blocks and inline `style` attributes by selector matching,
+ * `!important`, specificity, source order and inheritance.
  * @async
  * @function checkStaticCCwithCss
  * @param {Object} page - The Puppeteer page instance.
- * @param {Array<string>} styleSheetnameArray - Array of stylesheet names used in the HTML file.
+ * @param {Array<string>} styleSheetPaths - Resolved paths of the stylesheets applied to the HTML file, in cascade order.
+ * @param {Array<string>} logs1 - Array the operation logs are pushed into.
+ * @param {Object} [options]
+ * @param {string} [options.contrastLevel="AA"] - WCAG conformance level to check against ("AA" or "AAA").
+ * @param {string} [options.algorithm="wcag2"] - Contrast algorithm deciding failures ("wcag2" or "apca"),
+ *  see `checkContrastCoreLogic`. Findings carry the scores of both.
+ * @param {Array<Object>} [options.missingStyleSheets=[]] - Stylesheet references of the page whose file does not exist, reported as findings.
+ * @param {boolean} [options.screenshots=false] - Attach a screenshot of each failing element, outlined,
+ *  as a PNG data URL in `Screenshot`.
+ * @param {string} [options.packageRoot] - Folder stylesheets are named relative to in suggested patches.
  * @returns {Promise<Object>} - A summary of the results:
- *  - `xlsxArray`: Array of elements that failed the contrast check.
- *  - `totalChecked`: Total number of elements checked.
+ *  - `xlsxArray`: Array of elements that failed the contrast check, with the fields of their contrast result
+ *    (`Rule_Id`, `Status`, `Contrast_Ratio`, `Required_Ratio`, `APCA_Lc`, `APCA_Required_Lc`, `Level`, `Large_Text`,
+ *    `Text_Color`, `Background_Color`),
+ *    the nearest compliant colors (`Suggested_Text_Color`, `Suggested_Background_Color`) and the `Suggested_Patch`
+ *    of the declaration that sets the failing color (see `getCssPatch`).
+ *  - `totalChecked`: Total number of text runs checked.
  *  - `totalFailed`: Total number of failed elements.
+ * @throws {Error} - If the page cannot be evaluated, so the page is reported as not checked.
  */
-async function checkStaticCCwithCss(page, styleSheetnameArray, logs1) {
-  try {
-    let data = [];
-    let totalChecked = 0;
-    let totalFailed = 0;
-
-    // Step 1: Parse CSS files and accumulate rules
-    parseAndAccumulateCSSFiles(cssFolderPath, styleSheetnameArray);
-
-    // Step 2: Fetch elements and their effective background colors
-    const elements = await page.evaluate(() => {
-      function getEffectiveBackgroundColor(element) {
-        if (!element) return "rgb(255, 255, 255)";
-
-        const backgroundColor =
-          window.getComputedStyle(element).backgroundColor;
-
-        if (
-          backgroundColor &&
-          backgroundColor !== "rgba(0, 0, 0, 0)" &&
-          backgroundColor !== "transparent"
-        ) {
-          return backgroundColor;
+async function checkStaticCCwithCss(
+  page,
+  styleSheetPaths,
+  logs1,
+  {
+    contrastLevel = "AA",
+    algorithm = "wcag2",
+    missingStyleSheets = [],
+    screenshots = false,
+    packageRoot,
+  } = {}
+) {
+  let data = [];
+  let totalChecked = 0;
+  let totalFailed = 0;
+
+  // Step 1: Build the rule set of this page from its own stylesheets
+  let declarationOrder = 0;
+  const nextOrder = () => declarationOrder++;
+  const rules = [
+    ...buildPageCssRules(styleSheetPaths, nextOrder),
+    ...(await getStyleBlockRules(page, nextOrder)),
+  ];
+
+  // Report stylesheet links that point to missing files
+  for (const { href, resolvedPath, from } of missingStyleSheets) {
+    totalFailed += 1;
+    const title = (await page.url()).split("/");
+    const reason = `Stylesheet "${href}" referenced by ${from} was not found at ${resolvedPath}`;
+    logs1.push(`Error: Page:${title}, Reason: ${reason}`);
+    data.push({
+      Tag: `<link rel="stylesheet" href="${href}">`,
+      PageName: title.slice(title.length - 2, title.length).join("/"),
+      Reason_For_Failing: reason,
+      Rule_Id: "stylesheet-missing",
+      Status: "fail",
+    });
+  }
+
+  // Step 2: Fetch elements, their cascaded styles and effective background colors
+  const collectOptions = { rules, ignoreAttribute: IGNORE_ATTRIBUTE };
+  const elements = await page.evaluate(({ rules, ignoreAttribute }) => {
+    const DEFAULT_FONT_SIZE = 16;
+    const FONT_SIZE_KEYWORDS = {
+      "xx-small": 9,
+      "x-small": 10,
+      small: 13,
+      medium: 16,
+      large: 18,
+      "x-large": 24,
+      "xx-large": 32,
+      "xxx-large": 48,
+    };
+    const FONT_WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+    const activeRules = rules.filter(
+      (rule) => !rule.media || window.matchMedia(rule.media).matches
+    );
+    const resolvedStyles = new Map();
+
+    function matchesSelector(element, selector) {
+      try {
+        return element.matches(selector);
+      } catch (error) {
+        return false; // Pseudo-elements and selectors the browser cannot parse
+      }
+    }
+
+    /**
+     * Picks the winning declaration of each property for an element:
+     * important > inline > specificity > source order.
+     * Each winner keeps its value and where it was declared.
+     */
+    function getDeclaredValues(element) {
+      const winners = {};
+      const consider = (candidate) => {
+        const current = winners[candidate.property];
+        if (!current || compareCandidates(candidate, current) > 0) {
+          winners[candidate.property] = candidate;
+        }
+      };
+
+      activeRules.forEach((rule) => {
+        if (!matchesSelector(element, rule.selector)) return;
+        rule.declarations.forEach((declaration) =>
+          consider({
+            ...declaration,
+            inline: false,
+            specificity: rule.specificity,
+            selector: rule.selector,
+            source: rule.source,
+            media: rule.media,
+          })
+        );
+      });
+
+      Array.from(element.style || []).forEach((property, index) =>
+        consider({
+          property,
+          value: element.style.getPropertyValue(property),
+          important:
+            element.style.getPropertyPriority(property) === "important",
+          inline: true,
+          specificity: [0, 0, 0],
+          order: Number.MAX_SAFE_INTEGER - element.style.length + index,
+        })
+      );
+
+      return winners;
+    }
+
+    /**
+     * Describes where the winning declaration of a property was declared, so it can be patched.
+     * A color set by a `background` shorthand is patched in the shorthand.
+     */
+    function getOrigin(declaration) {
+      if (!declaration) return null;
+      return declaration.inline
+        ? {
+            inline: true,
+            property: declaration.property,
+            value: declaration.value,
+          }
+        : {
+            inline: false,
+            source: declaration.source,
+            selector: declaration.selector,
+            media: declaration.media,
+            ...(declaration.shorthand || {
+              property: declaration.property,
+              value: declaration.value,
+            }),
+            important: declaration.important,
+            line: declaration.line,
+            column: declaration.column,
+            endLine: declaration.endLine,
+            endColumn: declaration.endColumn,
+          };
+    }
+
+    function compareCandidates(first, second) {
+      if (first.important !== second.important) {
+        return first.important ? 1 : -1;
+      }
+      if (first.inline !== second.inline) return first.inline ? 1 : -1;
+      for (let i = 0; i < 3; i++) {
+        if (first.specificity[i] !== second.specificity[i]) {
+          return first.specificity[i] - second.specificity[i];
+        }
+      }
+      return first.order - second.order;
+    }
+
+    function toPx(fontSize, parentSize) {
+      if (!fontSize || fontSize === "inherit") return parentSize;
+      const keyword = fontSize.toLowerCase();
+      if (FONT_SIZE_KEYWORDS[keyword]) return FONT_SIZE_KEYWORDS[keyword];
+      if (keyword === "smaller") return parentSize / 1.2;
+      if (keyword === "larger") return parentSize * 1.2;
+
+      const value = parseFloat(fontSize);
+      if (isNaN(value)) return parentSize;
+      if (/pt$/i.test(fontSize)) return (value * 96) / 72;
+      if (/rem$/i.test(fontSize)) return value * DEFAULT_FONT_SIZE;
+      if (/em$/i.test(fontSize)) return value * parentSize;
+      if (/%$/.test(fontSize)) return (value * parentSize) / 100;
+      return value;
+    }
+
+    function toFontWeight(fontWeight, parentWeight) {
+      if (!fontWeight || fontWeight === "inherit") return parentWeight;
+      const keyword = fontWeight.toLowerCase();
+      if (FONT_WEIGHT_KEYWORDS[keyword]) return FONT_WEIGHT_KEYWORDS[keyword];
+      if (keyword === "bolder") return Math.min(parentWeight + 300, 900);
+      if (keyword === "lighter") return Math.max(parentWeight - 300, 100);
+      return parseInt(fontWeight) || parentWeight;
+    }
+
+    /**
+     * Replaces `var(--name, fallback)` references with the custom properties of the element.
+     * References that cannot be resolved are left in place, so the color is reported as unresolvable.
+     */
+    function substituteVariables(value, customProperties, depth = 0) {
+      if (!value || depth > 10) return value;
+      const start = value.indexOf("var(");
+      if (start === -1) return value;
+
+      let end = start + 4;
+      for (let open = 1; end < value.length && open; end++) {
+        if (value[end] === "(") open += 1;
+        if (value[end] === ")") open -= 1;
+      }
+      const inner = value.slice(start + 4, end - 1);
+      const comma = inner.indexOf(",");
+      const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+      const fallback = comma === -1 ? null : inner.slice(comma + 1).trim();
+      const replacement =
+        customProperties[name] !== undefined
+          ? customProperties[name]
+          : fallback;
+      if (replacement === null) return value;
+
+      return substituteVariables(
+        value.slice(0, start) + replacement + value.slice(end),
+        customProperties,
+        depth + 1
+      );
+    }
+
+    /**
+     * Resolves the cascaded styles of an element, inheriting color, font and custom properties from its parent.
+     * `var()`, `currentColor` and the CSS-wide keywords are resolved on the way.
+     */
+    function resolveStyles(element) {
+      if (!element) {
+        // Text not colored by the page has the initial color
+        return {
+          textColor: "canvastext",
+          textColorOrigin: null,
+          ownBackgroundColor: null,
+          ownBackgroundOrigin: null,
+          ownOpacity: null,
+          fontSize: DEFAULT_FONT_SIZE,
+          fontWeight: 400,
+          customProperties: {},
+        };
+      }
+      if (resolvedStyles.has(element)) return resolvedStyles.get(element);
+
+      const parent = resolveStyles(element.parentElement);
+      const declared = getDeclaredValues(element);
+      const customProperties = { ...parent.customProperties };
+      Object.keys(declared)
+        .filter((property) => property.startsWith("--"))
+        .forEach((property) => {
+          customProperties[property] = declared[property].value.trim();
+        });
+      const resolve = (property) => {
+        const value = substituteVariables(
+          declared[property] && declared[property].value,
+          customProperties
+        );
+        return value ? value.trim() : null;
+      };
+
+      let textColor = resolve("color");
+      let textColorOrigin = getOrigin(declared.color);
+      if (
+        !textColor ||
+        /^(inherit|unset|revert|currentcolor)$/i.test(textColor)
+      ) {
+        textColor = parent.textColor;
+        textColorOrigin = parent.textColorOrigin;
+      } else if (/^initial$/i.test(textColor)) {
+        textColor = "canvastext";
+      }
+
+      // `background` shorthands were parsed as the `background-color` they set, so they cascade together
+      let ownBackgroundColor = resolve("background-color");
+      let ownBackgroundOrigin = getOrigin(declared["background-color"]);
+      if (ownBackgroundColor && /^inherit$/i.test(ownBackgroundColor)) {
+        ownBackgroundColor = parent.ownBackgroundColor;
+        ownBackgroundOrigin = parent.ownBackgroundOrigin;
+      } else if (
+        ownBackgroundColor &&
+        /^(initial|unset|revert)$/i.test(ownBackgroundColor)
+      ) {
+        ownBackgroundColor = "transparent";
+      } else if (
+        ownBackgroundColor &&
+        /^currentcolor$/i.test(ownBackgroundColor)
+      ) {
+        ownBackgroundColor = textColor;
+      }
+
+      const styles = {
+        textColor,
+        textColorOrigin,
+        ownBackgroundColor,
+        ownBackgroundOrigin,
+        ownOpacity: resolve("opacity"),
+        fontSize: toPx(resolve("font-size"), parent.fontSize),
+        fontWeight: toFontWeight(resolve("font-weight"), parent.fontWeight),
+        customProperties,
+      };
+      resolvedStyles.set(element, styles);
+      return styles;
+    }
+
+    /**
+     * Background layers from the element up to the root, taken from the cascade or from computed styles.
+     * They are composited in Node to get the color actually painted behind the text.
+     */
+    function getBackgroundLayers(element, fromCascade) {
+      const layers = [];
+      for (let node = element; node; node = node.parentElement) {
+        if (fromCascade) {
+          const { ownBackgroundColor, ownBackgroundOrigin, ownOpacity } =
+            resolveStyles(node);
+          layers.push({
+            backgroundColor: ownBackgroundColor,
+            opacity: ownOpacity,
+            origin: ownBackgroundOrigin,
+          });
+        } else {
+          const style = window.getComputedStyle(node);
+          layers.push({
+            backgroundColor: style.backgroundColor,
+            opacity: style.opacity,
+          });
         }
+      }
+      return layers;
+    }
+
+    /**
+     * Builds a path that finds the element again in later runs: `nth-of-type` steps from its closest
+     * ancestor with an id, or from the root.
+     * @param {HTMLElement} element - The DOM element.
+     * @returns {string} - The element path (e.g. "#page > div:nth-of-type(2) > span:nth-of-type(1)").
+     */
+    function getElementPath(element) {
+      const steps = [];
+      for (let node = element; node; node = node.parentElement) {
+        if (node.id) {
+          steps.unshift(`#${node.id}`);
+          break;
+        }
+        const siblings = node.parentElement
+          ? Array.from(node.parentElement.children).filter(
+              (sibling) => sibling.tagName === node.tagName
+            )
+          : [node];
+        steps.unshift(
+          `${node.tagName.toLowerCase()}:nth-of-type(${
+            siblings.indexOf(node) + 1
+          })`
+        );
+      }
+      return steps.join(" > ");
+    }
 
-        return getEffectiveBackgroundColor(element.parentElement);
+    /**
+     * Groups the text nodes of the page by the element that renders them, as the dynamic check does,
+     * so each run of text is checked once with the styles of its own parent instead of every wrapper.
+     */
+    function getTextRuns(root) {
+      const runs = new Map();
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          node.textContent.trim() &&
+          node.parentElement &&
+          !node.parentElement.closest(
+            "script, style, noscript, template, head, title"
+          )
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      });
+      while (walker.nextNode()) {
+        const element = walker.currentNode.parentElement;
+        runs.set(
+          element,
+          `${runs.get(element) || ""} ${walker.currentNode.textContent}`
+        );
       }
+      return runs;
+    }
 
-      return Array.from(
-        document.querySelectorAll(
-          "div, span, p, header, footer, h1, h2, h3, h4, h5, h6, article, section, blockquote, pre, code, ul, ol, li, a, b, i, u, strong, em, small, mark, sub, sup, br, hr, form, input, textarea, button, select, option, optgroup, label, fieldset, legend, output, datalist, progress, meter, img, video, audio, source, track, picture, canvas, svg, iframe, table, caption, thead, tbody, tfoot, tr, td, th, col, colgroup, details, summary, dialog, nav, main, aside, figure, figcaption, time, address, cite, q, abbr, kbd, samp, var, data, ruby, rt, rp, wbr"
-        )
-      ).map((element) => ({
-        text: element.textContent.trim(),
+    return Array.from(
+      getTextRuns(document.body || document.documentElement)
+    ).map(([element, text]) => {
+      const { textColor, textColorOrigin, fontSize, fontWeight } =
+        resolveStyles(element);
+      const rect = element.getBoundingClientRect();
+      return {
+        text: text.replace(/\s+/g, " ").trim(), // Text rendered directly by the element
         html: element.outerHTML.trim(),
         selector: element.tagName.toLowerCase(),
+        path: getElementPath(element),
+        ignoreJustification:
+          element
+            .closest(`[${ignoreAttribute}]`)
+            ?.getAttribute(ignoreAttribute) ?? null,
+        rect: {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height,
+        },
         id: element.id || null,
         classList: [...element.classList],
-        effectiveBackgroundColor: getEffectiveBackgroundColor(element),
-      }));
+        cascadedStyles: {
+          textColor,
+          textColorOrigin,
+          backgroundLayers: getBackgroundLayers(element, true),
+          fontSize: `${fontSize}px`,
+          fontWeight: `${fontWeight}`,
+        },
+        computedBackgroundLayers: getBackgroundLayers(element, false),
+      };
     });
+  }, collectOptions);
 
-    // Step 3: Evaluate each element's color contrast
-    for (const element of elements) {
-      if (!element.text) continue;
-      totalChecked += 1;
-      logs1.push(
-        `Checking for Page:${(await page.title(), await page.url())}, Tag: ${
-          element.selector
-        } with ID: ${element.id || "No ID"}`
+  // Step 3: Evaluate each element's color contrast
+  for (const element of elements) {
+    if (!element.text) continue;
+    totalChecked += 1;
+    logs1.push(
+      `Checking for Page:${(await page.title(), await page.url())}, Tag: ${
+        element.selector
+      } with ID: ${element.id || "No ID"}`
+    );
+
+    const { textColor, backgroundLayers, fontSize, fontWeight } =
+      element.cascadedStyles;
+
+    // Use the stylesheet backgrounds when the cascade sets one, else what the browser computed
+    // (an unparseable cascaded background counts as set, so it is reported as unresolvable)
+    const hasCascadedBackground = backgroundLayers.some(
+      ({ backgroundColor }) =>
+        backgroundColor && (parseColor(backgroundColor) || { a: 1 }).a > 0
+    );
+    const isLargeText = isTextLarge(fontSize, fontWeight);
+    let compositedTextColor = null;
+    let compositedBackgroundColor = null;
+    let result;
+
+    try {
+      const composited = compositeColorStack({
+        textColor,
+        layers: hasCascadedBackground
+          ? backgroundLayers
+          : element.computedBackgroundLayers,
+      });
+      compositedTextColor = toRgbString(composited.textColor);
+      compositedBackgroundColor = toRgbString(composited.backgroundColor);
+
+      result = checkContrast(
+        toHex(composited.textColor),
+        toHex(composited.backgroundColor),
+        isLargeText,
+        element,
+        compositedTextColor,
+        compositedBackgroundColor,
+        contrastLevel,
+        { algorithm, fontSize, fontWeight }
+      );
+    } catch (error) {
+      // An unresolvable color fails without a ratio
+      result = getUnresolvedResult(
+        error.message,
+        isLargeText,
+        contrastLevel,
+        compositedTextColor,
+        compositedBackgroundColor,
+        algorithm
       );
-      // console.log(
-      //   `Checking Color Contrast with CSS files of Tag: ${
-      //     element.selector
-      //   } with ID: ${element.id || "No ID"}`
-      // );
-
-      let { textColor, backgroundColor, fontSize, fontWeight } =
-        getStylesForClasses(element.classList);
-
-      backgroundColor =
-        backgroundColor ||
-        element.effectiveBackgroundColor ||
-        "rgb(255, 255, 255)";
-      fontSize = fontSize || "16px";
-      fontWeight = fontWeight || "400";
-
-      if (textColor && backgroundColor) {
-        let hexTextColor = textColor;
-        let hexBackgroundColor = backgroundColor;
-
-        if (!isHexColor(textColor)) hexTextColor = rgbToHex(textColor);
-        if (!isHexColor(backgroundColor))
-          hexBackgroundColor = rgbToHex(backgroundColor);
-
-        const isLargeText = isTextLarge(fontSize, fontWeight);
-
-        try {
-          checkContrast(
-            hexTextColor,
-            hexBackgroundColor,
-            isLargeText,
-            element,
-            textColor,
-            backgroundColor,
-            "AA"
-          );
-        } catch (error) {
-          totalFailed += 1;
-          const title = (await page.url()).split("/");
-          logs1.push(
-            `Error: Page:${title}, Tag ${element.selector} with ID: ${
-              element.id || "No ID"
-            }. Reason: ${error.message}`
-          );
-          data.push({
-            Tag: element.html,
-            PageName: title.slice(title.length - 2, title.length).join("/"),
-            Reason_For_Failing: error.message,
-          });
-        }
-      }
     }
 
-    return { xlsxArray: data, totalChecked, totalFailed };
-  } catch (error) {
-    console.error("Error running accessibility test:", error);
-    return { xlsxArray: [], totalChecked: 0, totalFailed: 0 };
+    if (result.status === "fail") {
+      totalFailed += 1;
+      const suggestions = getColorSuggestions(result);
+      const title = (await page.url()).split("/");
+      logs1.push(
+        `Error: Page:${title}, Tag ${element.selector} with ID: ${
+          element.id || "No ID"
+        }. Reason: ${result.message}`
+      );
+      data.push({
+        Tag: element.html,
+        PageName: title.slice(title.length - 2, title.length).join("/"),
+        Selector: element.selector,
+        Element_Path: element.path,
+        Text: element.text,
+        Inline_Ignore: element.ignoreJustification,
+        Reason_For_Failing: result.message,
+        ...toFindingFields(result),
+        ...toSuggestionFields(suggestions),
+        Suggested_Patch: getSuggestedPatch(
+          element.cascadedStyles,
+          hasCascadedBackground,
+          suggestions,
+          packageRoot
+        ),
+        ...(screenshots && {
+          Screenshot: await captureElement(page, element.rect),
+        }),
+      });
+    }
   }
+
+  return { xlsxArray: data, totalChecked, totalFailed };
 }
 
 /**
- * Converts an RGB color to Hex format.
- * @param {string} rgb - The RGB color string.
- * @returns {string|null} - The Hex color string or null if invalid.
+ * Builds the patch of a failure: it changes the declaration of the text color when a compliant one exists,
+ * else the declaration of the nearest background color.
+ * @param {Object} cascadedStyles - Cascaded styles of the element, with the origins of its colors.
+ * @param {boolean} hasCascadedBackground - Whether the background was taken from the cascade.
+ * @param {Object} suggestions - Result of `getColorSuggestions`.
+ * @param {string} [packageRoot] - Folder stylesheets are named relative to.
+ * @returns {Object|null} - The patch, or null when the color to change is not declared by the page.
  */
-function rgbToHex(rgb) {
-  const result = rgb.match(/\d+/g);
-  if (!result) return null;
-
-  const [r, g, b] = result;
-  return `#${(
-    (1 << 24) +
-    (parseInt(r) << 16) +
-    (parseInt(g) << 8) +
-    parseInt(b)
-  )
-    .toString(16)
-    .slice(1)
-    .toUpperCase()}`;
+function getSuggestedPatch(
+  cascadedStyles,
+  hasCascadedBackground,
+  suggestions,
+  packageRoot
+) {
+  if (suggestions.foreground && cascadedStyles.textColorOrigin) {
+    return getCssPatch(
+      cascadedStyles.textColorOrigin,
+      suggestions.foreground.color,
+      { root: packageRoot }
+    );
+  }
+  const backgroundLayer = hasCascadedBackground
+    ? cascadedStyles.backgroundLayers.find(
+        ({ backgroundColor }) =>
+          backgroundColor && (parseColor(backgroundColor) || { a: 1 }).a > 0
+      )
+    : null;
+  if (suggestions.background && backgroundLayer && backgroundLayer.origin) {
+    return getCssPatch(backgroundLayer.origin, suggestions.background.color, {
+      root: packageRoot,
+    });
+  }
+  return null;
 }
 
 /**
@@ -238,13 +666,4 @@ function isTextLarge(fontSize, fontWeight) {
   return sizeInPx >= 18 || (sizeInPx >= 14 && isBold);
 }
 
-/**
- * Validates if a color is in Hex format.
- * @param {string} color - The color string.
- * @returns {boolean} - True if the color is in Hex format, otherwise false.
- */
-function isHexColor(color) {
-  return /^#([0-9A-F]{3}){1,2}$/i.test(color);
-}
-
 module.exports = checkStaticCCwithCss;
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * @module cli
+ * @description Command-line interface for the Lectora color contrast checker.
+ * Exit codes: 0 = no violations, 1 = violations found, 2 = tool error.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { parseArgs } = require("util");
+const main = require("./main");
+const fixPackage = require("./fixPackage");
+const { VISIBILITY_POLICIES } = require("./util/visibility");
+const { INTERACTIVE_STATES } = require("./util/interactiveStates");
+const { RULE_IDS, DEFAULT_RULE_IDS } = require("./checkAccessibilityRules");
+const { CONTRAST_ALGORITHMS } = require("./checkContrastCoreLogic");
+const { isZipPackage } = require("./util/coursePackage");
+
+const EXIT_CLEAN = 0;
+const EXIT_VIOLATIONS = 1;
+const EXIT_TOOL_ERROR = 2;
+
+const CONTRAST_LEVELS = ["AA", "AAA"];
+
+const helpText = `Usage: lectora-contrast scan <dir|zip> [options]
+
+Checks the contrast of the text, form fields, icons and focus indicators of
+every HTML page in a published Lectora package, given as a folder or as a
+SCORM/xAPI zip, and runs the accessibility rules of accessibilty_mapping.js on
+them. When the package has a manifest, only the pages of the course are checked.
+
+Options:
+  -l, --level <AA|AAA>     WCAG conformance level to check against (default: AA)
+  -a, --algorithm <wcag2|apca>
+                           Contrast algorithm deciding whether text passes: the
+                           WCAG 2 ratio or the APCA lightness contrast (Lc) for
+                           its font size and weight. Reports show both scores
+                           (default: wcag2)
+  -o, --out <file>         Path of the JSON report (default: Operation_logs.json)
+  --xlsx <file>            Also write an Excel report (summary, findings, pages)
+  --csv <file>             Also write the findings as CSV
+  --html <file>            Also write an offline HTML report with a screenshot
+                           of each failing element
+  --sarif <file>           Also write a SARIF 2.1.0 log for code-scanning UIs
+  --junit <file>           Also write a JUnit XML report, one test case per page
+  --baseline <file>        Suppress the findings accepted in the baseline file
+  --update-baseline        Accept every finding of this run into the baseline
+                           file given with --baseline
+  --ignore-file <file>     JSON list of accepted findings to suppress, each with
+                           a "justification" and any of "page" (glob pattern),
+                           "element" (element path), "text" and "rule"
+  --fix <dir>              Write a copy of the package to <dir> with the failing
+                           colors of its stylesheets and style attributes fixed,
+                           then check the copy again (no other report is written)
+  --dry-run                Print the diff of the fixes instead of writing a
+                           fixed copy, after checking them on a temporary copy
+  -i, --include <pattern>  Only check pages matching the glob pattern (repeatable)
+  -e, --exclude <pattern>  Skip pages matching the glob pattern (repeatable)
+  -v, --visibility <policy>
+                           Hidden text to skip: visible (skip all hidden text),
+                           rendered (only skip text that is not rendered) or
+                           all (check everything) (default: visible)
+  -s, --states <list>      Comma-separated interactive states to check links and
+                           controls in: hover, focus, active, visited, or none
+                           (default: all of them)
+  -r, --rules <list>       Comma-separated accessibility rules to run besides color
+                           contrast: image-alt, label, heading-order,
+                           landmark-one-main, page-has-heading-one, region,
+                           aria-hidden-focus, aria-roles, tabindex, or none
+                           (default: all but the best-practice rules
+                           heading-order, landmark-one-main,
+                           page-has-heading-one and region)
+  --no-non-text            Skip the contrast of form field boundaries, icons and
+                           focus indicators (WCAG 1.4.11 Non-text Contrast)
+  -c, --crawl              Click through the actions of each page and check every
+                           UI state found (shown layers, popups, feedback)
+  --crawl-depth <n>        Maximum number of actions to reach a state (default: 2)
+  --max-states <n>         Maximum number of states checked per page (default: 20)
+  -j, --concurrency <n>    Number of pages checked in parallel (default: up to 4)
+  --no-cache               Check every page again instead of reusing the results
+                           of pages unchanged since the previous run
+  --page-timeout <ms>      Time limit of each page, slower pages are reported as
+                           not checked (default: 120000)
+  -h, --help               Show this help
+
+Exit codes:
+  0  no contrast or rule violations found (suppressed findings do not count)
+  1  contrast or rule violations found
+  2  invalid arguments, tool error, or pages that could not be checked
+
+Examples:
+  lectora-contrast scan ./lectora_Package --level AAA --out report.json --xlsx report.xlsx --include "a001_*" --exclude "*_sniffer_*"
+  lectora-contrast scan ./lectora_Package --algorithm apca --html report.html
+  lectora-contrast scan ./lectora_Package --fix ./lectora_Package_fixed
+  lectora-contrast scan ./lectora_Package --dry-run > contrast-fixes.diff
+`;
+
+const REPORT_OPTIONS = ["xlsx", "csv", "html", "sarif", "junit"];
+
+/**
+ * Error raised for invalid command-line usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Reads the ignore list of accepted findings.
+ * @param {string} filePath - Path of the JSON file.
+ * @returns {Object[]} - The ignore entries.
+ * @throws {UsageError} - If the file cannot be read or is not a JSON array.
+ */
+function readIgnoreFile(filePath) {
+  let ignore;
+  try {
+    ignore = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new UsageError(
+      `Cannot read ignore file ${filePath}: ${error.message}`
+    );
+  }
+  if (!Array.isArray(ignore)) {
+    throw new UsageError(`Ignore file ${filePath} must contain a JSON array`);
+  }
+  return ignore;
+}
+
+/**
+ * Parses and validates the command-line arguments.
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {Object} - `{ help }` or the options to run the scan with.
+ * @throws {UsageError} - If the arguments are invalid.
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        level: { type: "string", short: "l", default: "AA" },
+        algorithm: { type: "string", short: "a", default: "wcag2" },
+        out: { type: "string", short: "o", default: "Operation_logs.json" },
+        xlsx: { type: "string" },
+        csv: { type: "string" },
+        html: { type: "string" },
+        sarif: { type: "string" },
+        junit: { type: "string" },
+        baseline: { type: "string" },
+        "update-baseline": { type: "boolean", default: false },
+        "ignore-file": { type: "string" },
+        fix: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        include: { type: "string", short: "i", multiple: true, default: [] },
+        exclude: { type: "string", short: "e", multiple: true, default: [] },
+        visibility: { type: "string", short: "v", default: "visible" },
+        states: {
+          type: "string",
+          short: "s",
+          default: INTERACTIVE_STATES.join(),
+        },
+        rules: { type: "string", short: "r", default: DEFAULT_RULE_IDS.join() },
+        "no-non-text": { type: "boolean", default: false },
+        crawl: { type: "boolean", short: "c", default: false },
+        "crawl-depth": { type: "string", default: "2" },
+        "max-states": { type: "string", default: "20" },
+        concurrency: { type: "string", short: "j" },
+        "page-timeout": { type: "string", default: "120000" },
+        "no-cache": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, root, ...rest] = positionals;
+  if (command !== "scan") {
+    throw new UsageError(
+      command ? `Unknown command "${command}"` : "Missing command"
+    );
+  }
+  if (!root) throw new UsageError("Missing package directory or zip");
+  if (rest.length) {
+    throw new UsageError(`Unexpected arguments: ${rest.join(" ")}`);
+  }
+  if (
+    !isZipPackage(root) &&
+    (!fs.existsSync(root) || !fs.statSync(root).isDirectory())
+  ) {
+    throw new UsageError(`Package directory or zip not found: ${root}`);
+  }
+
+  const level = values.level.toUpperCase();
+  if (!CONTRAST_LEVELS.includes(level)) {
+    throw new UsageError(
+      `Invalid level "${values.level}". Use ${CONTRAST_LEVELS.join(" or ")}.`
+    );
+  }
+
+  const algorithm = values.algorithm.toLowerCase();
+  if (!CONTRAST_ALGORITHMS.includes(algorithm)) {
+    throw new UsageError(
+      `Invalid algorithm "${values.algorithm}". Use ${CONTRAST_ALGORITHMS.join(
+        " or "
+      )}.`
+    );
+  }
+
+  const visibility = values.visibility.toLowerCase();
+  if (!Object.keys(VISIBILITY_POLICIES).includes(visibility)) {
+    throw new UsageError(
+      `Invalid visibility policy "${values.visibility}". Use ${Object.keys(
+        VISIBILITY_POLICIES
+      ).join(", ")}.`
+    );
+  }
+
+  const states = values.states
+    .toLowerCase()
+    .split(",")
+    .map((state) => state.trim())
+    .filter((state) => state && state !== "none");
+  const unknownState = states.find(
+    (state) => !INTERACTIVE_STATES.includes(state)
+  );
+  if (unknownState) {
+    throw new UsageError(
+      `Invalid state "${unknownState}". Use ${INTERACTIVE_STATES.join(
+        ", "
+      )} or none.`
+    );
+  }
+
+  const rules = values.rules
+    .toLowerCase()
+    .split(",")
+    .map((ruleId) => ruleId.trim())
+    .filter((ruleId) => ruleId && ruleId !== "none");
+  const unknownRule = rules.find((ruleId) => !RULE_IDS.includes(ruleId));
+  if (unknownRule) {
+    throw new UsageError(
+      `Invalid rule "${unknownRule}". Use ${RULE_IDS.join(", ")} or none.`
+    );
+  }
+
+  const [maxDepth, maxStates, concurrency, pageTimeout] = [
+    "crawl-depth",
+    "max-states",
+    "concurrency",
+    "page-timeout",
+  ].map((name) => {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new UsageError(
+        `Invalid --${name} "${values[name]}". Use a positive integer.`
+      );
+    }
+    return value;
+  });
+
+  const fixing = values.fix !== undefined || values["dry-run"];
+  if (values.fix !== undefined && values["dry-run"]) {
+    throw new UsageError("Use either --fix <dir> or --dry-run");
+  }
+  const reportOption = REPORT_OPTIONS.find((name) => values[name]);
+  if (fixing && (reportOption || values["update-baseline"])) {
+    throw new UsageError(
+      `--${
+        reportOption || "update-baseline"
+      } cannot be combined with --fix or --dry-run`
+    );
+  }
+  if (values["update-baseline"] && !values.baseline) {
+    throw new UsageError("--update-baseline needs the --baseline file");
+  }
+  const ignore = values["ignore-file"]
+    ? readIgnoreFile(values["ignore-file"])
+    : [];
+
+  return {
+    help: false,
+    root,
+    level,
+    algorithm,
+    out: path.resolve(values.out),
+    xlsx: values.xlsx && path.resolve(values.xlsx),
+    csv: values.csv && path.resolve(values.csv),
+    html: values.html && path.resolve(values.html),
+    sarif: values.sarif && path.resolve(values.sarif),
+    junit: values.junit && path.resolve(values.junit),
+    include: values.include,
+    exclude: values.exclude,
+    visibility,
+    states,
+    rules,
+    nonText: !values["no-non-text"],
+    crawl: values.crawl ? { maxDepth, maxStates } : false,
+    concurrency,
+    pageTimeout,
+    cache: !values["no-cache"],
+    ignore,
+    baseline: values.baseline && path.resolve(values.baseline),
+    updateBaseline: values["update-baseline"],
+    fix: fixing ? { out: values.fix && path.resolve(values.fix) } : null,
+  };
+}
+
+/**
+ * Runs the fix mode: fixes a copy of the package, or prints the diff of the fixes for a dry run,
+ * and reports which fixes the new scan verified.
+ * @async
+ * @param {Object} options - Options parsed by `parseCliArgs`.
+ * @returns {Promise<number>} - Exit code: clean when no failure remains after the fixes.
+ */
+async function runFix({
+  fix,
+  root,
+  level,
+  algorithm,
+  include,
+  exclude,
+  visibility,
+  states,
+  crawl,
+  concurrency,
+  pageTimeout,
+  ignore,
+  baseline,
+}) {
+  try {
+    const { summary, fixes, unfixable, newFailures, diff } = await fixPackage({
+      root,
+      out: fix.out,
+      dryRun: !fix.out,
+      level,
+      algorithm,
+      include,
+      exclude,
+      visibility,
+      states,
+      crawl,
+      concurrency,
+      pageTimeout,
+      ignore,
+      baseline,
+    });
+    if (!fix.out) process.stdout.write(diff);
+    const log = fix.out ? console.log : console.error;
+    fixes.forEach((change) =>
+      log(
+        `${change.verified ? "Fixed" : "Not verified"}: ${change.file} ${
+          change.selector || "style attribute"
+        } { ${change.property}: ${change.from} -> ${change.to} }`
+      )
+    );
+    unfixable.forEach(({ page, element, reason }) =>
+      log(`Not fixable: ${page} ${element || ""}: ${reason}`)
+    );
+    newFailures.forEach(({ page, element }) =>
+      log(`New failure: ${page} ${element || ""}`)
+    );
+    log(
+      `${summary.fixes} fixes in ${summary.filesChanged} files, ${summary.verified} verified. Failures: ${summary.before.totalFailed} before, ${summary.after.totalFailed} after, ${summary.newFailures} new.`
+    );
+    if (fix.out) log(`Fixed copy written to ${fix.out}`);
+    return summary.after.totalFailed > 0 ? EXIT_VIOLATIONS : EXIT_CLEAN;
+  } catch (error) {
+    console.error("Error fixing color contrast:", error.message);
+    return EXIT_TOOL_ERROR;
+  }
+}
+
+/**
+ * Runs the CLI and resolves with the process exit code.
+ * @async
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function run(argv) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(helpText);
+    return EXIT_TOOL_ERROR;
+  }
+
+  if (options.help) {
+    console.log(helpText);
+    return EXIT_CLEAN;
+  }
+  if (options.fix) return runFix(options);
+
+  try {
+    const { totalInstFailed, totalPageErrors } = await main(options);
+    if (totalInstFailed > 0) return EXIT_VIOLATIONS;
+    return totalPageErrors > 0 ? EXIT_TOOL_ERROR : EXIT_CLEAN;
+  } catch (error) {
+    console.error("Error running color contrast check:", error.message);
+    return EXIT_TOOL_ERROR;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { run, parseCliArgs, UsageError };
@@ -0,0 +1,297 @@
+/**
+ * @module crawlPageStates
+ * @description Explores the UI states of a Lectora page before it is checked.
+ * Lectora reveals text through show/hide actions, timers, rollovers, question feedback and transitions,
+ * so the crawler clicks (or hovers) every reachable action, lets the page settle, and hands each
+ * distinct state to a callback together with the path of actions that led to it.
+ */
+
+const crypto = require("crypto");
+const { waitForTransitions } = require("./util/interactiveStates");
+
+/**
+ * Elements the crawler clicks: links, buttons, question submits, and Lectora hotspots and button `div`s.
+ */
+const CLICK_SELECTOR = [
+  "a[href]",
+  "area[href]",
+  "button",
+  'input[type="submit"]',
+  'input[type="button"]',
+  'input[type="image"]',
+  'input[type="radio"]',
+  'input[type="checkbox"]',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="tab"]',
+  "[onclick]",
+  'div[id^="button"]',
+].join(", ");
+
+/**
+ * Elements the crawler hovers, for Lectora rollover popups.
+ */
+const HOVER_SELECTOR = "[onmouseover], [onmouseenter]";
+
+/**
+ * Lists the actions available in the current state of the page, on visible and enabled elements.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @returns {Promise<Array<Object>>} - `{ type, selector, label }` for each action, type being "click" or "hover".
+ */
+async function getActions(page) {
+  return page.evaluate(
+    (clickSelector, hoverSelector) => {
+      /**
+       * Builds a selector that finds the element again after the page is reloaded.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string} - A unique id selector, or a path of `nth-of-type` steps from the root.
+       */
+      function getSelector(element) {
+        if (
+          element.id &&
+          document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1
+        ) {
+          return `#${CSS.escape(element.id)}`;
+        }
+        const steps = [];
+        for (
+          let node = element;
+          node.parentElement;
+          node = node.parentElement
+        ) {
+          const siblings = Array.from(node.parentElement.children).filter(
+            (sibling) => sibling.tagName === node.tagName
+          );
+          steps.unshift(
+            `${node.tagName.toLowerCase()}:nth-of-type(${
+              siblings.indexOf(node) + 1
+            })`
+          );
+        }
+        return `html > ${steps.join(" > ")}`;
+      }
+
+      /**
+       * Names an action the way an author would recognize it in the state path.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string} - Accessible name, text, value, or id of the element.
+       */
+      function getLabel(element) {
+        const label =
+          element.getAttribute("aria-label") ||
+          element.textContent ||
+          element.value ||
+          element.title ||
+          element.alt ||
+          element.id ||
+          element.tagName.toLowerCase();
+        return label.replace(/\s+/g, " ").trim().slice(0, 60);
+      }
+
+      const isUsable = (element) => {
+        const style = window.getComputedStyle(element);
+        return (
+          element.getClientRects().length > 0 &&
+          style.visibility === "visible" &&
+          style.pointerEvents !== "none" &&
+          !element.matches(
+            ':disabled, [aria-disabled="true"], [target="_blank"]'
+          )
+        );
+      };
+
+      const actions = [];
+      [
+        ["click", clickSelector],
+        ["hover", hoverSelector],
+      ].forEach(([type, selector]) => {
+        document.querySelectorAll(selector).forEach((element) => {
+          if (isUsable(element)) {
+            actions.push({
+              type,
+              selector: getSelector(element),
+              label: getLabel(element),
+            });
+          }
+        });
+      });
+      return actions;
+    },
+    CLICK_SELECTOR,
+    HOVER_SELECTOR
+  );
+}
+
+/**
+ * Fingerprints what the user sees: every visible element with its own text and form state.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @returns {Promise<string>} - A hash of the visible content.
+ */
+async function getStateFingerprint(page) {
+  const content = await page.evaluate(() =>
+    Array.from(document.querySelectorAll("body *"))
+      .filter((element) => {
+        const style = window.getComputedStyle(element);
+        return (
+          element.getClientRects().length > 0 &&
+          style.visibility === "visible" &&
+          style.opacity !== "0"
+        );
+      })
+      .map((element) => {
+        const text = Array.from(element.childNodes)
+          .filter((node) => node.nodeType === Node.TEXT_NODE)
+          .map((node) => node.textContent.trim())
+          .join("");
+        const formState =
+          "checked" in element ? `${element.checked}:${element.value}` : "";
+        return `${element.tagName}#${element.id}[${formState}]${text}`;
+      })
+      .join("|")
+  );
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Waits until the network is idle, Lectora timers had time to fire, and transitions are over.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {number} settleTime - Time in ms given to timers and delayed actions.
+ */
+async function settle(page, settleTime) {
+  await page
+    .waitForNetworkIdle({ idleTime: 200, timeout: settleTime * 4 })
+    .catch(() => {});
+  await new Promise((resolve) => setTimeout(resolve, settleTime));
+  await waitForTransitions(page);
+}
+
+/**
+ * Stops the page from closing itself or opening windows while the crawler clicks through it.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ */
+async function disableWindowActions(page) {
+  await page.evaluate(() => {
+    window.close = () => {};
+    window.open = () => null;
+  });
+}
+
+/**
+ * Performs an action and tells whether the page stayed on the same document.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} action - Action from `getActions`.
+ * @param {number} settleTime - Time in ms given to the page to settle.
+ * @returns {Promise<boolean>} - False if the element is gone or the action navigated to another page.
+ */
+async function performAction(page, action, settleTime) {
+  const documentUrl = page.url().split("#")[0];
+  const handle = await page.$(action.selector);
+  if (!handle) return false;
+
+  try {
+    if (action.type === "hover") await handle.hover();
+    else await handle.click();
+  } catch (error) {
+    return false; // Covered or detached element
+  } finally {
+    await handle.dispose().catch(() => {});
+  }
+
+  await settle(page, settleTime);
+  return page.url().split("#")[0] === documentUrl;
+}
+
+/**
+ * Crawls the UI states of a page breadth first, and calls `onState` while the page is in each distinct state.
+ * States are reached again by reloading the page and replaying the actions of their path.
+ * @async
+ * @function crawlPageStates
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} options
+ * @param {Function} options.load - Loads the page at rest, called before each replay.
+ * @param {Function} options.onState - Called with the state path (array of action labels) in each state.
+ * @param {number} [options.maxDepth=2] - Maximum number of actions in a state path.
+ * @param {number} [options.maxStates=20] - Maximum number of states checked, the initial one included.
+ * @param {number} [options.settleTime=500] - Time in ms given to the page to settle after each action.
+ * @param {number} [options.maxTime=60000] - Time in ms after which no new action is tried. The initial
+ *  state is always checked, and the states found before the time ran out are kept.
+ * @returns {Promise<Object>} - `paths`, the paths of the discovered states, and `timedOut`, whether
+ *  the crawl stopped because its time ran out.
+ */
+async function crawlPageStates(
+  page,
+  {
+    load,
+    onState,
+    maxDepth = 2,
+    maxStates = 20,
+    settleTime = 500,
+    maxTime = 60000,
+  }
+) {
+  const deadline = Date.now() + maxTime;
+  let timedOut = false;
+  const dismissDialog = (dialog) => dialog.dismiss().catch(() => {});
+  page.on("dialog", dismissDialog);
+
+  /**
+   * Reloads the page and replays a path of actions.
+   * @param {Array<Object>} actions - Actions to perform in order.
+   * @returns {Promise<boolean>} - False if an action of the path cannot be replayed.
+   */
+  const replay = async (actions) => {
+    await load();
+    await disableWindowActions(page);
+    for (const action of actions) {
+      if (!(await performAction(page, action, settleTime))) return false;
+    }
+    return true;
+  };
+
+  try {
+    await replay([]);
+    const seen = new Set([await getStateFingerprint(page)]);
+    const discovered = [[]];
+    const queue = [{ actions: [], available: await getActions(page) }];
+    await onState([]);
+
+    while (queue.length && discovered.length < maxStates && !timedOut) {
+      const { actions, available } = queue.shift();
+      if (actions.length >= maxDepth) continue;
+
+      for (const action of available) {
+        if (discovered.length >= maxStates) break;
+        if (Date.now() >= deadline) {
+          timedOut = true;
+          break;
+        }
+        if (!(await replay(actions))) break;
+        if (!(await performAction(page, action, settleTime))) continue;
+
+        const fingerprint = await getStateFingerprint(page);
+        if (seen.has(fingerprint)) continue;
+        seen.add(fingerprint);
+
+        const path = [...actions, action];
+        const statePath = path.map(({ type, label }) =>
+          type === "hover" ? `hover ${label}` : label
+        );
+        discovered.push(statePath);
+        queue.push({ actions: path, available: await getActions(page) });
+        await onState(statePath);
+      }
+    }
+    return { paths: discovered, timedOut };
+  } finally {
+    page.off("dialog", dismissDialog);
+  }
+}
+
+module.exports = crawlPageStates;
+module.exports.CLICK_SELECTOR = CLICK_SELECTOR;
+module.exports.HOVER_SELECTOR = HOVER_SELECTOR;
@@ -1,71 +1,662 @@
 /**
  * @module checkDynamicColorContrastCheck
- * @description This module checks the color contrast of text elements dynamically loaded on a webpage.
+ * @description This module checks the color contrast of text dynamically loaded on a webpage.
+ * Every visible run of text is checked once, with the computed styles of the element that renders it,
+ * then again while links, buttons and form controls are hovered, focused, active or visited.
  * It evaluates if the text color and background color meet the WCAG accessibility standards.
  */
 
 const checkContrast = require("./checkContrastCoreLogic.js");
+const {
+  CONTRAST_RULE_IDS,
+  APCA_RULE_ID,
+  getRequiredContrast,
+  getUnresolvedResult,
+  toFindingFields,
+} = checkContrast;
+const {
+  parseColor,
+  compositeOver,
+  applyOpacity,
+  compositeColorStack,
+  toHex,
+  toRgbString,
+} = require("./util/colorUtils");
+const {
+  SAMPLE_ATTRIBUTE,
+  sampleBackgroundPixels,
+  summarizeBackgroundContrast,
+} = require("./util/backgroundSampler");
+const { getSkippedReasons } = require("./util/visibility");
+const { getApcaContrast, getApcaRequiredLc } = require("./util/apca");
+const {
+  getColorSuggestions,
+  toSuggestionFields,
+} = require("./util/colorSuggestions");
+const { IGNORE_ATTRIBUTE } = require("./util/suppressions");
+const { captureElement } = require("./util/elementScreenshot");
+const {
+  INTERACTIVE_SELECTOR,
+  STATE_ATTRIBUTE,
+  VISITED_ATTRIBUTE,
+  INTERACTIVE_STATES,
+  enterState,
+  leaveState,
+} = require("./util/interactiveStates");
 
 /**
- * Main function to dynamically check color contrast of elements on a webpage.
+ * Checks text drawn over a background image, gradient or picture by sampling the rendered pixels behind it.
+ * The text passes when even the worst sampled pixel meets the requirement and fails when the average does not;
+ * in between, or when nothing can be sampled, it needs a manual review. With APCA, the Lc is taken on the pixels
+ * the ratio found worst and average.
  * @async
- * @function checkDynamicColorContrastCheck
- * @param {Object} page - The Puppeteer page instance representing the loaded webpage.
- * @returns {Promise<Object>} - A summary of the results:
- *  - `xlsxArray`: Array of failed elements with their tag and reason for failure.
- *  - `totalChecked`: Total number of elements checked.
- *  - `totalFailed`: Total number of elements that failed the contrast check.
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} element - Element details collected from the page.
+ * @param {boolean} isLargeText - Whether the text is large by WCAG rules.
+ * @param {string} contrastLevel - WCAG conformance level ("AA" or "AAA").
+ * @param {string} algorithm - Algorithm deciding the status ("wcag2" or "apca").
+ * @returns {Promise<Object>} - A result shaped like the one of `checkContrastCoreLogic`, with status "pass",
+ *  "fail" or "needs review". The ratio and Lc are the average ones for failures and the worst ones otherwise.
+ */
+async function checkImageBackground(
+  page,
+  element,
+  isLargeText,
+  contrastLevel,
+  algorithm
+) {
+  const { textColor, backgroundLayers, fontSize, fontWeight } =
+    element.computedStyles;
+  const { type, value } = element.imageBackground;
+  const description = `${type} background (${value.slice(0, 120)})`;
+
+  const parsedText = parseColor(textColor);
+  const pixels = parsedText
+    ? await sampleBackgroundPixels(page, element.sampleId, element.rect)
+    : [];
+  const requiredContrast = getRequiredContrast(isLargeText, contrastLevel);
+  const apcaRequiredLc = getApcaRequiredLc(fontSize, fontWeight);
+  const result = {
+    ruleId:
+      algorithm === "apca" ? APCA_RULE_ID : CONTRAST_RULE_IDS[contrastLevel],
+    requiredRatio: requiredContrast,
+    level: contrastLevel,
+    isLargeText,
+    apcaRequiredLc,
+    foreground: textColor,
+  };
+  if (!pixels.length) {
+    return {
+      ...result,
+      status: "needs review",
+      ratio: null,
+      apcaLc: null,
+      background: null,
+      message: `=> ${element.selector} Text over ${description} could not be sampled; check its contrast manually.  ${element.id}`,
+    };
+  }
+
+  // Text opacity multiplies with the opacity of its ancestors; backgrounds already include it in the screenshot
+  const text = backgroundLayers.reduce(
+    (color, { opacity }) => applyOpacity(color, opacity),
+    parsedText
+  );
+  const { worstRatio, worstColor, averageRatio, averageColor } =
+    summarizeBackgroundContrast(text, pixels);
+  const getLc = (color) => getApcaContrast(compositeOver(text, color), color);
+  const [worstLc, averageLc] = [getLc(worstColor), getLc(averageColor)];
+  const [meetsWorst, meetsAverage] =
+    algorithm === "apca"
+      ? [worstLc, averageLc].map(
+          (lc) => apcaRequiredLc !== null && Math.abs(lc) >= apcaRequiredLc
+        )
+      : [worstRatio >= requiredContrast, averageRatio >= requiredContrast];
+  const details = `worst case ${worstRatio.toFixed(2)} on ${toRgbString(
+    worstColor
+  )}, average ${averageRatio.toFixed(2)}, required ${requiredContrast}:1 for ${
+    isLargeText ? "large" : "normal"
+  } text (Level ${contrastLevel}); APCA Lc ${worstLc.toFixed(
+    1
+  )} worst, ${averageLc.toFixed(1)} average, required Lc ${
+    apcaRequiredLc ?? "unreachable"
+  } for ${fontSize} text of weight ${fontWeight}.  ${
+    element.id
+  } textColor: ${textColor}`;
+
+  if (!meetsAverage) {
+    return {
+      ...result,
+      status: "fail",
+      ratio: averageRatio,
+      apcaLc: averageLc,
+      background: toRgbString(averageColor),
+      message: `=> ${element.selector} Contrast over ${description} is below the requirement: ${details}`,
+    };
+  }
+  return {
+    ...result,
+    status: meetsWorst ? "pass" : "needs review",
+    ratio: worstRatio,
+    apcaLc: worstLc,
+    background: toRgbString(worstColor),
+    message: `=> ${element.selector} Contrast over ${description} is ${
+      meetsWorst ? "sufficient" : "ambiguous"
+    }: ${details}`,
+  };
+}
+
+/**
+ * Checks the contrast of one run of text against the background painted behind it.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} element - Element details collected from the page.
+ * @param {string} contrastLevel - WCAG conformance level ("AA" or "AAA").
+ * @param {string} algorithm - Algorithm deciding the status ("wcag2" or "apca").
+ * @returns {Promise<Object>} - A result shaped like the one of `checkContrastCoreLogic`, with status "pass",
+ *  "fail" or "needs review".
  */
-async function checkDynamicColorContrastCheck(page, logs2) {
+async function checkTextRun(page, element, contrastLevel, algorithm) {
+  const { textColor, backgroundLayers, fontSize, fontWeight } =
+    element.computedStyles;
+
+  // Determine if the text qualifies as "large" based on WCAG rules
+  const isLargeText = isTextLarge(fontSize, fontWeight);
+
+  // Text over images and gradients is checked against the rendered pixels behind it
+  if (element.imageBackground) {
+    return checkImageBackground(
+      page,
+      element,
+      isLargeText,
+      contrastLevel,
+      algorithm
+    );
+  }
+
+  let compositedTextColor = null;
+  let compositedBackgroundColor = null;
+
   try {
-    let data = []; // Array to store failed elements
-    let totalChecked = 0; // Counter for total elements checked
-    let totalFailed = 0; // Counter for total failures
-    let logs2 = [];
-    // Step 1: Fetch elements and their computed styles from the webpage
-    const elements = await page.evaluate(() => {
+    // Composite translucent text and backgrounds (and ancestor opacity) into opaque colors
+    const composited = compositeColorStack({
+      textColor,
+      layers: backgroundLayers,
+    });
+    compositedTextColor = toRgbString(composited.textColor);
+    compositedBackgroundColor = toRgbString(composited.backgroundColor);
+
+    // Use the core logic to check color contrast
+    return checkContrast(
+      toHex(composited.textColor),
+      toHex(composited.backgroundColor),
+      isLargeText,
+      element,
+      compositedTextColor,
+      compositedBackgroundColor,
+      contrastLevel, // WCAG compliance level (AA or AAA)
+      { algorithm, fontSize, fontWeight }
+    );
+  } catch (error) {
+    // The element has an unresolvable color
+    return getUnresolvedResult(
+      error.message,
+      isLargeText,
+      contrastLevel,
+      compositedTextColor,
+      compositedBackgroundColor,
+      algorithm
+    );
+  }
+}
+
+/**
+ * Identifies a run of text across collections, to compare its styles at rest and in a state.
+ * @param {Object} run - Text run details collected from the page.
+ * @returns {string} - The key of the run.
+ */
+function getRunKey(run) {
+  return `${run.selector}#${run.id}.${run.classList.join(".")} ${run.text}`;
+}
+
+/**
+ * Serializes the styles a state may change, to tell whether a run looks different than at rest.
+ * @param {Object} run - Text run details collected from the page.
+ * @returns {string} - The serialized styles.
+ */
+function getRunStyles(run) {
+  return JSON.stringify([
+    run.hiddenReason,
+    run.computedStyles,
+    run.imageBackground,
+  ]);
+}
+
+/**
+ * Collects the runs of text below a root element with the computed styles needed to check their contrast.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} options
+ * @param {Array<string>} options.skipReasons - Hidden reasons that mark a run as skipped.
+ * @param {string} [options.rootSelector] - Selector of the root element, defaults to the whole body.
+ * @param {string} [options.idPrefix=""] - Prefix of the sampling ids, unique for each collection.
+ * @param {boolean} [options.markInteractive=false] - Whether to mark the controls to check in interactive states.
+ * @returns {Promise<Object>} - `runs`, the collected text runs, and `interactiveCount`, the number of marked controls.
+ */
+async function collectTextRuns(
+  page,
+  { skipReasons, rootSelector = null, idPrefix = "", markInteractive = false }
+) {
+  const collectOptions = {
+    sampleAttribute: SAMPLE_ATTRIBUTE,
+    stateAttribute: STATE_ATTRIBUTE,
+    markerAttributes: [SAMPLE_ATTRIBUTE, STATE_ATTRIBUTE, VISITED_ATTRIBUTE],
+    interactiveSelector: markInteractive ? INTERACTIVE_SELECTOR : null,
+    ignoreAttribute: IGNORE_ATTRIBUTE,
+    skipReasons,
+    rootSelector,
+    idPrefix,
+  };
+  return page.evaluate(
+    ({
+      sampleAttribute,
+      stateAttribute,
+      markerAttributes,
+      interactiveSelector,
+      ignoreAttribute,
+      skipReasons,
+      rootSelector,
+      idPrefix,
+    }) => {
       /**
-       * Recursively calculates the effective background color of an element.
-       * If the element's background is transparent, it checks its parent until a valid background is found.
+       * Collects the background color and opacity of an element and each of its ancestors.
+       * The layers are composited in Node to get the color actually painted behind the text.
        * @param {HTMLElement} element - The DOM element.
-       * @returns {string} - The effective background color in RGB format.
+       * @returns {Array<Object>} - `{ backgroundColor, opacity }` from the element up to the root.
        */
-      function getEffectiveBackgroundColor(element) {
-        if (!element) return "rgb(255, 255, 255)"; // Default to white if no background is found
+      function getBackgroundLayers(element) {
+        const layers = [];
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          layers.push({
+            backgroundColor: style.backgroundColor,
+            opacity: style.opacity,
+          });
+        }
+        return layers;
+      }
 
-        const backgroundColor =
-          window.getComputedStyle(element).backgroundColor;
+      /**
+       * Finds a background image, gradient or picture (img, video, canvas, svg) painted behind an element,
+       * before an opaque background color hides whatever is further below.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {Object|null} - `{ type, value }` describing the background, or null for plain colors.
+       */
+      function getImageBackground(element) {
+        for (let node = element; node; node = node.parentElement) {
+          const style = window.getComputedStyle(node);
+          if (style.backgroundImage && style.backgroundImage !== "none") {
+            return {
+              type: /gradient\(/.test(style.backgroundImage)
+                ? "gradient"
+                : "image",
+              value: style.backgroundImage,
+            };
+          }
+          if (/^rgb\(/.test(style.backgroundColor)) break; // Opaque background
+        }
 
-        // Return the background color if it's not transparent
+        const rect = element.getBoundingClientRect();
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + rect.height / 2;
         if (
-          backgroundColor &&
-          backgroundColor !== "rgba(0, 0, 0, 0)" &&
-          backgroundColor !== "transparent"
+          x < 0 ||
+          y < 0 ||
+          x >= window.innerWidth ||
+          y >= window.innerHeight
         ) {
-          return backgroundColor;
+          return null;
+        }
+        const stack = document.elementsFromPoint(x, y);
+        for (const below of stack.slice(stack.indexOf(element) + 1)) {
+          if (
+            ["IMG", "VIDEO", "CANVAS", "svg"].includes(below.tagName) &&
+            !element.contains(below)
+          ) {
+            return {
+              type: "picture",
+              value:
+                below.currentSrc || below.src || below.tagName.toLowerCase(),
+            };
+          }
+          const style = window.getComputedStyle(below);
+          if (
+            /^rgb\(/.test(style.backgroundColor) ||
+            style.backgroundImage !== "none"
+          ) {
+            break; // Covered by the ancestor walk above, or hides what is below
+          }
         }
-        // Check the parent element recursively
-        return getEffectiveBackgroundColor(element.parentElement);
+        return null;
       }
 
-      // Select all target elements and extract their details
-      return Array.from(
-        document.querySelectorAll(
-          "div, span, p, header, footer, h1, h2, h3, h4, h5, h6, article, section, blockquote, pre, code, ul, ol, li, a, b, i, u, strong, em, small, mark, sub, sup, br, hr, form, input, textarea, button, select, option, optgroup, label, fieldset, legend, output, datalist, progress, meter, img, video, audio, source, track, picture, canvas, svg, iframe, table, caption, thead, tbody, tfoot, tr, td, th, col, colgroup, details, summary, dialog, nav, main, aside, figure, figcaption, time, address, cite, q, abbr, kbd, samp, var, data, ruby, rt, rp, wbr"
-        )
-      ).map((element) => ({
-        text: element.textContent.trim(), // Text content inside the element
-        html: element.outerHTML.trim(), // Outer HTML of the element
-        selector: element.tagName.toLowerCase(), // Tag name (e.g., div, span)
-        id: element.id || null, // ID of the element (if present)
-        classList: [...element.classList], // List of classes applied to the element
-        computedStyles: {
-          textColor: window.getComputedStyle(element).color, // Text color
-          backgroundColor: getEffectiveBackgroundColor(element), // Effective background color
-          fontSize: window.getComputedStyle(element).fontSize, // Font size
-          fontWeight: window.getComputedStyle(element).fontWeight, // Font weight
-        },
-      }));
+      /**
+       * Builds a path that finds the element again in later runs: \`nth-of-type\` steps from its closest
+       * ancestor with an id, or from the root.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string} - The element path (e.g. "#page > div:nth-of-type(2) > span:nth-of-type(1)").
+       */
+      function getElementPath(element) {
+        const steps = [];
+        for (let node = element; node; node = node.parentElement) {
+          if (node.id) {
+            steps.unshift(`#${node.id}`);
+            break;
+          }
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(
+                (sibling) => sibling.tagName === node.tagName
+              )
+            : [node];
+          steps.unshift(
+            `${node.tagName.toLowerCase()}:nth-of-type(${
+              siblings.indexOf(node) + 1
+            })`
+          );
+        }
+        return steps.join(" > ");
+      }
+
+      /**
+       * Returns the outer HTML of an element without the attributes the checker adds to the page.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string} - The outer HTML.
+       */
+      function getOuterHtml(element) {
+        const clone = element.cloneNode(true);
+        [clone, ...clone.querySelectorAll("*")].forEach((node) =>
+          markerAttributes.forEach((attribute) =>
+            node.removeAttribute(attribute)
+          )
+        );
+        return clone.outerHTML.trim();
+      }
+
+      /**
+       * Finds why an element cannot be seen, testing only the reasons the visibility policy skips.
+       * @param {HTMLElement} element - The DOM element.
+       * @returns {string|null} - The first matching hidden reason, or null if the element is visible.
+       */
+      function getHiddenReason(element) {
+        const rect = element.getBoundingClientRect();
+        const ancestors = [];
+        for (let node = element; node; node = node.parentElement) {
+          ancestors.push({ node, style: window.getComputedStyle(node) });
+        }
+        const tests = {
+          "display-none": () =>
+            ancestors.some(({ style }) => style.display === "none"),
+          "visibility-hidden": () =>
+            ["hidden", "collapse"].includes(ancestors[0].style.visibility),
+          transparent: () =>
+            ancestors.some(({ style }) => parseFloat(style.opacity) === 0),
+          "zero-size": () => rect.width < 1 || rect.height < 1,
+          "off-page": () => {
+            const left = rect.left + window.scrollX;
+            const top = rect.top + window.scrollY;
+            const root = document.documentElement;
+            return (
+              left + rect.width <= 0 ||
+              top + rect.height <= 0 ||
+              left >= Math.max(root.scrollWidth, window.innerWidth) ||
+              top >= Math.max(root.scrollHeight, window.innerHeight)
+            );
+          },
+          clipped: () =>
+            ancestors.some(({ node, style }) => {
+              if (
+                style.clip === "rect(0px, 0px, 0px, 0px)" ||
+                /^inset\(50%/.test(style.clipPath)
+              ) {
+                return true; // Visually hidden, e.g. screen reader only text
+              }
+              if (node === element) return false;
+              const box = node.getBoundingClientRect();
+              return (
+                (style.overflowX !== "visible" &&
+                  (rect.right <= box.left || rect.left >= box.right)) ||
+                (style.overflowY !== "visible" &&
+                  (rect.bottom <= box.top || rect.top >= box.bottom))
+              );
+            }),
+          "aria-hidden": () => Boolean(element.closest('[aria-hidden="true"]')),
+        };
+        return skipReasons.find((reason) => tests[reason]()) || null;
+      }
+
+      /**
+       * Walks the text nodes below a root element and groups them by the element that renders them,
+       * so each run of text is checked once with the styles of its own parent instead of every wrapper.
+       * @param {HTMLElement} root - The element whose text is collected.
+       * @returns {Map<HTMLElement, string>} - The rendering elements and their own text.
+       */
+      function getTextRuns(root) {
+        const runs = new Map();
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+          acceptNode: (node) =>
+            node.textContent.trim() &&
+            node.parentElement &&
+            !node.parentElement.closest(
+              "script, style, noscript, template, head, title"
+            )
+              ? NodeFilter.FILTER_ACCEPT
+              : NodeFilter.FILTER_REJECT,
+        });
+        while (walker.nextNode()) {
+          const element = walker.currentNode.parentElement;
+          runs.set(
+            element,
+            `${runs.get(element) || ""} ${walker.currentNode.textContent}`
+          );
+        }
+        return runs;
+      }
+
+      const root = rootSelector
+        ? document.querySelector(rootSelector)
+        : document.body || document.documentElement;
+      if (!root) return { runs: [], interactiveCount: 0 };
+
+      // Collect each run of text with the details of the element painting it
+      const runs = Array.from(getTextRuns(root)).map(([element, text], i) => {
+        const index = `${idPrefix}${i}`;
+        const hiddenReason = getHiddenReason(element);
+        const imageBackground = hiddenReason
+          ? null
+          : getImageBackground(element);
+        const rect = element.getBoundingClientRect();
+        if (imageBackground) element.setAttribute(sampleAttribute, index); // Target for pixel sampling
+        return {
+          text: text.replace(/\s+/g, " ").trim(), // Text rendered directly by the element
+          html: getOuterHtml(element), // Outer HTML of the element
+          path: getElementPath(element), // Path of the element from its closest ancestor with an id
+          ignoreJustification:
+            element
+              .closest(`[${ignoreAttribute}]`)
+              ?.getAttribute(ignoreAttribute) ?? null, // Why the element is exempt from the check (if it is)
+          selector: element.tagName.toLowerCase(), // Tag name (e.g., div, span)
+          id: element.id || null, // ID of the element (if present)
+          classList: [...element.classList], // List of classes applied to the element
+          computedStyles: {
+            textColor: window.getComputedStyle(element).color, // Text color
+            backgroundLayers: getBackgroundLayers(element), // Background colors and opacity down the stack
+            fontSize: window.getComputedStyle(element).fontSize, // Font size
+            fontWeight: window.getComputedStyle(element).fontWeight, // Font weight
+          },
+          imageBackground, // Background image, gradient or picture behind the text (if any)
+          sampleId: imageBackground ? index : null, // Value of the sampling attribute
+          rect: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          }, // Box of the element in document coordinates
+          hiddenReason, // Why users cannot see the text (if hidden)
+          disabled: Boolean(
+            element.closest(':disabled, [aria-disabled="true"]')
+          ), // Text of an inactive control
+        };
+      });
+
+      // Mark the visible, enabled controls whose text is checked again in each interactive state
+      let interactiveCount = 0;
+      if (interactiveSelector) {
+        root.querySelectorAll(interactiveSelector).forEach((element) => {
+          if (
+            element.textContent.trim() &&
+            !element.matches(':disabled, [aria-disabled="true"]') &&
+            !getHiddenReason(element)
+          ) {
+            element.setAttribute(stateAttribute, interactiveCount);
+            interactiveCount += 1;
+          }
+        });
+      }
+      return { runs, interactiveCount };
+    },
+    collectOptions
+  );
+}
+
+/**
+ * Main function to dynamically check color contrast of elements on a webpage.
+ * @async
+ * @function checkDynamicColorContrastCheck
+ * @param {Object} page - The Puppeteer page instance representing the loaded webpage.
+ * @param {Array<string>} logs2 - Array the operation logs are pushed into.
+ * @param {Object} [options]
+ * @param {string} [options.contrastLevel="AA"] - WCAG conformance level to check against ("AA" or "AAA").
+ * @param {string} [options.algorithm="wcag2"] - Algorithm deciding the status: the WCAG 2 ratio ("wcag2")
+ *  or the APCA lightness contrast for the font size and weight ("apca"). Both scores are reported either way.
+ * @param {string|Array<string>} [options.visibility="visible"] - Policy naming which hidden text runs are skipped,
+ *  see `util/visibility`.
+ * @param {Array<string>} [options.states] - Interactive states the controls are checked in
+ *  ("hover", "focus", "active", "visited"), all of them by default.
+ * @param {boolean} [options.screenshots=false] - Attach a screenshot of each reported element, outlined,
+ *  as a PNG data URL in `Screenshot`.
+ * @returns {Promise<Object>} - A summary of the results:
+ *  - `xlsxArray`: Array of failed elements with their tag, reason for failure, the state they failed in
+ *    and the fields of their contrast result (`Rule_Id`, `Status`, `Contrast_Ratio`, `Required_Ratio`, `Level`,
+ *    `Large_Text`, `Text_Color`, `Background_Color`, `APCA_Lc`, `APCA_Required_Lc`) and the nearest compliant colors (`Suggested_Text_Color`,
+ *    `Suggested_Background_Color`).
+ *  - `totalChecked`: Total number of text runs checked.
+ *  - `totalFailed`: Total number of text runs that failed the contrast check.
+ *  - `totalNeedsReview`: Total number of text runs over images or gradients whose contrast could not be decided.
+ *  - `totalSkipped`: Total number of hidden text runs that were not checked.
+ *  - `skippedReasons`: Number of skipped text runs per hidden reason (e.g. `{ "display-none": 3 }`).
+ *  - `errors`: What could not be checked (a text run, a control in a state, or the whole page) and why.
+ *    The other results are kept, but a page with errors has not passed.
+ */
+async function checkDynamicColorContrastCheck(
+  page,
+  logs2,
+  {
+    contrastLevel = "AA",
+    algorithm = "wcag2",
+    visibility = "visible",
+    states = INTERACTIVE_STATES,
+    screenshots = false,
+  } = {}
+) {
+  let data = []; // Array to store failed elements
+  let totalChecked = 0; // Counter for total elements checked
+  let totalFailed = 0; // Counter for total failures
+  let totalNeedsReview = 0; // Counter for results that need a manual review
+  let totalSkipped = 0; // Counter for hidden text that is not checked
+  const skippedReasons = {}; // Skipped text per hidden reason
+  const errors = []; // Text runs and states that could not be checked
+  const skipReasons = getSkippedReasons(visibility);
+
+  /**
+   * Records what could not be checked, so the page is not reported as passing.
+   * @param {string} subject - The text run, control or state that was being checked.
+   * @param {Error} error - The error thrown.
+   */
+  const recordError = async (subject, error) => {
+    errors.push(`${subject}: ${error.message}`);
+    logs2.push(
+      `Error: Page:${(await page.url()).split("/")}, ${subject}. Reason: ${
+        error.message
+      }`
+    );
+  };
+
+  /**
+   * Counts a failed or ambiguous result and stores it in the report, tagged with the state it was seen in.
+   * @param {Object} element - Element details collected from the page.
+   * @param {Object} result - Result of `checkTextRun`.
+   * @param {string} state - "default", "disabled" or the interactive state applied.
+   */
+  const report = async (element, result, state) => {
+    const title = (await page.url()).split("/");
+    const finding = {
+      Tag: element.html, // Store the element's outer HTML
+      PageName: title.slice(title.length - 2, title.length).join("/"),
+      Selector: element.selector,
+      Element_Path: element.path,
+      Text: element.text,
+      Inline_Ignore: element.ignoreJustification,
+      Reason_For_Failing: result.message, // Store the failure reason
+      ...toFindingFields(result), // Rule, ratio, requirement and the colors after compositing
+      ...toSuggestionFields(
+        getColorSuggestions(result, { background: !element.imageBackground })
+      ), // Nearest compliant colors; images cannot be recolored
+      State: state, // State of the element when the failure was seen
+      ...(screenshots && {
+        Screenshot: await captureElement(page, element.rect), // Outlined element, taken in that state
+      }),
+    };
+    if (result.status === "fail") totalFailed += 1;
+    else totalNeedsReview += 1;
+    logs2.push(
+      `${result.status === "fail" ? "Error" : "Review"}: Page:${title}, Tag ${
+        element.selector
+      } with ID: ${element.id || "No ID"}, State: ${state}. Reason: ${
+        result.message
+      }`
+    );
+    data.push(finding);
+  };
+
+  /**
+   * Checks one text run and reports it unless it passes. A run that cannot be checked is recorded as an error.
+   * @param {Object} element - Text run details collected from the page.
+   * @param {string} state - "default", "disabled" or the interactive state applied.
+   */
+  const checkRun = async (element, state) => {
+    try {
+      const result = await checkTextRun(
+        page,
+        element,
+        contrastLevel,
+        algorithm
+      );
+      totalChecked += 1; // Increment the checked elements counter
+      if (result.status !== "pass") await report(element, result, state);
+    } catch (error) {
+      await recordError(
+        `Tag ${element.selector} with ID: ${
+          element.id || "No ID"
+        }, State: ${state}`,
+        error
+      );
+    }
+  };
+
+  try {
+    // Step 1: Fetch elements and their computed styles from the webpage
+    const { runs: elements, interactiveCount } = await collectTextRuns(page, {
+      skipReasons,
+      markInteractive: states.length > 0,
     });
 
     // Step 2: Loop through each element and check color contrast
@@ -78,92 +669,90 @@ async function checkDynamicColorContrastCheck(page, logs2) {
       );
       if (!element.text) continue;
 
-      totalChecked += 1; // Increment the checked elements counter
-
-      const { textColor, backgroundColor, fontSize, fontWeight } =
-        element.computedStyles;
-
-      // Skip elements with transparent or no background
-      if (
-        backgroundColor === "rgba(0, 0, 0, 0)" ||
-        backgroundColor === "transparent"
-      ) {
+      // Skip text users cannot see, as decided by the visibility policy
+      if (element.hiddenReason) {
+        totalSkipped += 1;
+        skippedReasons[element.hiddenReason] =
+          (skippedReasons[element.hiddenReason] || 0) + 1;
+        logs2.push(
+          `Skipped: Page:${(await page.url()).split("/")}, Tag ${
+            element.selector
+          } with ID: ${element.id || "No ID"}. Reason: ${element.hiddenReason}`
+        );
         continue;
       }
 
-      // Ensure both text and background colors are available
-      if (textColor && backgroundColor) {
-        let hexTextColor = textColor;
-        let hexBackgroundColor = backgroundColor;
-
-        // Convert colors to HEX format if not already in HEX
-        if (!isHexColor(textColor)) hexTextColor = rgbToHex(textColor);
-        if (!isHexColor(backgroundColor))
-          hexBackgroundColor = rgbToHex(backgroundColor);
+      await checkRun(element, element.disabled ? "disabled" : "default");
+    }
 
-        // Determine if the text qualifies as "large" based on WCAG rules
-        const isLargeText = isTextLarge(fontSize, fontWeight);
+    // Step 3: Put each control in every interactive state and check the text whose styles changed
+    for (let index = 0; index < interactiveCount; index++) {
+      const rootSelector = `[${STATE_ATTRIBUTE}="${index}"]`;
+      let restStyles;
+      try {
+        const { runs: restRuns } = await collectTextRuns(page, {
+          skipReasons,
+          rootSelector,
+          idPrefix: `${index}-`,
+        });
+        restStyles = new Map(
+          restRuns.map((run) => [getRunKey(run), getRunStyles(run)])
+        );
+      } catch (error) {
+        await recordError(`Control ${rootSelector}`, error);
+        continue;
+      }
 
+      for (const state of states) {
         try {
-          // Use the core logic to check color contrast
-          checkContrast(
-            hexTextColor,
-            hexBackgroundColor,
-            isLargeText,
-            element,
-            textColor,
-            backgroundColor,
-            "AA" // WCAG AA compliance level
-          );
-        } catch (error) {
-          // If the element fails the contrast check, log the failure
-          totalFailed += 1; // Increment failure counter
-          const title = (await page.url()).split("/");
-          logs2.push(
-            `Error: Page:${title}, Tag ${element.selector} with ID: ${
-              element.id || "No ID"
-            }. Reason: ${error.message}`
-          );
-          data.push({
-            Tag: element.html, // Store the element's outer HTML
-            PageName: title.slice(title.length - 2, title.length).join("/"),
-            Reason_For_Failing: error.message, // Store the failure reason
+          if (!(await enterState(page, rootSelector, state))) continue;
+          const { runs } = await collectTextRuns(page, {
+            skipReasons,
+            rootSelector,
+            idPrefix: `${index}-${state}-`,
           });
+
+          for (const element of runs) {
+            if (!element.text || element.hiddenReason) continue;
+            if (restStyles.get(getRunKey(element)) === getRunStyles(element)) {
+              continue; // Same colors as at rest, already checked
+            }
+            await checkRun(element, state);
+          }
+          await leaveState(page, rootSelector, state);
+        } catch (error) {
+          await recordError(`Control ${rootSelector}, State: ${state}`, error);
+          await leaveState(page, rootSelector, state).catch(() => {});
         }
       }
     }
 
-    // Prepare the data for exporting as a report
-    let xlsxArray = data;
-
-    // Return the results
-    return { xlsxArray, totalChecked, totalFailed };
+    // Remove the sampling and state markers from the page
+    await page.evaluate(
+      (attributes) => {
+        attributes.forEach((attribute) =>
+          document
+            .querySelectorAll(`[${attribute}]`)
+            .forEach((element) => element.removeAttribute(attribute))
+        );
+      },
+      [SAMPLE_ATTRIBUTE, STATE_ATTRIBUTE, VISITED_ATTRIBUTE]
+    );
   } catch (error) {
-    // Handle errors gracefully
-    console.error("Error running accessibility test:", error);
-    return { xlsxArray: [], totalChecked: 0, totalFailed: 0 };
+    // The page itself could not be read: keep what was checked so far
+    await recordError("Text runs of the page", error);
   }
-}
 
-/**
- * Converts an RGB or RGBA color to Hexadecimal format.
- * @param {string} rgb - The RGB/RGBA color (e.g., "rgb(255, 255, 255)").
- * @returns {string|null} - The color in HEX format, or null if invalid.
- */
-function rgbToHex(rgb) {
-  const result = rgb.match(/\d+/g); // Extract numeric values from the color string
-  if (!result) return null;
-
-  const [r, g, b] = result; // Extract red, green, and blue components
-  return `#${(
-    (1 << 24) +
-    (parseInt(r) << 16) +
-    (parseInt(g) << 8) +
-    parseInt(b)
-  )
-    .toString(16)
-    .slice(1)
-    .toUpperCase()}`;
+  // Return the results
+  return {
+    xlsxArray: data,
+    totalChecked,
+    totalFailed,
+    totalNeedsReview,
+    totalSkipped,
+    skippedReasons,
+    errors,
+  };
 }
 
 /**
@@ -181,13 +770,4 @@ function isTextLarge(fontSize, fontWeight) {
   return sizeInPx >= 18 || (sizeInPx >= 14 && isBold);
 }
 
-/**
- * Validates if a given color is in Hexadecimal format.
- * @param {string} color - The color string to validate.
- * @returns {boolean} - True if the color is in HEX format, otherwise false.
- */
-function isHexColor(color) {
-  return /^#([0-9A-F]{3}){1,2}$/i.test(color);
-}
-
 module.exports = checkDynamicColorContrastCheck;
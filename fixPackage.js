@@ -0,0 +1,494 @@
+/**
+ * @module fixPackage
+ * @description Fixes the contrast failures of a Lectora package: the suggested colors of the static check are
+ * written into the declarations of the course stylesheets and the inline `style` attributes that set the failing
+ * colors, in a copy of the package or as a dry-run diff, and both checks are run again on the fixed pages to
+ * verify each fix.
+ */
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const scanPackage = require("./scanPackage");
+const { APCA_RULE_ID, getContrastRatio } = require("./checkContrastCoreLogic");
+const { getApcaContrast } = require("./util/apca");
+const { parseColor } = require("./util/colorUtils");
+const { getCssPatch, replaceColor } = require("./util/cssPatch");
+const { getRegionText, applyEdits, renderDiff } = require("./util/textEdits");
+const { locateAttribute } = require("./util/sourceLocation");
+const { isZipPackage, extractPackage } = require("./util/coursePackage");
+const { InvalidOptionError, PackageNotFoundError } = require("./util/errors");
+
+/**
+ * Names a file by its path in the package, with forward slashes.
+ * @param {string} root - The package folder.
+ * @param {string} file - Path of the file.
+ * @returns {string} - Path relative to the package.
+ */
+function getPackagePath(root, file) {
+  return path.relative(root, file).split(path.sep).join("/");
+}
+
+/**
+ * Validates the options of `fixPackage` that `scanPackage` does not check.
+ * @param {Object} options - Options passed to `fixPackage`.
+ */
+function validateOptions({ root, out, dryRun }) {
+  if (typeof dryRun !== "boolean") {
+    throw new InvalidOptionError("dryRun", "`dryRun` must be a boolean");
+  }
+  if (dryRun === Boolean(out)) {
+    throw new InvalidOptionError(
+      "out",
+      "Pass either `out`, the folder of the fixed copy, or `dryRun: true`"
+    );
+  }
+  if (
+    typeof root !== "string" ||
+    !root ||
+    (!isZipPackage(root) &&
+      (!fs.existsSync(root) || !fs.statSync(root).isDirectory()))
+  ) {
+    throw new PackageNotFoundError(root);
+  }
+  if (out === undefined) return;
+  if (typeof out !== "string") {
+    throw new InvalidOptionError("out", "`out` must be a folder path");
+  }
+  const inside = path.relative(path.resolve(root), path.resolve(out));
+  if (
+    !isZipPackage(root) &&
+    !inside.startsWith("..") &&
+    !path.isAbsolute(inside)
+  ) {
+    throw new InvalidOptionError(
+      "out",
+      `The fixed copy cannot be written inside the package: ${out}`
+    );
+  }
+  if (fs.existsSync(out) && fs.readdirSync(out).length) {
+    throw new InvalidOptionError("out", `Folder is not empty: ${out}`);
+  }
+}
+
+/**
+ * Tells whether a suggested color fixes a finding, for the property the fix changes.
+ * @param {string} property - "color" for the text color, else a background property.
+ * @param {string} color - The suggested color.
+ * @param {Object} finding - The finding.
+ * @returns {boolean} - True if the finding meets its required ratio, or its required APCA Lc, with the color.
+ */
+function fixesFinding(property, color, finding) {
+  const suggested = parseColor(color);
+  const other = parseColor(
+    property === "color" ? finding.Background_Color : finding.Text_Color
+  );
+  if (!suggested || !other) return false;
+  if (finding.Rule_Id === APCA_RULE_ID) {
+    const [text, background] =
+      property === "color" ? [suggested, other] : [other, suggested];
+    return (
+      typeof finding.APCA_Required_Lc === "number" &&
+      Math.abs(getApcaContrast(text, background)) >= finding.APCA_Required_Lc
+    );
+  }
+  return getContrastRatio(suggested, other) >= finding.Required_Ratio;
+}
+
+/**
+ * Groups the fixable findings of a scan by the declaration their patch changes, and picks one color
+ * per declaration: the suggestion that fixes the most of the findings sharing it.
+ * @param {Object} result - Result of `scanPackage` on the package folder.
+ * @param {string} root - The package folder.
+ * @returns {Object} - `fixes`, one per declaration, and `unfixable`, the failures no patch can fix.
+ */
+function planFixes(result, root) {
+  const groups = new Map();
+  const unfixable = [];
+
+  result.pages.forEach((page) =>
+    page.findings
+      .filter((finding) => finding.check === "static" && !finding.Suppressed)
+      .forEach((finding) => {
+        const patch = finding.Suggested_Patch;
+        const color =
+          patch &&
+          (patch.property === "color"
+            ? finding.Suggested_Text_Color
+            : finding.Suggested_Background_Color);
+        const inline =
+          patch &&
+          patch.source === "style attribute" &&
+          finding.Source_Location;
+        if (!color || (!patch.region && !inline)) {
+          unfixable.push({
+            page: getPackagePath(root, page.file),
+            element: finding.Element_Path || null,
+            text: finding.Text || "",
+            reason:
+              !finding.Suggested_Text_Color &&
+              !finding.Suggested_Background_Color
+                ? "No color of the same hue meets the required contrast"
+                : !patch
+                ? "The failing color is not declared by the page"
+                : !color
+                ? "No color of the same hue meets the required contrast"
+                : patch.source === "style attribute"
+                ? "The element cannot be found unambiguously in the page source"
+                : `Colors declared in ${patch.source} are not rewritten`,
+          });
+          return;
+        }
+
+        const file = inline ? page.file : path.join(root, patch.source);
+        const key = inline
+          ? `${file}|${finding.Source_Location.startLine}:${finding.Source_Location.startColumn}|${patch.property}`
+          : `${file}|${patch.region.startLine}:${patch.region.startColumn}`;
+        if (!groups.has(key)) {
+          groups.set(key, { file, inline, patch, entries: [] });
+        }
+        groups.get(key).entries.push({ page, finding, color });
+      })
+  );
+
+  const fixes = [...groups.values()].map(({ file, inline, patch, entries }) => {
+    const [best] = [...new Set(entries.map(({ color }) => color))]
+      .map((color) => ({
+        color,
+        fixed: entries.filter(({ finding }) =>
+          fixesFinding(patch.property, color, finding)
+        ).length,
+      }))
+      .sort((a, b) => b.fixed - a.fixed);
+    return {
+      file,
+      inline: inline || null,
+      selector: patch.selector,
+      property: patch.property,
+      from: patch.from,
+      to: replaceColor(patch.property, patch.from, best.color),
+      color: best.color,
+      region: patch.region,
+      important: /!important\s*$/.test(patch.replacement || ""),
+      elements: entries.map(({ page, finding }) => ({
+        page: page.file,
+        element: finding.Element_Path,
+        text: finding.Text || "",
+      })),
+    };
+  });
+  return { fixes, unfixable };
+}
+
+/**
+ * Sets properties in the value of a `style` attribute, replacing their last declaration or appending one.
+ * @param {string} style - The attribute value.
+ * @param {Object} colors - New color of each property.
+ * @returns {string} - The new attribute value.
+ */
+function setStyleColors(style, colors) {
+  return Object.entries(colors).reduce((current, [property, color]) => {
+    const declarations = current.split(/;(?![^(]*\))/);
+    const index = declarations
+      .map(
+        (declaration) =>
+          declaration.split(":")[0].trim().toLowerCase() === property
+      )
+      .lastIndexOf(true);
+    if (index === -1) {
+      return `${current.replace(/;?\s*$/, "")}; ${property}: ${color}`;
+    }
+    const declaration = declarations[index];
+    const colon = declaration.indexOf(":");
+    const name = declaration.slice(0, colon + 1);
+    const value = declaration.slice(colon + 1);
+    const important = /!important\s*$/i.test(value) ? " !important" : "";
+    const [, leading, trailing] = value.match(/^(\s*)[\s\S]*?(\s*)$/);
+    const newValue = replaceColor(
+      property,
+      value.replace(/\s*!important\s*$/i, "").trim(),
+      color
+    );
+    declarations[index] = `${name}${leading}${newValue}${important}${trailing}`;
+    return declarations.join(";");
+  }, style);
+}
+
+/**
+ * Turns the planned fixes into edits of each file. Fixes of the same `style` attribute become one edit.
+ * @param {Array<Object>} fixes - Fixes from `planFixes`.
+ * @returns {Object} - `edits` by file path, and the `skipped` fixes whose `style` attribute cannot be
+ *  rewritten, each with its `fix` and the `reason`.
+ */
+function getFileEdits(fixes) {
+  const edits = new Map();
+  const addEdit = (file, edit) => {
+    if (!edits.has(file)) edits.set(file, []);
+    edits.get(file).push(edit);
+  };
+
+  fixes
+    .filter((fix) => !fix.inline)
+    .forEach((fix) => {
+      const { replacement } = getCssPatch(
+        {
+          inline: false,
+          source: fix.file,
+          selector: fix.selector,
+          property: fix.property,
+          value: fix.from,
+          important: fix.important,
+          line: fix.region.startLine,
+          column: fix.region.startColumn,
+          endLine: fix.region.endLine,
+          endColumn: fix.region.endColumn,
+        },
+        fix.color
+      );
+      addEdit(fix.file, { ...fix.region, text: replacement });
+    });
+
+  const attributes = new Map();
+  fixes
+    .filter((fix) => fix.inline)
+    .forEach((fix) => {
+      const key = `${fix.file}|${fix.inline.startLine}:${fix.inline.startColumn}`;
+      if (!attributes.has(key)) {
+        attributes.set(key, {
+          file: fix.file,
+          location: fix.inline,
+          colors: {},
+          fixes: [],
+        });
+      }
+      attributes.get(key).colors[fix.property] = fix.color;
+      attributes.get(key).fixes.push(fix);
+    });
+  const skipped = [];
+  attributes.forEach(({ file, location, colors, fixes: attributeFixes }) => {
+    const region = locateAttribute(file, location, "style");
+    const match =
+      region &&
+      getRegionText(fs.readFileSync(file, "utf-8"), region).match(
+        /^([^=]+=\s*)(["']?)([\s\S]*?)\2$/
+      );
+    if (!match) {
+      const reason = region
+        ? "The style attribute cannot be parsed in the page source"
+        : "The style attribute cannot be found in the page source";
+      attributeFixes.forEach((fix) => skipped.push({ fix, reason }));
+      return;
+    }
+    const [, name, quote, value] = match;
+    const delimiter = quote || '"';
+    addEdit(file, {
+      ...region,
+      text: `${name}${delimiter}${setStyleColors(value, colors)}${delimiter}`,
+    });
+  });
+  return { edits, skipped };
+}
+
+/**
+ * Lists the failures of a scan by page and element.
+ * @param {Object} result - Result of `scanPackage`.
+ * @returns {Map<string, Object>} - The `page` and `finding` of each unsuppressed failure.
+ */
+function getFailures(result) {
+  return new Map(
+    result.pages.flatMap((page) =>
+      page.findings
+        .filter((finding) => !finding.Suppressed)
+        .map((finding) => [
+          `${page.file}|${finding.Element_Path}`,
+          { page, finding },
+        ])
+    )
+  );
+}
+
+/**
+ * Tells whether a failure of the new scan takes its color from the declaration a fix changed.
+ * @param {Object} fix - Fix from `planFixes`.
+ * @param {Object} failure - The `page` and `finding` of the failure.
+ * @param {string} root - The package folder.
+ * @returns {boolean} - True if the patch of the failure targets the fixed declaration.
+ */
+function isCausedBy(fix, { page, finding }, root) {
+  const patch = finding.Suggested_Patch;
+  if (!patch || patch.property !== fix.property) return false;
+  if (fix.inline) {
+    return (
+      patch.source === "style attribute" &&
+      page.file === fix.file &&
+      Boolean(finding.Source_Location) &&
+      finding.Source_Location.startLine === fix.inline.startLine &&
+      finding.Source_Location.startColumn === fix.inline.startColumn
+    );
+  }
+  return (
+    patch.source === getPackagePath(root, fix.file) &&
+    patch.selector === fix.selector
+  );
+}
+
+/**
+ * Fixes the contrast failures of a Lectora package and verifies the fixes with a new scan.
+ * The package itself is never modified.
+ * @async
+ * @function fixPackage
+ * @param {Object} options - Options of `scanPackage` for both scans (`cache` is always off, and neither the accessibility
+ *  rules nor the non-text contrast check are run), and:
+ * @param {string} options.root - Folder containing the published Lectora package, or its SCORM/xAPI zip.
+ * @param {string} [options.out] - Empty or new folder the fixed copy of the package is written to,
+ *  outside the package. A zip package is written as a folder.
+ * @param {boolean} [options.dryRun=false] - Do not write a copy, only report the fixes and their diff.
+ *  The verification scan runs on a temporary copy.
+ * @returns {Promise<Object>} - The fix result:
+ *  - `summary`: `root`, `out` (null for a dry run), the number of `fixes`, `filesChanged`, `unfixable`
+ *    failures, `verified` fixes, `newFailures`, and the `before` and `after` totals (`totalFailed`,
+ *    `totalNeedsReview`).
+ *  - `fixes`: One per changed declaration: `file` (relative to the package), `selector` (null for
+ *    `style` attributes), `property`, `from`, `to`, the `elements` it fixes, the `newFailures` of elements
+ *    that take their color from the changed declaration, and whether the new scan `verified` that none
+ *    of its elements fails any more and that it caused no new failure.
+ *  - `unfixable`: Static failures that cannot be fixed automatically, with the `reason`.
+ *  - `newFailures`: Failures of the new scan on elements that did not fail before (`page`, `element`,
+ *    `text`, `check`).
+ *  - `diff`: Unified diff of the changed files, relative to the package.
+ *  - `result`: Result of `scanPackage` on the fixed pages.
+ * @throws {InvalidOptionError|PackageNotFoundError|NoHtmlFilesError}
+ */
+async function fixPackage({
+  root,
+  out,
+  dryRun = false,
+  browser,
+  ...scanOptions
+} = {}) {
+  validateOptions({ root, out, dryRun });
+
+  const ownsBrowser = !browser;
+  let activeBrowser = browser;
+  let extracted = null;
+  let target = dryRun ? null : path.resolve(out);
+  try {
+    if (ownsBrowser)
+      activeBrowser = await puppeteer.launch({ headless: "new" });
+    if (isZipPackage(root)) extracted = await extractPackage(root);
+    if (dryRun) {
+      target = await fs.mkdtemp(path.join(os.tmpdir(), "lectora-fix-"));
+    }
+    await fs.copy(extracted ? extracted.root : root, target);
+    const scan = () =>
+      scanPackage({
+        ...scanOptions,
+        root: target,
+        rules: [], // Only text contrast failures are fixed and verified
+        nonText: false,
+        cache: false,
+        browser: activeBrowser,
+      });
+
+    const before = await scan();
+    const planned = planFixes(before, target);
+    const { edits, skipped } = getFileEdits(planned.fixes);
+    const fixes = planned.fixes.filter(
+      (fix) => !skipped.some((skip) => skip.fix === fix)
+    );
+    const unfixable = [
+      ...planned.unfixable,
+      ...skipped.flatMap(({ fix, reason }) =>
+        fix.elements.map(({ page, element, text }) => ({
+          page: getPackagePath(target, page),
+          element: element || null,
+          text,
+          reason,
+        }))
+      ),
+    ];
+    const diff = [...edits]
+      .map(([file, fileEdits]) =>
+        renderDiff(
+          getPackagePath(target, file),
+          fs.readFileSync(file, "utf-8"),
+          fileEdits
+        )
+      )
+      .join("");
+    edits.forEach((fileEdits, file) =>
+      fs.writeFileSync(
+        file,
+        applyEdits(fs.readFileSync(file, "utf-8"), fileEdits)
+      )
+    );
+
+    const after = await scan();
+    const failingBefore = getFailures(before);
+    const failing = getFailures(after);
+    // Other elements using a changed declaration can start failing with its new color
+    const newFailures = [...failing]
+      .filter(([key]) => !failingBefore.has(key))
+      .map(([, failure]) => failure);
+    const reportFailure = ({ page, finding }) => ({
+      page: getPackagePath(target, page.file),
+      element: finding.Element_Path || null,
+      text: finding.Text || "",
+      check: finding.check,
+    });
+    const reportedFixes = fixes.map((fix) => {
+      const causedFailures = newFailures.filter((failure) =>
+        isCausedBy(fix, failure, target)
+      );
+      return {
+        file: getPackagePath(target, fix.file),
+        selector: fix.selector,
+        property: fix.property,
+        from: fix.from,
+        to: fix.to,
+        elements: fix.elements.map(({ page, element }) => ({
+          page: getPackagePath(target, page),
+          element,
+        })),
+        newFailures: causedFailures.map(reportFailure),
+        verified:
+          causedFailures.length === 0 &&
+          fix.elements.every(
+            ({ page, element }) => !failing.has(`${page}|${element}`)
+          ),
+      };
+    });
+
+    return {
+      summary: {
+        root,
+        out: dryRun ? null : target,
+        fixes: reportedFixes.length,
+        filesChanged: edits.size,
+        unfixable: unfixable.length,
+        verified: reportedFixes.filter((fix) => fix.verified).length,
+        newFailures: newFailures.length,
+        before: {
+          totalFailed: before.summary.totalFailed,
+          totalNeedsReview: before.summary.totalNeedsReview,
+        },
+        after: {
+          totalFailed: after.summary.totalFailed,
+          totalNeedsReview: after.summary.totalNeedsReview,
+        },
+      },
+      fixes: reportedFixes,
+      unfixable,
+      newFailures: newFailures.map(reportFailure),
+      diff,
+      result: after,
+    };
+  } finally {
+    if (ownsBrowser && activeBrowser) await activeBrowser.close();
+    if (dryRun && target) await fs.remove(target);
+    if (extracted) await fs.remove(extracted.tempDir);
+  }
+}
+
+module.exports = fixPackage;
@@ -0,0 +1,10 @@
+/**
+ * @module lectora-contrast
+ * @description Public API of the Lectora color contrast checker.
+ */
+
+const scanPackage = require("./scanPackage");
+const fixPackage = require("./fixPackage");
+const errors = require("./util/errors");
+
+module.exports = { scanPackage, fixPackage, ...errors };
@@ -1,76 +1,144 @@
-const checkStaticCCwithCss = require("./checkStaticCCwithCss.js");
-const storeCssFilePaths = require("./util/getAllCSSPaths");
-const getAllCssStyleSheet = require("./util/getAllCssStyleSheet");
-const storeHtmlFilePaths = require("./util/getAllHtmlPath");
 const fs = require("fs-extra");
-const puppeteer = require("puppeteer");
 const path = require("path");
-const checkDynamicColorContrastCheck = require("./dynamicColorContrastCheck");
+const scanPackage = require("./scanPackage");
+const { writeXlsxReport, writeCsvReport } = require("./util/reportExport");
+const { writeHtmlReport } = require("./util/htmlReport");
+const { writeSarifReport, writeJunitReport } = require("./util/ciReport");
+const { saveBaseline } = require("./util/suppressions");
 
-async function main() {
-  const staticLogs = [];
-  const dynamicLogs = [];
-  storeHtmlFilePaths();
-  storeCssFilePaths();
-  const htmlFilesPathArray = JSON.parse(
-    fs.readFileSync("./HTML_PATHS/htmlFiles.json", "utf8")
-  );
-  if (!htmlFilesPathArray || !htmlFilesPathArray.length) {
-    return res.status(400).send("No Html pathsfound");
-  }
-  const browser = await puppeteer.launch({
-    headless: "new",
+/**
+ * Runs the static, dynamic and non-text color contrast checks and the accessibility rules on every HTML page of a Lectora package
+ * and writes the results to a JSON report.
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.root="./lectora_Package"] - Folder containing the published Lectora package,
+ *  or its SCORM/xAPI zip.
+ * @param {string} [options.level="AA"] - WCAG conformance level to check against ("AA" or "AAA").
+ * @param {string} [options.algorithm="wcag2"] - Contrast algorithm deciding whether text passes ("wcag2" or "apca").
+ * @param {string} [options.out] - Path of the JSON report, defaults to `Operation_logs.json` next to this script.
+ * @param {string} [options.xlsx] - Path of an Excel report with summary, findings and pages sheets.
+ * @param {string} [options.csv] - Path of a CSV report of the findings.
+ * @param {string} [options.html] - Path of an HTML report with a screenshot of each failing element.
+ * @param {string} [options.sarif] - Path of a SARIF 2.1.0 log for code-scanning UIs.
+ * @param {string} [options.junit] - Path of a JUnit XML report with one test case per page.
+ * @param {string[]} [options.include=[]] - Glob patterns a page must match to be checked.
+ * @param {string[]} [options.exclude=[]] - Glob patterns of pages to skip.
+ * @param {string} [options.visibility="visible"] - Which hidden text to skip ("visible", "rendered" or "all").
+ * @param {string[]} [options.states] - Interactive states to check links and controls in, all of them by default.
+ * @param {string[]} [options.rules] - Accessibility rules to run besides color contrast, all but the best-practice ones by default.
+ * @param {boolean} [options.nonText=true] - Check the contrast of form field boundaries, graphics and focus indicators.
+ * @param {boolean|Object} [options.crawl=false] - Explore the UI states of each page before the dynamic check.
+ * @param {number} [options.concurrency] - Number of pages checked in parallel.
+ * @param {number} [options.pageTimeout] - Time limit in ms of each page.
+ * @param {boolean} [options.cache=true] - Reuse the results of unchanged pages from the previous run.
+ * @param {Object[]} [options.ignore=[]] - Accepted findings to suppress, each with a `justification`.
+ * @param {string} [options.baseline] - Path of the baseline file of accepted findings.
+ * @param {boolean} [options.updateBaseline=false] - Accept every finding of this run into the baseline file.
+ * @returns {Promise<Object>} - `totalInstChecked` and `totalInstFailed` over all pages,
+ *  and `totalPageErrors`, the number of pages that could not be fully checked.
+ */
+async function main({
+  root = "./lectora_Package",
+  level = "AA",
+  algorithm = "wcag2",
+  out = path.join(__dirname, "Operation_logs.json"),
+  xlsx,
+  csv,
+  html,
+  sarif,
+  junit,
+  include = [],
+  exclude = [],
+  visibility = "visible",
+  states,
+  rules,
+  nonText = true,
+  crawl = false,
+  concurrency,
+  pageTimeout,
+  cache = true,
+  ignore = [],
+  baseline,
+  updateBaseline = false,
+} = {}) {
+  const result = await scanPackage({
+    root,
+    level,
+    algorithm,
+    include,
+    exclude,
+    visibility,
+    states,
+    rules,
+    nonText,
+    crawl,
+    concurrency,
+    pageTimeout,
+    cache,
+    ignore,
+    baseline,
+    screenshots: Boolean(html),
+    onProgress: (done, total) =>
+      console.log(
+        "Testing is Running .......",
+        Math.ceil((done / total) * 100),
+        "%"
+      ),
   });
-  // const browser = await puppeteer.launch({executablePath:'C:/Program Files (x86)/Google/Chrome/Application/chrome.exe', headless: "shell", });//for prod enable this an disable below
-  const page = await browser.newPage();
-  await page.setBypassCSP(true);
-  let totalInstChecked = 0;
-  let totalInstFailed = 0;
-  let data = [];
-  let done = 0;
-  for (const filePath of htmlFilesPathArray) {
-    const styleSheetnameArray = getAllCssStyleSheet(filePath); //gives styleSheet Attached to this html
-    const fileUrl = `file://${path.resolve(filePath)}`;
-    console.log(
-      "Testing is Running .......",
-      Math.ceil((done / htmlFilesPathArray.length) * 100),
-      "%"
-    );
-    await page.goto(fileUrl, { waitUntil: "domcontentloaded" });
-    await page.goto(fileUrl, { waitUntil: "load" });
-    await page.goto(fileUrl, { waitUntil: "networkidle0" });
-    await page.goto(fileUrl, { waitUntil: "networkidle2" });
-    await page.waitForSelector("body");
-    const { xlsxArray, totalChecked, totalFailed } = await checkStaticCCwithCss(
-      page,
-      styleSheetnameArray,
-      staticLogs
-    );
-    const {
-      xlsxArray: xlsxArray2,
-      totalChecked: totalChecked2,
-      totalFailed: totalFailed2,
-    } = await checkDynamicColorContrastCheck(page, dynamicLogs);
-    totalInstChecked += totalChecked + totalChecked2;
-    totalInstFailed += totalFailed + totalFailed2;
-    data = [...data, ...xlsxArray, ...xlsxArray2];
-    done += 1;
-  }
-  data = [
+  const { summary, pages, rescannedPages, logs } = result;
+
+  const data = [
     {
-      [`Total instances checked`]: totalInstChecked,
-      [`Total instances Failed`]: totalInstFailed,
+      ...(summary.packageFormat && {
+        [`Course`]: summary.courseTitle,
+        [`Package format`]: summary.packageFormat,
+        [`Launch page`]: summary.launchPage,
+      }),
+      [`Contrast algorithm`]: summary.algorithm,
+      [`Total instances checked`]: summary.totalChecked,
+      [`Total instances Failed`]: summary.totalFailed,
+      [`Total instances needing review`]: summary.totalNeedsReview,
+      [`Total instances skipped`]: summary.totalSkipped,
+      [`Total instances suppressed`]: summary.totalSuppressed,
+      [`Skipped instances by reason`]: summary.skippedReasons,
+      [`Pages with errors`]: pages
+        .filter((page) => page.error)
+        .map((page) => ({ file: page.file, error: page.error })),
+      [`Rescanned pages`]: rescannedPages,
     },
-    ...data,
-    { logs: [...staticLogs, ...dynamicLogs] },
+    ...pages.flatMap((page) =>
+      page.findings.map(({ check, Screenshot, ...rest }) => rest)
+    ),
+    { logs },
   ];
-  console.log("Testing is Running .......", 100, " %");
-  fs.writeFileSync(
-    path.join(__dirname, "Operation_logs.json"),
-    JSON.stringify(data)
+  fs.writeFileSync(out, JSON.stringify(data));
+  if (xlsx) await writeXlsxReport(result, xlsx);
+  if (csv) await writeCsvReport(result, csv);
+  if (html) await writeHtmlReport(result, html);
+  if (sarif) await writeSarifReport(result, sarif);
+  if (junit) await writeJunitReport(result, junit);
+  if (updateBaseline) {
+    const accepted = await saveBaseline(baseline, result);
+    console.log(`Baseline ${baseline} updated with ${accepted} findings`);
+  }
+  console.log(
+    `Testing Completed Check ${[out, xlsx, csv, html, sarif, junit]
+      .filter(Boolean)
+      .join(", ")} for further details`
   );
-  console.log(`Testing Completed Check Operation_logs for further details`);
 
-  await browser.close();
+  return {
+    totalInstChecked: summary.totalChecked,
+    totalInstFailed: summary.totalFailed,
+    totalPageErrors: summary.totalPageErrors,
+  };
 }
-main();
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = main;
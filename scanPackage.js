@@ -0,0 +1,706 @@
+/**
+ * @module scanPackage
+ * @description Programmatic entry point of the color contrast checker.
+ * Scans the HTML pages of a Lectora package with the static and dynamic checks, the non-text contrast check
+ * and the accessibility rules, and returns a structured result. Nothing is written to disk unless the result cache
+ * is enabled, except that a zip package is extracted to a temporary folder, removed when the scan ends.
+ */
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const checkStaticCCwithCss = require("./checkStaticCCwithCss");
+const checkDynamicColorContrastCheck = require("./dynamicColorContrastCheck");
+const crawlPageStates = require("./crawlPageStates");
+const checkAccessibilityRules = require("./checkAccessibilityRules");
+const checkNonTextContrast = require("./checkNonTextContrast");
+const { CONTRAST_ALGORITHMS } = require("./checkContrastCoreLogic");
+const { RULE_IDS, DEFAULT_RULE_IDS } = checkAccessibilityRules;
+const getAllCssStyleSheet = require("./util/getAllCssStyleSheet");
+const runPagePool = require("./util/pagePool");
+const { loadPage } = runPagePool;
+const { getAllHtmlFiles } = require("./util/getAllHtmlPath");
+const { filterPaths } = require("./util/matchPattern");
+const { locateFindings } = require("./util/sourceLocation");
+const { loadBaseline, applySuppressions } = require("./util/suppressions");
+const {
+  HIDDEN_REASONS,
+  VISIBILITY_POLICIES,
+  isVisibilityPolicy,
+} = require("./util/visibility");
+const { INTERACTIVE_STATES } = require("./util/interactiveStates");
+const {
+  isZipPackage,
+  extractPackage,
+  readCourseStructure,
+} = require("./util/coursePackage");
+const {
+  DEFAULT_CACHE_DIR,
+  getCachePath,
+  loadCache,
+  saveCache,
+  getPageKey,
+} = require("./util/scanCache");
+const {
+  InvalidOptionError,
+  PackageNotFoundError,
+  NoHtmlFilesError,
+} = require("./util/errors");
+
+const CONTRAST_LEVELS = ["AA", "AAA"];
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+const DEFAULT_PAGE_TIMEOUT = 120000;
+const IGNORE_ENTRY_FIELDS = ["page", "element", "text", "rule"];
+
+/**
+ * Validates the options of `scanPackage` and throws a typed error for the first invalid one.
+ * @param {Object} options - Options passed to `scanPackage`.
+ */
+function validateOptions({
+  root,
+  level,
+  algorithm,
+  pages,
+  include,
+  exclude,
+  visibility,
+  states,
+  rules,
+  nonText,
+  crawl,
+  concurrency,
+  pageTimeout,
+  cache,
+  screenshots,
+  ignore,
+  baseline,
+}) {
+  if (typeof root !== "string" || !root) {
+    throw new InvalidOptionError("root", "`root` must be a non-empty string");
+  }
+  if (!CONTRAST_LEVELS.includes(level)) {
+    throw new InvalidOptionError(
+      "level",
+      `Invalid level "${level}". Use ${CONTRAST_LEVELS.join(" or ")}.`
+    );
+  }
+  if (!CONTRAST_ALGORITHMS.includes(algorithm)) {
+    throw new InvalidOptionError(
+      "algorithm",
+      `Invalid algorithm "${algorithm}". Use ${CONTRAST_ALGORITHMS.join(
+        " or "
+      )}.`
+    );
+  }
+  if (pages !== undefined && !Array.isArray(pages)) {
+    throw new InvalidOptionError("pages", "`pages` must be an array of paths");
+  }
+  if (!Array.isArray(include) || !Array.isArray(exclude)) {
+    throw new InvalidOptionError(
+      Array.isArray(include) ? "exclude" : "include",
+      "`include` and `exclude` must be arrays of glob patterns"
+    );
+  }
+  if (!isVisibilityPolicy(visibility)) {
+    throw new InvalidOptionError(
+      "visibility",
+      `Invalid visibility policy "${visibility}". Use ${Object.keys(
+        VISIBILITY_POLICIES
+      ).join(", ")} or an array of ${HIDDEN_REASONS.join(", ")}.`
+    );
+  }
+  if (
+    !Array.isArray(states) ||
+    !states.every((state) => INTERACTIVE_STATES.includes(state))
+  ) {
+    throw new InvalidOptionError(
+      "states",
+      `\`states\` must be an array of ${INTERACTIVE_STATES.join(", ")}`
+    );
+  }
+  if (
+    !Array.isArray(rules) ||
+    !rules.every((ruleId) => RULE_IDS.includes(ruleId))
+  ) {
+    throw new InvalidOptionError(
+      "rules",
+      `\`rules\` must be an array of ${RULE_IDS.join(", ")}`
+    );
+  }
+  if (typeof nonText !== "boolean") {
+    throw new InvalidOptionError("nonText", "`nonText` must be a boolean");
+  }
+  if (typeof crawl !== "boolean" && (typeof crawl !== "object" || !crawl)) {
+    throw new InvalidOptionError(
+      "crawl",
+      "`crawl` must be a boolean or an object of crawler options"
+    );
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidOptionError(
+      "concurrency",
+      "`concurrency` must be a positive integer"
+    );
+  }
+  if (!(pageTimeout > 0)) {
+    throw new InvalidOptionError(
+      "pageTimeout",
+      "`pageTimeout` must be a positive number of milliseconds"
+    );
+  }
+  if (typeof cache !== "boolean") {
+    throw new InvalidOptionError("cache", "`cache` must be a boolean");
+  }
+  if (typeof screenshots !== "boolean") {
+    throw new InvalidOptionError(
+      "screenshots",
+      "`screenshots` must be a boolean"
+    );
+  }
+  if (!Array.isArray(ignore)) {
+    throw new InvalidOptionError(
+      "ignore",
+      "`ignore` must be an array of ignore entries"
+    );
+  }
+  ignore.forEach((entry, index) => {
+    if (
+      !entry ||
+      typeof entry.justification !== "string" ||
+      !entry.justification.trim()
+    ) {
+      throw new InvalidOptionError(
+        "ignore",
+        `Ignore entry ${index + 1} needs a \`justification\``
+      );
+    }
+    if (!IGNORE_ENTRY_FIELDS.some((field) => entry[field])) {
+      throw new InvalidOptionError(
+        "ignore",
+        `Ignore entry ${index + 1} must set one of ${IGNORE_ENTRY_FIELDS}`
+      );
+    }
+  });
+  if (baseline !== undefined && (typeof baseline !== "string" || !baseline)) {
+    throw new InvalidOptionError(
+      "baseline",
+      "`baseline` must be the path of a baseline file"
+    );
+  }
+  if (
+    !isZipPackage(root) &&
+    (!fs.existsSync(root) || !fs.statSync(root).isDirectory())
+  ) {
+    throw new PackageNotFoundError(root);
+  }
+}
+
+/**
+ * Runs the dynamic check in every UI state the crawler discovers on a page and merges the results.
+ * Each finding records the `State_Path` of actions leading to it; a failure seen in several states
+ * is reported once, for the shortest path.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Array<string>} logs - Array the operation logs are pushed into.
+ * @param {Object} dynamicOptions - Options of `checkDynamicColorContrastCheck`.
+ * @param {Object} crawlOptions - Options of `crawlPageStates`.
+ * @returns {Promise<Object>} - The merged result, shaped like the result of `checkDynamicColorContrastCheck`.
+ *  When the crawl fails, the states checked so far are kept, the page at rest is checked if it was not yet,
+ *  and the failure is one of the `errors`.
+ */
+async function checkCrawledStates(page, logs, dynamicOptions, crawlOptions) {
+  const merged = {
+    xlsxArray: [],
+    totalChecked: 0,
+    totalFailed: 0,
+    totalNeedsReview: 0,
+    totalSkipped: 0,
+    skippedReasons: {},
+    errors: [],
+  };
+  const reported = new Set();
+  let checkedStates = 0;
+
+  /**
+   * Runs the dynamic check in the current state of the page and merges its results.
+   * @param {Array<string>} statePath - Labels of the actions that led to the state.
+   */
+  const checkState = async (statePath) => {
+    const State_Path = statePath.length ? statePath.join(" > ") : "initial";
+    logs.push(`Checking state: ${State_Path}`);
+    const result = await checkDynamicColorContrastCheck(
+      page,
+      logs,
+      dynamicOptions
+    );
+
+    merged.totalChecked += result.totalChecked;
+    merged.totalSkipped += result.totalSkipped;
+    merged.errors.push(
+      ...result.errors.map((error) => `State ${State_Path}: ${error}`)
+    );
+    Object.entries(result.skippedReasons).forEach(([reason, count]) => {
+      merged.skippedReasons[reason] =
+        (merged.skippedReasons[reason] || 0) + count;
+    });
+    result.xlsxArray.forEach((finding) => {
+      const key = `${finding.Tag}|${finding.Reason_For_Failing}|${finding.State}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+      if (finding.Status === "fail") merged.totalFailed += 1;
+      else merged.totalNeedsReview += 1;
+      merged.xlsxArray.push({ ...finding, State_Path });
+    });
+    checkedStates += 1;
+  };
+
+  try {
+    const { paths, timedOut } = await crawlPageStates(page, {
+      ...crawlOptions,
+      onState: checkState,
+    });
+    if (timedOut) {
+      logs.push(
+        `Crawl stopped after ${crawlOptions.maxTime}ms with ${paths.length} states checked`
+      );
+    }
+  } catch (error) {
+    merged.errors.push(`Crawl: ${error.message}`);
+    logs.push(`Error: Crawl stopped. Reason: ${error.message}`);
+    if (!checkedStates) {
+      try {
+        await crawlOptions.load();
+        await checkState([]);
+      } catch (restError) {
+        merged.errors.push(`State initial: ${restError.message}`);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Scans a Lectora package for color contrast violations and breaches of the accessibility rules.
+ * @async
+ * @function scanPackage
+ * @param {Object} options
+ * @param {string} options.root - Folder containing the published Lectora package, or its SCORM/xAPI zip.
+ *  Zips are extracted to a temporary folder that is removed when the scan ends. When the package has an
+ *  `imsmanifest.xml` or `tincan.xml`, only the course pages it lists and the pages they navigate to are
+ *  checked, in course order.
+ * @param {string} [options.level="AA"] - WCAG conformance level to check against ("AA" or "AAA").
+ * @param {string} [options.algorithm="wcag2"] - Contrast algorithm deciding whether text passes: the WCAG 2 ratio
+ *  ("wcag2") or the APCA lightness contrast required for its font size and weight ("apca"). Text findings report
+ *  both scores (`Contrast_Ratio` and `APCA_Lc`); non-text contrast is always checked against the WCAG 2 ratio.
+ * @param {Array<string>} [options.pages] - HTML pages to check, relative to `root` or absolute.
+ *  Defaults to the course pages of the manifest, or every page in `root` without one.
+ * @param {Array<string>} [options.include=[]] - Glob patterns a page must match to be checked.
+ * @param {Array<string>} [options.exclude=[]] - Glob patterns of pages to skip.
+ * @param {string|Array<string>} [options.visibility="visible"] - Which hidden text the dynamic check skips:
+ *  "visible", "rendered", "all" or an array of hidden reasons (see `util/visibility`).
+ * @param {Array<string>} [options.states] - Interactive states links and controls are checked in,
+ *  defaults to all of "hover", "focus", "active" and "visited". Pass an empty array to only check pages at rest.
+ * @param {Array<string>} [options.rules] - Accessibility rules run on each page besides color contrast
+ *  (see `checkAccessibilityRules`), all but the best-practice ones (heading-order, landmark-one-main,
+ *  page-has-heading-one, region) by default. Pass an empty array to only check contrast.
+ * @param {boolean} [options.nonText=true] - Check the contrast of form field boundaries, meaningful graphics and,
+ *  when "focus" is one of the `states`, focus indicators against 3:1 (see `checkNonTextContrast`).
+ * @param {boolean|Object} [options.crawl=false] - Click through the actions of each page and run the dynamic
+ *  check in every distinct UI state found. An object sets the crawler limits (`maxDepth`, `maxStates`, `settleTime`,
+ *  `maxTime`), see `crawlPageStates`. `maxTime` defaults to half the time left to the page once the other checks
+ *  ran, so the states found in time are reported before `pageTimeout` ends the page.
+ * @param {number} [options.concurrency] - Number of pages checked in parallel, up to 4 by default.
+ * @param {number} [options.pageTimeout=120000] - Time limit in ms of each page. A page that takes longer
+ *  is reported with an error and the scan moves on.
+ * @param {boolean} [options.cache=false] - Reuse the results of pages whose HTML, stylesheets, scripts, images,
+ *  fonts and settings did not change since the last cached scan with the same checker sources, and store the
+ *  new results.
+ * @param {boolean} [options.screenshots=false] - Attach a cropped screenshot of each failing element,
+ *  outlined, to its finding (`Screenshot`, a PNG data URL).
+ * @param {Array<Object>} [options.ignore=[]] - Accepted findings to suppress. Each entry has a `justification`
+ *  and matches findings by any of `page` (glob pattern), `element` (element path), `text` and `rule` (rule id).
+ * @param {string} [options.baseline] - Path of a baseline file written by `saveBaseline`: findings it lists are
+ *  suppressed. Elements can also be suppressed in the page with a `data-contrast-ignore="<justification>"` attribute.
+ * @param {string} [options.cacheDir] - Directory of the cache files, defaults to `SCAN_CACHE` next to this module.
+ * @param {Object} [options.browser] - An already launched Puppeteer browser. It is left open when the scan ends.
+ * @param {Function} [options.onProgress] - Called with `(done, total, filePath)` when a page starts being checked.
+ * @returns {Promise<Object>} - The scan result:
+ *  - `summary`: Totals over the whole package, with the `level` and `algorithm` and its `packageFormat` ("scorm", "xapi" or null),
+ *    `courseTitle` and `launchPage`.
+ *  - `pages`: One entry per page, in the order of the files, with its counts, skipped hidden text and findings,
+ *    and the `error` that prevented checking it, or part of it (the findings found so far are kept). Pages and findings of a course carry the SCO `label`
+ *    (`Course_Item` in findings). Pages of a zip are named by their path inside the zip.
+ *    Each finding names the `check` that found it ("static", "dynamic", "non-text" or "rules") and its `Rule_Id`.
+ *    Findings whose element is found in the page source carry its `Source_Location`. Every finding carries
+ *    its `Element_Path` (null for rule findings about the whole page), a `Fingerprint` and `Suppressed` (`{ by, justification }` or null); suppressed findings
+ *    are not counted in `totalFailed` and `totalNeedsReview` but in `totalSuppressed`.
+ *    Pages taken from the cache have `cached: true`.
+ *  - `rescannedPages`: Paths of the pages that were actually checked in this run.
+ *  - `logs`: Operation logs of the rules and the checks.
+ * @throws {InvalidOptionError|PackageNotFoundError|NoHtmlFilesError|InvalidBaselineError}
+ */
+async function scanPackage({
+  root,
+  level = "AA",
+  algorithm = "wcag2",
+  pages,
+  include = [],
+  exclude = [],
+  visibility = "visible",
+  states = INTERACTIVE_STATES,
+  rules = DEFAULT_RULE_IDS,
+  nonText = true,
+  crawl = false,
+  concurrency = DEFAULT_CONCURRENCY,
+  pageTimeout = DEFAULT_PAGE_TIMEOUT,
+  cache = false,
+  screenshots = false,
+  ignore = [],
+  baseline,
+  cacheDir = DEFAULT_CACHE_DIR,
+  browser,
+  onProgress = () => {},
+} = {}) {
+  validateOptions({
+    root,
+    level,
+    algorithm,
+    pages,
+    include,
+    exclude,
+    visibility,
+    states,
+    rules,
+    nonText,
+    crawl,
+    concurrency,
+    pageTimeout,
+    cache,
+    screenshots,
+    ignore,
+    baseline,
+  });
+  const acceptedFindings = baseline ? loadBaseline(baseline) : new Set();
+
+  // Zip packages are extracted for the time of the scan
+  const extracted = isZipPackage(root) ? await extractPackage(root) : null;
+  try {
+    const result = await scanFolder({
+      source: root,
+      root: extracted ? extracted.root : root,
+      level,
+      algorithm,
+      pages,
+      include,
+      exclude,
+      visibility,
+      states,
+      rules,
+      nonText,
+      crawl,
+      concurrency,
+      pageTimeout,
+      cache,
+      screenshots,
+      cacheDir,
+      browser,
+      onProgress,
+    });
+    // Suppressions are applied after caching, so changing them never invalidates cached pages
+    return applySuppressions(result, {
+      ignore,
+      baseline: acceptedFindings,
+    });
+  } finally {
+    if (extracted) await fs.remove(extracted.tempDir);
+  }
+}
+
+/**
+ * Scans the pages of an extracted package folder, once `scanPackage` validated the options.
+ * @async
+ * @param {Object} options - Options of `scanPackage`, with `root` the package folder and `source`
+ *  the package as given by the caller (the folder itself or the zip).
+ * @returns {Promise<Object>} - The scan result, see `scanPackage`.
+ */
+async function scanFolder({
+  source,
+  root,
+  level,
+  algorithm,
+  pages,
+  include,
+  exclude,
+  visibility,
+  states,
+  rules,
+  nonText,
+  crawl,
+  concurrency,
+  pageTimeout,
+  cache,
+  screenshots,
+  cacheDir,
+  browser,
+  onProgress,
+}) {
+  const course = readCourseStructure(root);
+  const labels = new Map(course.pages.map(({ file, label }) => [file, label]));
+  const htmlFiles = filterPaths(
+    pages
+      ? pages.map((page) => path.resolve(root, page))
+      : course.pages.length
+      ? course.pages.map(({ file }) => file)
+      : getAllHtmlFiles(root),
+    { root, include, exclude }
+  );
+  // Pages of a zip are reported by their path inside the zip, not in the temporary folder
+  const toReportPath = (file) =>
+    source === root ? file : path.join(source, path.relative(root, file));
+  if (!htmlFiles.length) throw new NoHtmlFilesError(source);
+
+  // Only check the pages whose inputs changed since they were cached
+  const cachePath = cache ? getCachePath(source, cacheDir) : null;
+  const pageCache = cache ? loadCache(cachePath) : null;
+  const settings = {
+    level,
+    algorithm,
+    visibility,
+    states,
+    rules,
+    nonText,
+    crawl,
+    screenshots,
+  };
+  const pageKeys = new Map(
+    cache ? htmlFiles.map((file) => [file, getPageKey(file, settings)]) : []
+  );
+  const getCacheEntry = (file) =>
+    cache ? pageCache.pages[path.relative(root, file)] : undefined;
+  const rescannedPages = htmlFiles.filter(
+    (file) => !cache || getCacheEntry(file)?.key !== pageKeys.get(file)
+  );
+
+  /**
+   * Runs the accessibility rules and the contrast checks on one page.
+   * @param {Object} page - The Puppeteer page of the worker.
+   * @param {string} filePath - Path of the HTML page.
+   * @returns {Promise<Object>} - The page result with the logs of the checks.
+   */
+  const checkPage = async (page, filePath) => {
+    const { styleSheets, missingStyleSheets } = getAllCssStyleSheet(filePath); //gives styleSheets attached to this html
+    const fileUrl = `file://${path.resolve(filePath)}`;
+    const load = () => loadPage(page, fileUrl, pageTimeout);
+    const ruleLogs = [];
+    const nonTextLogs = [];
+    const staticLogs = [];
+    const dynamicLogs = [];
+    const startedAt = Date.now();
+
+    await load();
+
+    // Rules look at the page as loaded, before the contrast checks mark elements
+    const ruleResult = await checkAccessibilityRules(page, ruleLogs, {
+      rules,
+      screenshots,
+    });
+    const nonTextResult = nonText
+      ? await checkNonTextContrast(page, nonTextLogs, {
+          contrastLevel: level,
+          focus: states.includes("focus"),
+          screenshots,
+        })
+      : { xlsxArray: [], totalChecked: 0, totalFailed: 0, totalNeedsReview: 0 };
+
+    const staticResult = await checkStaticCCwithCss(
+      page,
+      styleSheets,
+      staticLogs,
+      {
+        contrastLevel: level,
+        algorithm,
+        missingStyleSheets,
+        screenshots,
+        packageRoot: root,
+      }
+    );
+    const dynamicOptions = {
+      contrastLevel: level,
+      algorithm,
+      visibility,
+      states,
+      screenshots,
+    };
+    const dynamicResult = crawl
+      ? await checkCrawledStates(page, dynamicLogs, dynamicOptions, {
+          ...(typeof crawl === "object" ? crawl : {}),
+          maxTime:
+            (typeof crawl === "object" && crawl.maxTime) ||
+            Math.max(0, Math.round((startedAt + pageTimeout - Date.now()) / 2)),
+          load,
+        })
+      : await checkDynamicColorContrastCheck(page, dynamicLogs, dynamicOptions);
+
+    const label = labels.get(path.resolve(filePath)) || null;
+    const Course_Item = label ? { Course_Item: label } : {};
+    // A page partly checked keeps its findings but is reported with an error, never as passing
+    const checkErrors = dynamicResult.errors.length
+      ? {
+          error: `Not every text run could be checked. ${dynamicResult.errors.join(
+            "; "
+          )}`,
+        }
+      : {};
+    return {
+      ruleLogs,
+      nonTextLogs,
+      staticLogs,
+      dynamicLogs,
+      pageResult: {
+        file: toReportPath(filePath),
+        label,
+        totalChecked:
+          ruleResult.totalChecked +
+          nonTextResult.totalChecked +
+          staticResult.totalChecked +
+          dynamicResult.totalChecked,
+        totalFailed:
+          ruleResult.totalFailed +
+          nonTextResult.totalFailed +
+          staticResult.totalFailed +
+          dynamicResult.totalFailed,
+        totalNeedsReview:
+          nonTextResult.totalNeedsReview + dynamicResult.totalNeedsReview,
+        totalSkipped: dynamicResult.totalSkipped,
+        skippedReasons: dynamicResult.skippedReasons,
+        ...checkErrors,
+        findings: locateFindings(filePath, [
+          ...staticResult.xlsxArray.map((finding) => ({
+            check: "static",
+            ...finding,
+            ...Course_Item,
+          })),
+          ...dynamicResult.xlsxArray.map((finding) => ({
+            check: "dynamic",
+            ...finding,
+            ...Course_Item,
+          })),
+          ...nonTextResult.xlsxArray.map((finding) => ({
+            check: "non-text",
+            ...finding,
+            ...Course_Item,
+          })),
+          ...ruleResult.xlsxArray.map((finding) => ({
+            check: "rules",
+            ...finding,
+            ...Course_Item,
+          })),
+        ]),
+      },
+    };
+  };
+
+  let scanned = [];
+  if (rescannedPages.length) {
+    const ownsBrowser = !browser;
+    const activeBrowser =
+      browser || (await puppeteer.launch({ headless: "new" }));
+    try {
+      scanned = await runPagePool(activeBrowser, rescannedPages, checkPage, {
+        concurrency,
+        timeout: pageTimeout,
+        onStart: (done, filePath) =>
+          onProgress(done, rescannedPages.length, filePath),
+      });
+    } finally {
+      if (ownsBrowser) await activeBrowser.close();
+    }
+  }
+  onProgress(rescannedPages.length, rescannedPages.length, null);
+
+  const scannedByFile = new Map(
+    rescannedPages.map((file, index) => [file, scanned[index]])
+  );
+  const results = htmlFiles.map(
+    (file) =>
+      scannedByFile.get(file) || {
+        value: getCacheEntry(file).result,
+        cached: true,
+      }
+  );
+
+  if (cache) {
+    scannedByFile.forEach(({ value }, file) => {
+      // Pages checked only in part are checked again next time
+      if (value && !value.pageResult.error) {
+        pageCache.pages[path.relative(root, file)] = {
+          key: pageKeys.get(file),
+          result: value,
+        };
+      }
+    });
+    await saveCache(cachePath, pageCache);
+  }
+
+  // Pages that could not be checked are reported with their error instead of findings
+  const pageResults = results.map(({ value, error, cached }, index) =>
+    error
+      ? {
+          file: toReportPath(htmlFiles[index]),
+          label: labels.get(path.resolve(htmlFiles[index])) || null,
+          totalChecked: 0,
+          totalFailed: 0,
+          totalNeedsReview: 0,
+          totalSkipped: 0,
+          skippedReasons: {},
+          findings: [],
+          error: error.message,
+        }
+      : { ...value.pageResult, cached: Boolean(cached) }
+  );
+  const logs = [
+    ...results.flatMap(({ value }) => (value ? value.ruleLogs : [])),
+    ...results.flatMap(({ value }) => (value ? value.nonTextLogs : [])),
+    ...results.flatMap(({ value }) => (value ? value.staticLogs : [])),
+    ...results.flatMap(({ value }) => (value ? value.dynamicLogs : [])),
+    ...pageResults
+      .filter((pageResult) => pageResult.error)
+      .map(
+        ({ file, error }) =>
+          `Error: Page:${file} not fully checked. Reason: ${error}`
+      ),
+  ];
+
+  return {
+    summary: {
+      root: source,
+      level,
+      algorithm,
+      packageFormat: course.format,
+      courseTitle: course.title,
+      launchPage: course.launch ? toReportPath(course.launch) : null,
+      totalPages: pageResults.length,
+      totalChecked: pageResults.reduce((sum, p) => sum + p.totalChecked, 0),
+      totalFailed: pageResults.reduce((sum, p) => sum + p.totalFailed, 0),
+      totalNeedsReview: pageResults.reduce(
+        (sum, p) => sum + p.totalNeedsReview,
+        0
+      ),
+      totalSkipped: pageResults.reduce((sum, p) => sum + p.totalSkipped, 0),
+      totalPageErrors: pageResults.filter((p) => p.error).length,
+      totalRescanned: rescannedPages.length,
+      skippedReasons: pageResults.reduce((reasons, p) => {
+        Object.entries(p.skippedReasons).forEach(([reason, count]) => {
+          reasons[reason] = (reasons[reason] || 0) + count;
+        });
+        return reasons;
+      }, {}),
+    },
+    pages: pageResults,
+    rescannedPages: rescannedPages.map(toReportPath),
+    logs,
+  };
+}
+
+module.exports = scanPackage;
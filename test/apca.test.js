@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getApcaContrast, getApcaRequiredLc } = require("../util/apca");
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+const GREY = { r: 136, g: 136, b: 136 };
+
+/**
+ * Rounds an Lc to 2 decimals.
+ * @param {number} lc - The Lc.
+ * @returns {number} - The rounded Lc.
+ */
+const round = (lc) => Math.round(lc * 100) / 100;
+
+test("getApcaContrast matches the reference values of APCA 0.0.98G", () => {
+  assert.strictEqual(round(getApcaContrast(BLACK, WHITE)), 106.04);
+  assert.strictEqual(round(getApcaContrast(WHITE, BLACK)), -107.88);
+  assert.strictEqual(round(getApcaContrast(GREY, WHITE)), 63.06);
+  assert.strictEqual(round(getApcaContrast(WHITE, GREY)), -68.54);
+});
+
+test("getApcaContrast is 0 for colors too close to tell apart", () => {
+  assert.strictEqual(getApcaContrast(WHITE, WHITE), 0);
+  assert.strictEqual(
+    getApcaContrast({ r: 250, g: 250, b: 250 }, { r: 255, g: 255, b: 255 }),
+    0
+  );
+});
+
+test("getApcaRequiredLc looks up the font table by size and weight", () => {
+  assert.strictEqual(getApcaRequiredLc("16px", "400"), 90);
+  assert.strictEqual(getApcaRequiredLc("18px", "400"), 75);
+  assert.strictEqual(getApcaRequiredLc("24px", "400"), 60);
+  assert.strictEqual(getApcaRequiredLc("10px", "400"), 125);
+  assert.strictEqual(getApcaRequiredLc("14px", "700"), 75);
+  assert.strictEqual(getApcaRequiredLc(16, 450), getApcaRequiredLc(16, 500));
+  assert.strictEqual(getApcaRequiredLc("16px", "bold"), 90);
+});
+
+test("getApcaRequiredLc follows the reference table for bold text at high Lc", () => {
+  assert.strictEqual(getApcaRequiredLc("13px", "700"), 100);
+  assert.strictEqual(getApcaRequiredLc("16px", "900"), 120);
+  assert.strictEqual(getApcaRequiredLc("12px", "800"), 125);
+  assert.strictEqual(getApcaRequiredLc("11px", "700"), 110);
+  assert.strictEqual(getApcaRequiredLc("15px", "500"), 95);
+});
+
+test("getApcaRequiredLc is null for text too small or thin to be read", () => {
+  assert.strictEqual(getApcaRequiredLc("9px", "400"), null);
+  assert.strictEqual(getApcaRequiredLc("16px", "100"), null);
+  assert.strictEqual(getApcaRequiredLc("", "400"), null);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const checkNonTextContrast = require("../checkNonTextContrast");
+const { createJsdomPage } = require("./helpers/jsdomPage");
+
+test("a focus step that throws still blurs the control and removes the focus markers", async () => {
+  const page = createJsdomPage(`<!DOCTYPE html>
+<html><body><button id="go">Go</button></body></html>`);
+  const { window } = page;
+  window.document.getAnimations = () => [];
+  // jsdom has no layout: the button is given a box so it counts as visible
+  window.HTMLElement.prototype.getBoundingClientRect = () => ({
+    x: 10,
+    y: 10,
+    left: 10,
+    top: 10,
+    right: 110,
+    bottom: 30,
+    width: 100,
+    height: 20,
+  });
+  page.$ = async (selector) => {
+    const element = window.document.querySelector(selector);
+    return (
+      element && {
+        evaluate: async (fn, ...args) =>
+          window.eval(`(${fn})`)(element, ...args),
+        dispose: async () => {},
+      }
+    );
+  };
+  const evaluate = page.evaluate;
+  page.evaluate = (fn, ...args) =>
+    window.document.activeElement.id === "go" &&
+    JSON.stringify(args).includes('"focusSelector":"[data-contrast-focus')
+      ? Promise.reject(new Error("Execution context was destroyed"))
+      : evaluate(fn, ...args);
+
+  await assert.rejects(checkNonTextContrast(page, []), {
+    message: "Execution context was destroyed",
+  });
+  assert.notStrictEqual(window.document.activeElement.id, "go");
+  assert.strictEqual(
+    window.document.querySelectorAll("[data-contrast-focus]").length,
+    0
+  );
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const checkStaticCCwithCss = require("../checkStaticCCwithCss");
+const { createJsdomPage } = require("./helpers/jsdomPage");
+
+/**
+ * Runs the static check on a page of white text styled by a `<style>` block.
+ * @param {string} css - Rules setting the background of `#x`.
+ * @returns {Promise<string|null>} - Background color of the failure, or null when the text passes.
+ */
+async function getFailingBackground(css) {
+  const page = createJsdomPage(`<!DOCTYPE html>
+<html><head><style>
+body { background-color: #fff; }
+div { color: #fff; }
+${css}
+</style></head><body><div id="x">Text</div></body></html>`);
+  const { totalChecked, xlsxArray } = await checkStaticCCwithCss(page, [], []);
+  assert.strictEqual(totalChecked, 1);
+  return xlsxArray.length ? xlsxArray[0].Background_Color : null;
+}
+
+test("a more specific background shorthand wins over background-color in either order", async () => {
+  const white = "rgb(255, 255, 255)";
+  assert.strictEqual(
+    await getFailingBackground(
+      "div { background-color: #000; }\n#x { background: #fff; }"
+    ),
+    white
+  );
+  assert.strictEqual(
+    await getFailingBackground(
+      "#x { background: #fff; }\ndiv { background-color: #000; }"
+    ),
+    white
+  );
+});
+
+test("background and background-color of equal specificity follow source order", async () => {
+  assert.strictEqual(
+    await getFailingBackground(
+      "div { background: #fff; }\ndiv { background-color: #000; }"
+    ),
+    null
+  );
+  assert.strictEqual(
+    await getFailingBackground(
+      "div { background-color: #000; }\ndiv { background: #fff; }"
+    ),
+    "rgb(255, 255, 255)"
+  );
+});
+
+test("a background shorthand without a color resets it to transparent", async () => {
+  assert.strictEqual(
+    await getFailingBackground(
+      "div { background-color: #000; }\ndiv { background: url(x.png) no-repeat; }"
+    ),
+    "rgb(255, 255, 255)"
+  );
+});
+
+test("text is reported once, on the element that renders it", async () => {
+  const page = createJsdomPage(`<!DOCTYPE html>
+<html><head><style>
+body { background-color: #fff; color: #aaa; }
+</style></head><body><div id="outer"><div class="layer"><p>Low <b>bold</b></p></div></div></body></html>`);
+  const { totalChecked, xlsxArray } = await checkStaticCCwithCss(page, [], []);
+  assert.strictEqual(totalChecked, 2);
+  assert.deepStrictEqual(
+    xlsxArray.map(({ Tag, Text }) => [Tag, Text]),
+    [
+      ["<p>Low <b>bold</b></p>", "Low"],
+      ["<b>bold</b>", "bold"],
+    ]
+  );
+});
+
+test("text the page does not color is checked in the initial black", async () => {
+  const page = createJsdomPage(`<!DOCTYPE html>
+<html><head><style>
+body { background-color: #111; }
+</style></head><body><p>Dark</p></body></html>`);
+  const { totalChecked, xlsxArray } = await checkStaticCCwithCss(page, [], []);
+  assert.strictEqual(totalChecked, 1);
+  assert.strictEqual(xlsxArray.length, 1);
+  assert.strictEqual(xlsxArray[0].Text_Color, "rgb(0, 0, 0)");
+});
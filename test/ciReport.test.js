@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  RULES,
+  writeSarifReport,
+  writeJunitReport,
+} = require("../util/ciReport");
+
+const ROOT = path.join(os.tmpdir(), "my course");
+
+const RESULT = {
+  summary: {
+    root: ROOT,
+    level: "AA",
+    courseTitle: "Safety & Health",
+    totalPageErrors: 1,
+  },
+  pages: [
+    {
+      file: path.join(ROOT, "a001 intro.html"),
+      findings: [
+        {
+          check: "static",
+          Rule_Id: "color-contrast",
+          Status: "fail",
+          Reason_For_Failing: "Contrast ratio 2.85 is below 4.5 <p>",
+          Tag: '<p class="low">Low</p>',
+          Contrast_Ratio: 2.85,
+          Required_Ratio: 4.5,
+          Text_Color: "rgb(153, 153, 153)",
+          Background_Color: "rgb(255, 255, 255)",
+          Fingerprint: "abc",
+          Suppressed: null,
+          Source_Location: {
+            startLine: 12,
+            startColumn: 3,
+            endLine: 12,
+            endColumn: 26,
+          },
+          Suggested_Patch: {
+            source: "css/site.css",
+            selector: ".low",
+            property: "color",
+            to: "#767676",
+            region: { startLine: 4, startColumn: 8, endLine: 4, endColumn: 23 },
+            replacement: "color: #767676;",
+          },
+        },
+        {
+          check: "dynamic",
+          Rule_Id: "color-contrast",
+          Status: "needs review",
+          Reason_For_Failing: "Text over an image",
+          State: "hover",
+          Fingerprint: "def",
+          Suppressed: null,
+        },
+        {
+          check: "rules",
+          Rule_Id: "image-alt",
+          Status: "fail",
+          Reason_For_Failing: "Image without alt",
+          Fingerprint: "ghi",
+          Suppressed: { by: "inline", justification: "Decorative" },
+        },
+      ],
+    },
+    { file: path.join(ROOT, "a002.html"), findings: [] },
+    { file: path.join(ROOT, "a003.html"), findings: [], error: "Timed out" },
+  ],
+};
+
+test("writeSarifReport writes a SARIF 2.1.0 log", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sarif-"));
+  t.after(() => fs.remove(dir));
+  const filePath = path.join(dir, "report.sarif");
+  await writeSarifReport(RESULT, filePath);
+
+  const sarif = await fs.readJson(filePath);
+  assert.strictEqual(sarif.version, "2.1.0");
+  const [run] = sarif.runs;
+  assert.deepStrictEqual(
+    run.tool.driver.rules.map((rule) => rule.id),
+    RULES.map((rule) => rule.id)
+  );
+  assert.match(
+    run.originalUriBaseIds.PACKAGE_ROOT.uri,
+    /^file:.*my%20course\/$/
+  );
+  assert.strictEqual(run.invocations[0].executionSuccessful, false);
+  assert.strictEqual(
+    run.invocations[0].toolExecutionNotifications[0].message.text,
+    "Timed out"
+  );
+
+  const [failure, review, suppressed] = run.results;
+  assert.strictEqual(failure.level, "error");
+  assert.strictEqual(failure.ruleIndex, 0);
+  assert.strictEqual(
+    failure.locations[0].physicalLocation.artifactLocation.uri,
+    "a001%20intro.html"
+  );
+  assert.strictEqual(
+    failure.locations[0].physicalLocation.region.startLine,
+    12
+  );
+  assert.strictEqual(failure.partialFingerprints["contrastFinding/v1"], "abc");
+  assert.strictEqual(failure.properties.contrastRatio, 2.85);
+  assert.strictEqual(
+    failure.fixes[0].artifactChanges[0].replacements[0].insertedContent.text,
+    "color: #767676;"
+  );
+  assert.strictEqual(review.level, "warning");
+  assert.strictEqual(review.properties.state, "hover");
+  assert.strictEqual(review.locations[0].physicalLocation.region, undefined);
+  assert.deepStrictEqual(suppressed.suppressions, [
+    { kind: "inSource", justification: "Decorative" },
+  ]);
+});
+
+test("writeJunitReport writes one test case per page", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "junit-"));
+  t.after(() => fs.remove(dir));
+  const filePath = path.join(dir, "report.xml");
+  await writeJunitReport(RESULT, filePath);
+
+  const xml = await fs.readFile(filePath, "utf-8");
+  assert.match(
+    xml,
+    /<testsuite name="Safety &amp; Health" tests="3" failures="1" errors="1" skipped="0">/
+  );
+  assert.match(
+    xml,
+    /<failure message="1 accessibility failure" type="accessibility">\[color-contrast\] \[default\] \(line 12, column 3\) Contrast ratio 2.85 is below 4.5 &lt;p&gt;<\/failure>/
+  );
+  assert.match(
+    xml,
+    /Needs review:\n\[color-contrast\] \[hover\] Text over an image/
+  );
+  assert.match(
+    xml,
+    /Suppressed:\n\[image-alt\] \[default\] Image without alt \(inline: Decorative\)/
+  );
+  assert.match(
+    xml,
+    /<testcase classname="Safety &amp; Health" name="a002.html" time="0"\/>/
+  );
+  assert.match(xml, /<error message="Timed out" type="page-error"\/>/);
+});
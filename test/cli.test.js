@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+// The scan itself needs a browser: `run` is tested against a stand-in for `main`
+const mainResult = { totalInstFailed: 0, totalPageErrors: 0 };
+require.cache[require.resolve("../main")] = {
+  id: require.resolve("../main"),
+  filename: require.resolve("../main"),
+  loaded: true,
+  exports: async () => mainResult,
+};
+const { run, parseCliArgs, UsageError } = require("../cli");
+
+/**
+ * Creates an empty package folder removed after the test.
+ * @param {Object} t - The test context.
+ * @returns {Promise<string>} - The package folder.
+ */
+async function makePackage(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "cli-"));
+  t.after(() => fs.remove(root));
+  return root;
+}
+
+test("parseCliArgs reads the package, level, output and filters", async (t) => {
+  const root = await makePackage(t);
+  const options = parseCliArgs([
+    "scan",
+    root,
+    "--level",
+    "aaa",
+    "--out",
+    "report.json",
+    "-i",
+    "a001_*",
+    "-e",
+    "*_sniffer_*",
+    "--states",
+    "none",
+    "--rules",
+    "image-alt,label",
+    "--crawl",
+    "--max-states",
+    "5",
+  ]);
+  assert.strictEqual(options.root, root);
+  assert.strictEqual(options.level, "AAA");
+  assert.strictEqual(options.out, path.resolve("report.json"));
+  assert.deepStrictEqual(options.include, ["a001_*"]);
+  assert.deepStrictEqual(options.exclude, ["*_sniffer_*"]);
+  assert.deepStrictEqual(options.states, []);
+  assert.deepStrictEqual(options.rules, ["image-alt", "label"]);
+  assert.deepStrictEqual(options.crawl, { maxDepth: 2, maxStates: 5 });
+  assert.strictEqual(options.fix, null);
+  assert.deepStrictEqual(parseCliArgs(["--help"]), { help: true });
+});
+
+test("parseCliArgs leaves the best-practice rules out unless asked for", async (t) => {
+  const root = await makePackage(t);
+  const { rules } = parseCliArgs(["scan", root]);
+  assert.ok(rules.includes("image-alt"));
+  [
+    "heading-order",
+    "landmark-one-main",
+    "page-has-heading-one",
+    "region",
+  ].forEach((ruleId) => assert.ok(!rules.includes(ruleId), ruleId));
+  assert.deepStrictEqual(
+    parseCliArgs(["scan", root, "--rules", "region"]).rules,
+    ["region"]
+  );
+});
+
+test("parseCliArgs rejects invalid arguments with a usage error", async (t) => {
+  const root = await makePackage(t);
+  const invalid = [
+    [[], /Missing command/],
+    [["check", root], /Unknown command "check"/],
+    [["scan"], /Missing package/],
+    [["scan", path.join(root, "missing")], /not found/],
+    [["scan", root, "extra"], /Unexpected arguments: extra/],
+    [["scan", root, "--level", "A"], /Invalid level "A"/],
+    [["scan", root, "--algorithm", "x"], /Invalid algorithm "x"/],
+    [["scan", root, "--visibility", "x"], /Invalid visibility policy "x"/],
+    [["scan", root, "--states", "hover,pressed"], /Invalid state "pressed"/],
+    [["scan", root, "--rules", "nope"], /Invalid rule "nope"/],
+    [["scan", root, "--concurrency", "0"], /Invalid --concurrency "0"/],
+    [["scan", root, "--page-timeout", "1.5"], /Invalid --page-timeout/],
+    [["scan", root, "--fix", "out", "--dry-run"], /either --fix/],
+    [["scan", root, "--update-baseline"], /needs the --baseline file/],
+    [["scan", root, "--unknown"], /Unknown option/],
+  ];
+  invalid.forEach(([argv, message]) =>
+    assert.throws(
+      () => parseCliArgs(argv),
+      (error) => error instanceof UsageError && message.test(error.message),
+      argv.join(" ")
+    )
+  );
+});
+
+test("run exits with 0 when clean, 1 on violations and 2 on tool errors", async (t) => {
+  const root = await makePackage(t);
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const scan = async (result) => {
+    Object.assign(mainResult, result);
+    return run(["scan", root]);
+  };
+
+  assert.strictEqual(await run(["--help"]), 0);
+  assert.strictEqual(await run(["scan"]), 2);
+  assert.strictEqual(await scan({ totalInstFailed: 0, totalPageErrors: 0 }), 0);
+  assert.strictEqual(await scan({ totalInstFailed: 3, totalPageErrors: 1 }), 1);
+  assert.strictEqual(await scan({ totalInstFailed: 0, totalPageErrors: 1 }), 2);
+});
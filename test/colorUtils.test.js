@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseColor,
+  compositeOver,
+  applyOpacity,
+  compositeColorStack,
+  toOklch,
+  fromOklch,
+  toHex,
+  toRgbString,
+  WHITE,
+} = require("../util/colorUtils");
+const { UnresolvableColorError } = require("../util/errors");
+
+/**
+ * Rounds the channels of a color, to compare colors computed in floating point.
+ * @param {Object} color - The color.
+ * @returns {Object} - The color with whole channels and alpha to 3 decimals.
+ */
+const rounded = ({ r, g, b, a }) => ({
+  r: Math.round(r),
+  g: Math.round(g),
+  b: Math.round(b),
+  a: Math.round(a * 1000) / 1000,
+});
+
+test("parseColor reads hex colors of every length", () => {
+  assert.deepStrictEqual(parseColor("#fff"), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepStrictEqual(rounded(parseColor("#0f08")), {
+    r: 0,
+    g: 255,
+    b: 0,
+    a: 0.533,
+  });
+  assert.deepStrictEqual(parseColor("#102030"), { r: 16, g: 32, b: 48, a: 1 });
+  assert.deepStrictEqual(parseColor("#10203080").a, 128 / 255);
+});
+
+test("parseColor reads named, system and special colors", () => {
+  assert.deepStrictEqual(parseColor("RebeccaPurple"), {
+    r: 102,
+    g: 51,
+    b: 153,
+    a: 1,
+  });
+  assert.strictEqual(parseColor("transparent").a, 0);
+  assert.ok(parseColor("canvastext"));
+  assert.deepStrictEqual(parseColor("currentColor", { currentColor: "red" }), {
+    r: 255,
+    g: 0,
+    b: 0,
+    a: 1,
+  });
+  assert.strictEqual(parseColor("currentColor"), null);
+});
+
+test("parseColor reads the color functions of CSS Color 4", () => {
+  assert.deepStrictEqual(parseColor("rgb(10 20 30 / 50%)"), {
+    r: 10,
+    g: 20,
+    b: 30,
+    a: 0.5,
+  });
+  assert.deepStrictEqual(parseColor("rgba(10, 20, 30, 0.25)").a, 0.25);
+  assert.deepStrictEqual(rounded(parseColor("hsl(120 100% 50%)")), {
+    r: 0,
+    g: 255,
+    b: 0,
+    a: 1,
+  });
+  assert.deepStrictEqual(rounded(parseColor("hwb(0 0% 0%)")), {
+    r: 255,
+    g: 0,
+    b: 0,
+    a: 1,
+  });
+  assert.deepStrictEqual(rounded(parseColor("oklch(0.628 0.2577 29.23)")), {
+    r: 255,
+    g: 0,
+    b: 0,
+    a: 1,
+  });
+  assert.deepStrictEqual(rounded(parseColor("color(display-p3 1 0 0)")), {
+    r: 255,
+    g: 0,
+    b: 0,
+    a: 1,
+  });
+});
+
+test("parseColor returns null for what is not a color", () => {
+  ["bogus", "", "#12", "rgb(1, 2)", "url(bg.png)", "var(--x)", null].forEach(
+    (value) => assert.strictEqual(parseColor(value), null, String(value))
+  );
+});
+
+test("compositeOver and applyOpacity blend translucent colors", () => {
+  const halfBlack = { r: 0, g: 0, b: 0, a: 0.5 };
+  assert.deepStrictEqual(compositeOver(halfBlack, WHITE), {
+    r: 127.5,
+    g: 127.5,
+    b: 127.5,
+    a: 1,
+  });
+  assert.strictEqual(applyOpacity(WHITE, "0.4").a, 0.4);
+  assert.strictEqual(applyOpacity(WHITE, "auto"), WHITE);
+});
+
+test("compositeColorStack flattens layers and ancestor opacity", () => {
+  const { textColor, backgroundColor } = compositeColorStack({
+    textColor: "rgba(0, 0, 0, 0.5)",
+    layers: [
+      { backgroundColor: "transparent", opacity: "1" },
+      { backgroundColor: "#000", opacity: "0.5" },
+    ],
+  });
+  assert.deepStrictEqual(rounded(textColor), { r: 128, g: 128, b: 128, a: 1 });
+  assert.deepStrictEqual(rounded(backgroundColor), {
+    r: 128,
+    g: 128,
+    b: 128,
+    a: 1,
+  });
+  assert.throws(
+    () => compositeColorStack({ textColor: "nope", layers: [] }),
+    UnresolvableColorError
+  );
+  assert.throws(
+    () =>
+      compositeColorStack({
+        textColor: "black",
+        layers: [{ backgroundColor: "var(--missing)" }],
+      }),
+    UnresolvableColorError
+  );
+});
+
+test("toOklch and fromOklch round-trip sRGB colors", () => {
+  const color = { r: 12, g: 200, b: 99, a: 1 };
+  assert.deepStrictEqual(rounded(fromOklch(toOklch(color))), color);
+  assert.strictEqual(fromOklch([0.5, 0.5, 30]), null);
+});
+
+test("toHex and toRgbString format colors", () => {
+  assert.strictEqual(toHex({ r: 249, g: 243.4, b: 3 }), "#F9F303");
+  assert.strictEqual(toRgbString({ r: 1, g: 2, b: 3, a: 1 }), "rgb(1, 2, 3)");
+  assert.strictEqual(
+    toRgbString({ r: 1, g: 2, b: 3, a: 0.5 }),
+    "rgba(1, 2, 3, 0.5)"
+  );
+});
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AdmZip = require("adm-zip");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  isZipPackage,
+  extractPackage,
+  readCourseStructure,
+} = require("../util/coursePackage");
+
+/**
+ * Writes the files of a package to a new temporary folder.
+ * @param {Object} t - The test context, removing the folder after the test.
+ * @param {Object} files - Content of each file, by path in the package.
+ * @returns {Promise<string>} - The package folder.
+ */
+async function writePackage(t, files) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "course-"));
+  t.after(() => fs.remove(root));
+  await Promise.all(
+    Object.entries(files).map(([name, content]) =>
+      fs.outputFile(path.join(root, name), content)
+    )
+  );
+  return root;
+}
+
+const SCORM_MANIFEST = `<?xml version="1.0"?>
+<manifest identifier="course" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1">
+  <organizations default="org1">
+    <organization identifier="org0"><title>Other</title></organization>
+    <organization identifier="org1">
+      <title>Fire Safety</title>
+      <item identifier="i1" identifierref="r1"><title>Introduction</title></item>
+      <item identifier="i2">
+        <title>Chapter 1</title>
+        <item identifier="i3" identifierref="r2"><title>Quiz</title></item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="r1" href="a001_intro.html">
+      <file href="a001_intro.html"/>
+      <file href="a002_more.html?x=1"/>
+      <file href="css/site.css"/>
+    </resource>
+    <resource identifier="r2" xml:base="quiz/" href="a003_quiz.html">
+      <file href="a003_quiz.html"/>
+      <file href="a004_result.html"/>
+    </resource>
+  </resources>
+</manifest>`;
+
+test("readCourseStructure lists SCORM pages in course order with labels", async (t) => {
+  const root = await writePackage(t, {
+    "imsmanifest.xml": SCORM_MANIFEST,
+    "a001_intro.html": "<p>1</p>",
+    "a002_more.html": "<p>2</p>",
+    "quiz/a003_quiz.html": "<p>3</p>",
+    "quiz/a004_result.html": "<p>4</p>",
+    "css/site.css": "p {}",
+  });
+  const course = readCourseStructure(root);
+  assert.strictEqual(course.format, "scorm");
+  assert.strictEqual(course.title, "Fire Safety");
+  assert.strictEqual(course.launch, path.join(root, "a001_intro.html"));
+  assert.deepStrictEqual(
+    course.pages.map(({ file, label }) => [path.relative(root, file), label]),
+    [
+      ["a001_intro.html", "Fire Safety > Introduction"],
+      ["a002_more.html", "Fire Safety > Introduction"],
+      [path.join("quiz", "a003_quiz.html"), "Fire Safety > Chapter 1 > Quiz"],
+      [path.join("quiz", "a004_result.html"), "Fire Safety > Chapter 1 > Quiz"],
+    ]
+  );
+});
+
+test("readCourseStructure returns no pages without a manifest", async (t) => {
+  const root = await writePackage(t, { "index.html": "<p>1</p>" });
+  assert.deepStrictEqual(readCourseStructure(root), {
+    format: null,
+    title: null,
+    launch: null,
+    pages: [],
+  });
+});
+
+test("readCourseStructure reads the launch page of tincan.xml", async (t) => {
+  const root = await writePackage(t, {
+    "tincan.xml": `<tincan><activities>
+      <activity id="x" type="objective"><name>Objective</name></activity>
+      <activity id="y" type="course"><name>Fire Safety</name><launch lang="en-us">index.html</launch></activity>
+    </activities></tincan>`,
+    "index.html": "<p>1</p>",
+  });
+  const course = readCourseStructure(root);
+  assert.strictEqual(course.format, "xapi");
+  assert.strictEqual(course.title, "Fire Safety");
+  assert.strictEqual(course.launch, path.join(root, "index.html"));
+  assert.deepStrictEqual(course.pages[0], {
+    file: path.join(root, "index.html"),
+    label: "Fire Safety",
+  });
+});
+
+test("readCourseStructure follows the navigation of the launch page, not every HTML file", async (t) => {
+  const root = await writePackage(t, {
+    "tincan.xml": `<tincan><activities>
+      <activity id="y" type="course"><name>Fire Safety</name><launch lang="en-us">index.html</launch></activity>
+    </activities></tincan>`,
+    "index.html": '<script>location.replace("a001_intro.html?x=1")</script>',
+    "a001_intro.html":
+      '<a href="javascript:trivExitPage(\'quiz/a002_quiz.html\')">Next</a><a href="https://example.com/a.html">Site</a>',
+    "quiz/a002_quiz.html": '<a href="../a001_intro.html">Back</a>',
+    "a001_sniffer.html": "<p>Sniffer</p>",
+  });
+  const course = readCourseStructure(root);
+  assert.deepStrictEqual(
+    course.pages.map(({ file, label }) => [path.relative(root, file), label]),
+    [
+      ["index.html", "Fire Safety"],
+      ["a001_intro.html", "Fire Safety"],
+      [path.join("quiz", "a002_quiz.html"), "Fire Safety"],
+    ]
+  );
+});
+
+test("readCourseStructure adds the pages of SCORM resource dependencies", async (t) => {
+  const root = await writePackage(t, {
+    "imsmanifest.xml": `<manifest identifier="course">
+      <organizations default="org1">
+        <organization identifier="org1">
+          <title>Fire Safety</title>
+          <item identifier="i1" identifierref="r1"><title>Introduction</title></item>
+        </organization>
+      </organizations>
+      <resources>
+        <resource identifier="r1" href="a001_intro.html"><dependency identifierref="shared"/></resource>
+        <resource identifier="shared"><file href="a002_more.html"/><dependency identifierref="r1"/></resource>
+      </resources>
+    </manifest>`,
+    "a001_intro.html": "<p>1</p>",
+    "a002_more.html": "<p>2</p>",
+    "launcher.html": "<p>Launcher</p>",
+  });
+  assert.deepStrictEqual(
+    readCourseStructure(root).pages.map(({ file, label }) => [
+      path.relative(root, file),
+      label,
+    ]),
+    [
+      ["a001_intro.html", "Fire Safety > Introduction"],
+      ["a002_more.html", "Fire Safety > Introduction"],
+    ]
+  );
+});
+
+test("isZipPackage and extractPackage read zip packages", async (t) => {
+  const dir = await writePackage(t, { "folder/index.html": "<p>1</p>" });
+  const zipPath = path.join(dir, "Fire Safety.zip");
+  const zip = new AdmZip();
+  zip.addFile("index.html", Buffer.from("<p>1</p>"));
+  zip.writeZip(zipPath);
+
+  assert.strictEqual(isZipPackage(zipPath), true);
+  assert.strictEqual(isZipPackage(path.join(dir, "folder")), false);
+  assert.strictEqual(isZipPackage(path.join(dir, "missing.zip")), false);
+
+  const { root, tempDir } = await extractPackage(zipPath);
+  t.after(() => fs.remove(tempDir));
+  assert.strictEqual(path.basename(root), "Fire Safety");
+  assert.strictEqual(
+    await fs.readFile(path.join(root, "index.html"), "utf-8"),
+    "<p>1</p>"
+  );
+});
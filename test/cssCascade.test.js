@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  calculateSpecificity,
+  compareSpecificity,
+  getShorthandColor,
+  parseCssRules,
+} = require("../util/cssCascade");
+
+test("calculateSpecificity counts ids, classes and types", () => {
+  assert.deepStrictEqual(calculateSpecificity("#text123 p"), [1, 0, 1]);
+  assert.deepStrictEqual(
+    calculateSpecificity("span.text2119501Font1"),
+    [0, 1, 1]
+  );
+  assert.deepStrictEqual(
+    calculateSpecificity('a[href$=".pdf"]:hover'),
+    [0, 2, 1]
+  );
+  assert.deepStrictEqual(calculateSpecificity("p::before"), [0, 0, 2]);
+  assert.deepStrictEqual(calculateSpecificity("*"), [0, 0, 0]);
+});
+
+test("calculateSpecificity follows Selectors 4 for :is, :not and :where", () => {
+  assert.deepStrictEqual(
+    calculateSpecificity(":is(#a, .b) > p::before:hover"),
+    [1, 1, 2]
+  );
+  assert.deepStrictEqual(calculateSpecificity("div:not(.x, p)"), [0, 1, 1]);
+  assert.deepStrictEqual(calculateSpecificity(":where(#a) p"), [0, 0, 1]);
+});
+
+test("compareSpecificity orders ids before classes before types", () => {
+  assert.ok(compareSpecificity([1, 0, 0], [0, 10, 10]) > 0);
+  assert.ok(compareSpecificity([0, 1, 0], [0, 0, 12]) > 0);
+  assert.ok(compareSpecificity([0, 0, 1], [0, 0, 2]) < 0);
+  assert.strictEqual(compareSpecificity([0, 1, 1], [0, 1, 1]), 0);
+});
+
+test("parseCssRules keeps cascaded declarations with their position", () => {
+  const rules = parseCssRules(
+    "a, #b { color: red !important; margin: 0 }\n@media print { p { font-size: 12pt } }",
+    { source: "site.css" }
+  );
+  assert.deepStrictEqual(
+    rules.map(({ selector, specificity, media }) => [
+      selector,
+      specificity,
+      media,
+    ]),
+    [
+      ["a", [0, 0, 1], null],
+      ["#b", [1, 0, 0], null],
+      ["p", [0, 0, 1], "print"],
+    ]
+  );
+  assert.deepStrictEqual(rules[0].declarations, [
+    {
+      property: "color",
+      value: "red",
+      important: true,
+      line: 1,
+      column: 9,
+      endLine: 1,
+      endColumn: 30,
+      order: 0,
+    },
+  ]);
+  assert.strictEqual(rules[1].declarations[0].order, 1);
+  assert.strictEqual(rules[2].source, "site.css");
+});
+
+test("parseCssRules keeps custom properties and nests media queries", () => {
+  const [rule] = parseCssRules(
+    "@media screen { @media (min-width: 10px) { :root { --Brand: #123 } } }"
+  );
+  assert.strictEqual(rule.media, "screen and (min-width: 10px)");
+  assert.strictEqual(rule.declarations[0].property, "--Brand");
+});
+
+test("parseCssRules numbers declarations with a shared order", () => {
+  let order = 10;
+  const nextOrder = () => order++;
+  parseCssRules("p { color: red }", { nextOrder });
+  const [rule] = parseCssRules("p { color: blue }", { nextOrder });
+  assert.strictEqual(rule.declarations[0].order, 11);
+});
+
+test("getShorthandColor finds the color a background shorthand sets", () => {
+  assert.strictEqual(getShorthandColor("white url(bg.png) no-repeat"), "white");
+  assert.strictEqual(
+    getShorthandColor("url(a.png) center / cover rgb(0 0 0 / 50%)"),
+    "rgb(0 0 0 / 50%)"
+  );
+  assert.strictEqual(getShorthandColor("var(--brand)"), "var(--brand)");
+  assert.strictEqual(getShorthandColor("url(bg.png) no-repeat"), "transparent");
+  assert.strictEqual(getShorthandColor("inherit"), "inherit");
+});
+
+test("parseCssRules reads a background shorthand as background-color", () => {
+  const [longhand, shorthand] = parseCssRules(
+    "div { background-color: #000 }\n#x { background: #fff url(x.png) !important }"
+  );
+  assert.deepStrictEqual(
+    longhand.declarations.map(({ property, value }) => [property, value]),
+    [["background-color", "#000"]]
+  );
+  assert.deepStrictEqual(
+    (({ property, value, important, shorthand: written }) => ({
+      property,
+      value,
+      important,
+      written,
+    }))(shorthand.declarations[0]),
+    {
+      property: "background-color",
+      value: "#fff",
+      important: true,
+      written: { property: "background", value: "#fff url(x.png)" },
+    }
+  );
+});
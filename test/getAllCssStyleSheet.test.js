@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const getAllCssStyleSheet = require("../util/getAllCssStyleSheet");
+
+/**
+ * Writes the files of a package to a new temporary folder.
+ * @param {Object} t - The test context, removing the folder after the test.
+ * @param {Object} files - Content of each file, by path in the package.
+ * @returns {Promise<string>} - The package folder.
+ */
+async function writePackage(t, files) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "stylesheets-"));
+  t.after(() => fs.remove(root));
+  await Promise.all(
+    Object.entries(files).map(([name, content]) =>
+      fs.outputFile(path.join(root, name), content)
+    )
+  );
+  return root;
+}
+
+/**
+ * Lists the stylesheets of a page relative to the package.
+ * @param {string} root - The package folder.
+ * @param {string} page - Path of the page in the package.
+ * @returns {Array<string>} - Paths of the stylesheets in the package, in cascade order.
+ */
+const getStyleSheets = (root, page) =>
+  getAllCssStyleSheet(path.join(root, page)).styleSheets.map((file) =>
+    path.relative(root, file).split(path.sep).join("/")
+  );
+
+test("links are resolved against the page, without their query string", async (t) => {
+  const root = await writePackage(t, {
+    "pages/a001.html": `<link rel="stylesheet" href="../css/site.css?v=3">
+      <link rel="stylesheet" href="page.css#print">
+      <link rel="alternate stylesheet" href="../css/contrast.css">`,
+    "css/site.css": "p { color: #333; }",
+    "css/contrast.css": "p { color: #000; }",
+    "pages/page.css": "p { color: #444; }",
+  });
+  assert.deepStrictEqual(getStyleSheets(root, "pages/a001.html"), [
+    "css/site.css",
+    "pages/page.css",
+  ]);
+});
+
+test("links are resolved against the <base href> of the page", async (t) => {
+  const root = await writePackage(t, {
+    "pages/a001.html": `<base href="../shared/">
+      <link rel="stylesheet" href="site.css">`,
+    "shared/site.css": "p { color: #333; }",
+  });
+  assert.deepStrictEqual(getStyleSheets(root, "pages/a001.html"), [
+    "shared/site.css",
+  ]);
+});
+
+test("nested @import chains come before the importing stylesheet", async (t) => {
+  const root = await writePackage(t, {
+    "a001.html": `<link rel="stylesheet" href="css/site.css">`,
+    "css/site.css": `@import url("base/reset.css");\np { color: #333; }`,
+    "css/base/reset.css": `@import "../fonts.css";\n* { margin: 0; }`,
+    "css/fonts.css": "body { font-family: serif; }",
+  });
+  assert.deepStrictEqual(getStyleSheets(root, "a001.html"), [
+    "css/fonts.css",
+    "css/base/reset.css",
+    "css/site.css",
+  ]);
+});
+
+test("@import rules of <style> blocks are followed from the page", async (t) => {
+  const root = await writePackage(t, {
+    "pages/a001.html": `<base href="../">
+      <style>@import url(css/theme.css?v=2); p { color: #333; }</style>`,
+    "css/theme.css": `@import "colors.css";`,
+    "css/colors.css": "p { color: #555; }",
+  });
+  assert.deepStrictEqual(getStyleSheets(root, "pages/a001.html"), [
+    "css/colors.css",
+    "css/theme.css",
+  ]);
+});
+
+test("references to missing stylesheets are reported with the file referencing them", async (t) => {
+  const root = await writePackage(t, {
+    "a001.html": `<link rel="stylesheet" href="css/missing.css">
+      <link rel="stylesheet" href="css/site.css">
+      <link rel="stylesheet" href="https://cdn.example.com/remote.css">`,
+    "css/site.css": `@import "gone.css";`,
+  });
+  const { styleSheets, missingStyleSheets } = getAllCssStyleSheet(
+    path.join(root, "a001.html")
+  );
+  assert.deepStrictEqual(styleSheets, [path.join(root, "css/site.css")]);
+  assert.deepStrictEqual(missingStyleSheets, [
+    {
+      href: "css/missing.css",
+      resolvedPath: path.join(root, "css/missing.css"),
+      from: path.join(root, "a001.html"),
+    },
+    {
+      href: "gone.css",
+      resolvedPath: path.join(root, "css/gone.css"),
+      from: path.join(root, "css/site.css"),
+    },
+  ]);
+});
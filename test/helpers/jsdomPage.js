@@ -0,0 +1,67 @@
+/**
+ * @module jsdomPage
+ * @description Stands in for a Puppeteer page in tests: `evaluate` runs the function in a jsdom window,
+ * with its arguments and result serialized as Puppeteer does.
+ */
+
+const fs = require("fs");
+const { JSDOM } = require("jsdom");
+
+/**
+ * Loads HTML into a jsdom window behind the part of the Puppeteer page API the checks use.
+ * @param {string} html - The page source.
+ * @param {Object} [options]
+ * @param {string} [options.url="file:///course/page.html"] - URL of the page.
+ * @returns {Object} - The page, with the jsdom `window`.
+ */
+function createJsdomPage(html, { url = "file:///course/page.html" } = {}) {
+  const { window } = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  const serialize = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  return {
+    window,
+    url: async () => url,
+    title: async () => window.document.title,
+    evaluate: async (fn, ...args) =>
+      serialize(await window.eval(`(${fn})`)(...serialize(args))),
+  };
+}
+
+/**
+ * Stands in for a Puppeteer browser whose pages load local files into jsdom.
+ * @returns {Object} - The browser.
+ */
+function createJsdomBrowser() {
+  return {
+    newPage: async () => {
+      let loaded = createJsdomPage("<!DOCTYPE html><html><body></body></html>");
+      return {
+        setBypassCSP: async () => {},
+        createCDPSession: async () => ({
+          send: async () => ({}),
+          on: () => {},
+        }),
+        goto: async (url) => {
+          loaded = createJsdomPage(fs.readFileSync(new URL(url), "utf-8"), {
+            url,
+          });
+          loaded.window.document.fonts = { ready: Promise.resolve() };
+        },
+        waitForNetworkIdle: async () => {},
+        waitForSelector: async () => {},
+        url: () => loaded.window.location.href,
+        title: async () => loaded.window.document.title,
+        evaluate: (fn, ...args) => loaded.evaluate(fn, ...args),
+        isClosed: () => false,
+        close: async () => {},
+      };
+    },
+    close: async () => {},
+  };
+}
+
+module.exports = { createJsdomPage, createJsdomBrowser };
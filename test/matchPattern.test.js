@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const {
+  globToRegExp,
+  matchesPattern,
+  filterPaths,
+} = require("../util/matchPattern");
+
+const ROOT = path.join("course", "package");
+const file = (name) => path.join(ROOT, ...name.split("/"));
+
+test("globToRegExp keeps * within a folder and lets ** cross folders", () => {
+  assert.ok(globToRegExp("a001_*").test("a001_intro.html"));
+  assert.ok(!globToRegExp("*.html").test("quiz/a002.html"));
+  assert.ok(globToRegExp("**/*.html").test("quiz/part/a002.html"));
+  assert.ok(globToRegExp("a00?_intro.html").test("A003_INTRO.HTML"));
+  assert.ok(!globToRegExp("a00?_intro.html").test("a0010_intro.html"));
+  assert.ok(!globToRegExp("a001.html").test("a001xhtml"));
+});
+
+test("matchesPattern tests the path relative to the root and the file name", () => {
+  assert.ok(matchesPattern(file("quiz/a002_q1.html"), "quiz/*.html", ROOT));
+  assert.ok(matchesPattern(file("quiz/a002_q1.html"), "a002_*", ROOT));
+  assert.ok(!matchesPattern(file("quiz/a002_q1.html"), "other/*", ROOT));
+});
+
+test("filterPaths keeps included paths that no exclude pattern matches", () => {
+  const files = [
+    "a001_intro.html",
+    "a001_sniffer_check.html",
+    "a002_quiz.html",
+  ].map(file);
+  const names = (paths) => paths.map((filePath) => path.basename(filePath));
+
+  assert.deepStrictEqual(names(filterPaths(files, { root: ROOT })), [
+    "a001_intro.html",
+    "a001_sniffer_check.html",
+    "a002_quiz.html",
+  ]);
+  assert.deepStrictEqual(
+    names(
+      filterPaths(files, {
+        root: ROOT,
+        include: ["a001_*"],
+        exclude: ["*_sniffer_*"],
+      })
+    ),
+    ["a001_intro.html"]
+  );
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const runPagePool = require("../util/pagePool");
+const { PageTimeoutError } = require("../util/errors");
+
+/**
+ * Builds a browser whose `newPage` fails for the given calls.
+ * @param {Array<number>} failingCalls - 1-based numbers of the `newPage` calls that throw.
+ * @returns {Object} - The browser, with the `opened` and `closed` page counts.
+ */
+function makeBrowser(failingCalls = []) {
+  const browser = {
+    opened: 0,
+    closed: 0,
+    newPage: async () => {
+      browser.opened += 1;
+      if (failingCalls.includes(browser.opened)) {
+        throw new Error("Target closed");
+      }
+      let closed = false;
+      return {
+        id: browser.opened,
+        setBypassCSP: async () => {},
+        createCDPSession: async () => ({ send: async () => {} }),
+        isClosed: () => closed,
+        close: async () => {
+          if (!closed) browser.closed += 1;
+          closed = true;
+        },
+      };
+    },
+  };
+  return browser;
+}
+
+test("runPagePool reports a page that cannot be opened and checks the next files", async () => {
+  const browser = makeBrowser([1]);
+  const results = await runPagePool(
+    browser,
+    ["a.html", "b.html", "c.html"],
+    async (page, file) => `${file}@${page.id}`,
+    { concurrency: 1, timeout: 1000 }
+  );
+  assert.strictEqual(results[0].error.message, "Target closed");
+  assert.deepStrictEqual(
+    results.slice(1).map(({ value }) => value),
+    ["b.html@2", "c.html@2"]
+  );
+  assert.strictEqual(browser.closed, 1);
+});
+
+test("runPagePool replaces the page of a file that timed out", async () => {
+  const browser = makeBrowser();
+  const results = await runPagePool(
+    browser,
+    ["slow.html", "b.html"],
+    (page, file) =>
+      file === "slow.html"
+        ? new Promise((resolve) => setTimeout(resolve, 200))
+        : Promise.resolve(`${file}@${page.id}`),
+    { concurrency: 1, timeout: 50 }
+  );
+  assert.ok(results[0].error instanceof PageTimeoutError);
+  assert.strictEqual(results[1].value, "b.html@2");
+  assert.strictEqual(browser.closed, 2);
+});
+
+test("runPagePool replaces a page closed during a check", async () => {
+  const browser = makeBrowser();
+  const results = await runPagePool(
+    browser,
+    ["crash.html", "b.html", "c.html"],
+    async (page, file) => {
+      if (file === "crash.html") {
+        await page.close();
+        throw new Error(
+          "Protocol error (Runtime.callFunctionOn): Target closed"
+        );
+      }
+      return `${file}@${page.id}`;
+    },
+    { concurrency: 1, timeout: 1000 }
+  );
+  assert.match(results[0].error.message, /Target closed/);
+  assert.deepStrictEqual(
+    results.slice(1).map(({ value }) => value),
+    ["b.html@2", "c.html@2"]
+  );
+});
+
+test("runPagePool keeps the page after an error of the check itself", async () => {
+  const browser = makeBrowser();
+  const results = await runPagePool(
+    browser,
+    ["bad.html", "b.html"],
+    async (page, file) => {
+      if (file === "bad.html") throw new Error("Unexpected token");
+      return `${file}@${page.id}`;
+    },
+    { concurrency: 1, timeout: 1000 }
+  );
+  assert.strictEqual(results[0].error.message, "Unexpected token");
+  assert.strictEqual(results[1].value, "b.html@1");
+  assert.strictEqual(browser.opened, 1);
+});
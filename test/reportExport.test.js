@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  MAX_FIELD_LENGTH,
+  getFindingRows,
+  writeCsvReport,
+} = require("../util/reportExport");
+
+const ROOT = path.join(os.tmpdir(), "course");
+
+/**
+ * Builds a scan result of one page with the given findings.
+ * @param {Array<Object>} findings - Findings of the page.
+ * @returns {Object} - A result shaped like the one of `scanPackage`.
+ */
+function makeResult(findings) {
+  return {
+    summary: { root: ROOT, level: "AA" },
+    pages: [{ file: path.join(ROOT, "a001_page.html"), findings }],
+  };
+}
+
+test("getFindingRows truncates the tag and patch to fit a spreadsheet cell", () => {
+  const [row] = getFindingRows(
+    makeResult([
+      {
+        check: "static",
+        Rule_Id: "color-contrast",
+        Tag: `<div>${"x".repeat(40000)}</div>`,
+        Suggested_Patch: { diff: "y".repeat(40000) },
+      },
+    ])
+  );
+  assert.strictEqual(row.tag.length, MAX_FIELD_LENGTH);
+  assert.match(row.tag, /^<div>x+ \[truncated\]$/);
+  assert.strictEqual(row.patch.length, MAX_FIELD_LENGTH);
+});
+
+test("writeCsvReport neutralises text that spreadsheets would run as a formula", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "report-export-"));
+  t.after(() => fs.remove(dir));
+  const csvPath = path.join(dir, "report.csv");
+  await writeCsvReport(
+    makeResult([
+      {
+        check: "dynamic",
+        Rule_Id: "color-contrast",
+        Text: '=HYPERLINK("http://example.com","x")',
+        Reason_For_Failing: "@SUM(1)",
+        APCA_Lc: -45.2,
+      },
+    ]),
+    csvPath
+  );
+  const [, row] = (await fs.readFile(csvPath, "utf-8")).split("\r\n");
+  assert.ok(row.includes(`"'=HYPERLINK(""http://example.com"",""x"")"`));
+  assert.ok(row.includes(",'@SUM(1),"));
+  assert.ok(row.includes(",-45.2,"));
+});
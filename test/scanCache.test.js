@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  getCachePath,
+  loadCache,
+  saveCache,
+  getPageKey,
+} = require("../util/scanCache");
+
+const SETTINGS = { level: "AA" };
+
+/**
+ * Writes the files of a package to a new temporary folder.
+ * @param {Object} t - The test context, removing the folder after the test.
+ * @param {Object} files - Content of each file, by path in the package.
+ * @returns {Promise<string>} - The package folder.
+ */
+async function writePackage(t, files) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "scan-cache-"));
+  t.after(() => fs.remove(root));
+  await Promise.all(
+    Object.entries(files).map(([name, content]) =>
+      fs.outputFile(path.join(root, name), content)
+    )
+  );
+  return root;
+}
+
+test("getPageKey changes with the page, its stylesheets and the settings", async (t) => {
+  const root = await writePackage(t, {
+    "page.html": '<link rel="stylesheet" href="css/site.css"><p>Text</p>',
+    "css/site.css": "p { color: #777; }",
+  });
+  const page = path.join(root, "page.html");
+  const key = getPageKey(page, SETTINGS);
+  assert.strictEqual(getPageKey(page, SETTINGS), key);
+  assert.notStrictEqual(getPageKey(page, { level: "AAA" }), key);
+
+  await fs.writeFile(path.join(root, "css/site.css"), "p { color: #000; }");
+  assert.notStrictEqual(getPageKey(page, SETTINGS), key);
+});
+
+test("getPageKey changes with the images, backgrounds and fonts the page renders", async (t) => {
+  const root = await writePackage(t, {
+    "page.html": `<link rel="stylesheet" href="css/site.css">
+      <style>h1 { background: url("images/banner.png"); }</style>
+      <img src="images/logo.png">
+      <div style="background-image: url(images/inline.png)">Text</div>`,
+    "css/site.css": "p { background: url('../images/sheet.png'); }",
+    "images/banner.png": "1",
+    "images/logo.png": "1",
+    "images/inline.png": "1",
+    "images/sheet.png": "1",
+  });
+  const page = path.join(root, "page.html");
+  for (const image of ["banner", "logo", "inline", "sheet"]) {
+    const key = getPageKey(page, SETTINGS);
+    await fs.writeFile(path.join(root, `images/${image}.png`), "2");
+    assert.notStrictEqual(getPageKey(page, SETTINGS), key, image);
+  }
+});
+
+test("getPageKey reads a file shared by several pages once until it changes", async (t) => {
+  const root = await writePackage(t, {
+    "a.html": '<video src="media/intro.mp4"></video>',
+    "b.html": '<video src="media/intro.mp4"></video>',
+    "media/intro.mp4": "frames",
+  });
+  const video = path.join(root, "media/intro.mp4");
+  const readFileSync = fs.readFileSync;
+  const reads = t.mock.method(fs, "readFileSync", (...args) =>
+    readFileSync(...args)
+  );
+  const countVideoReads = () =>
+    reads.mock.calls.filter(({ arguments: [file] }) => file === video).length;
+
+  const keyA = getPageKey(path.join(root, "a.html"), SETTINGS);
+  getPageKey(path.join(root, "b.html"), SETTINGS);
+  assert.strictEqual(countVideoReads(), 1);
+
+  await fs.writeFile(video, "other frames");
+  assert.notStrictEqual(getPageKey(path.join(root, "a.html"), SETTINGS), keyA);
+  assert.strictEqual(countVideoReads(), 2);
+});
+
+test("loadCache drops a cache written by other checker sources", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scan-cache-"));
+  t.after(() => fs.remove(dir));
+  const cachePath = getCachePath("/course", dir);
+
+  const cache = loadCache(cachePath);
+  assert.deepStrictEqual(cache.pages, {});
+  cache.pages["page.html"] = { key: "k", result: {} };
+  await saveCache(cachePath, cache);
+  assert.deepStrictEqual(loadCache(cachePath).pages, cache.pages);
+
+  await fs.writeJson(cachePath, { ...cache, checker: "other" });
+  assert.deepStrictEqual(loadCache(cachePath).pages, {});
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const scanPackage = require("../scanPackage");
+const { createJsdomBrowser } = require("./helpers/jsdomPage");
+
+/**
+ * Creates a package of one page, removed after the test.
+ * @param {Object} t - The test context.
+ * @returns {Promise<string>} - The package folder.
+ */
+async function makePackage(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "scan-"));
+  t.after(() => fs.remove(root));
+  await fs.writeFile(
+    path.join(root, "index.html"),
+    "<!DOCTYPE html><html><body><p>Text</p></body></html>"
+  );
+  return root;
+}
+
+/**
+ * Builds a browser whose pages reject the evaluations `fails` matches.
+ * @param {Function} fails - Called with the serialized arguments of each evaluation.
+ * @returns {Object} - The browser.
+ */
+function makeFailingBrowser(fails) {
+  const browser = createJsdomBrowser();
+  const newPage = browser.newPage;
+  browser.newPage = async () => {
+    const page = await newPage();
+    const evaluate = page.evaluate;
+    page.evaluate = (fn, ...args) =>
+      fails(JSON.stringify(args))
+        ? Promise.reject(new Error("Execution context was destroyed"))
+        : evaluate(fn, ...args);
+    return page;
+  };
+  return browser;
+}
+
+test("a page whose static check throws is reported with the error", async (t) => {
+  const root = await makePackage(t);
+  const { summary, pages } = await scanPackage({
+    root,
+    rules: [],
+    nonText: false,
+    browser: makeFailingBrowser((args) => args.includes('"ignoreAttribute"')),
+  });
+  assert.strictEqual(summary.totalPageErrors, 1);
+  assert.strictEqual(pages[0].error, "Execution context was destroyed");
+  assert.deepStrictEqual(pages[0].findings, []);
+});
+
+test("a page whose accessibility rules throw is reported with the error", async (t) => {
+  const root = await makePackage(t);
+  const { summary, pages } = await scanPackage({
+    root,
+    rules: ["image-alt"],
+    nonText: false,
+    browser: makeFailingBrowser((args) => args.includes('"image-alt"')),
+  });
+  assert.strictEqual(summary.totalPageErrors, 1);
+  assert.strictEqual(pages[0].error, "Execution context was destroyed");
+});
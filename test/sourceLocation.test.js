@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { locateFindings, locateAttribute } = require("../util/sourceLocation");
+
+/**
+ * Writes a page to a temporary folder removed after the test.
+ * @param {Object} t - The test context.
+ * @param {string} html - The page source.
+ * @returns {Promise<string>} - Path of the page.
+ */
+async function writePage(t, html) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "source-location-"));
+  t.after(() => fs.remove(dir));
+  const file = path.join(dir, "a001_page.html");
+  await fs.writeFile(file, html);
+  return file;
+}
+
+test("locateFindings locates the element with the same attributes and text", async (t) => {
+  const file = await writePage(
+    t,
+    '<html><body>\n<p class="a">One</p>\n<p class="b">Two</p>\n</body></html>'
+  );
+  const [finding] = locateFindings(file, [
+    { Tag: '<p class="b">Two</p>', Text: "Two" },
+  ]);
+  assert.deepStrictEqual(finding.Source_Location, {
+    startLine: 3,
+    startColumn: 1,
+    endLine: 3,
+    endColumn: 21,
+  });
+});
+
+test("locateFindings locates the innermost of nested matching elements", async (t) => {
+  const file = await writePage(
+    t,
+    "<html><body>\n<div>\n<div>Text</div>\n</div>\n</body></html>"
+  );
+  const [finding] = locateFindings(file, [
+    { Tag: "<div>Text</div>", Text: "Text" },
+  ]);
+  assert.strictEqual(finding.Source_Location.startLine, 3);
+});
+
+test("locateFindings leaves elements that match ambiguously unlocated", async (t) => {
+  const file = await writePage(
+    t,
+    '<html><body>\n<button class="nav">Next</button>\n<button class="nav">Next text</button>\n</body></html>'
+  );
+  const [finding] = locateFindings(file, [
+    { Tag: '<button class="nav">Next</button>', Text: "Next" },
+  ]);
+  assert.strictEqual(finding.Source_Location, undefined);
+});
+
+test("locateAttribute finds the whole attribute of a located element", async (t) => {
+  const file = await writePage(
+    t,
+    '<html><body>\n<p style="color: #999">Grey</p>\n</body></html>'
+  );
+  const [{ Source_Location }] = locateFindings(file, [
+    { Tag: '<p style="color: #999">Grey</p>', Text: "Grey" },
+  ]);
+  assert.deepStrictEqual(locateAttribute(file, Source_Location, "style"), {
+    startLine: 2,
+    startColumn: 4,
+    endLine: 2,
+    endColumn: 23,
+  });
+  assert.strictEqual(locateAttribute(file, Source_Location, "class"), null);
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  getFingerprint,
+  loadBaseline,
+  saveBaseline,
+  applySuppressions,
+} = require("../util/suppressions");
+const { InvalidBaselineError } = require("../util/errors");
+
+const ROOT = path.join(os.tmpdir(), "course");
+
+/**
+ * Builds a scan result of one page with the given findings.
+ * @param {Array<Object>} findings - Findings of the page.
+ * @returns {Object} - A result shaped like the one of `scanPackage`.
+ */
+function makeResult(findings) {
+  const failed = findings.filter((f) => f.Status !== "needs review").length;
+  return {
+    summary: {
+      root: ROOT,
+      totalFailed: failed,
+      totalNeedsReview: findings.length - failed,
+    },
+    pages: [
+      {
+        file: path.join(ROOT, "a001_intro.html"),
+        totalFailed: failed,
+        totalNeedsReview: findings.length - failed,
+        findings,
+      },
+    ],
+  };
+}
+
+const GREY_TEXT = {
+  Rule_Id: "color-contrast",
+  Status: "fail",
+  Element_Path: "#text1 > p:nth-of-type(1)",
+  Text: "Grey  text",
+  Text_Color: "rgb(153, 153, 153)",
+  Background_Color: "rgb(255, 255, 255)",
+};
+const OVER_IMAGE = {
+  Rule_Id: "color-contrast",
+  Status: "needs review",
+  Element_Path: "#text2",
+  Text: "Over an image",
+  Text_Color: "rgb(0, 0, 0)",
+  Background_Color: "rgb(90, 90, 90)",
+};
+
+test("getFingerprint ignores the text and changes with the colors", () => {
+  const fingerprint = getFingerprint("a001_intro.html", GREY_TEXT);
+  assert.strictEqual(
+    getFingerprint("a001_intro.html", { ...GREY_TEXT, Text: "Edited" }),
+    fingerprint
+  );
+  assert.notStrictEqual(
+    getFingerprint("a001_intro.html", {
+      ...GREY_TEXT,
+      Text_Color: "rgb(80, 80, 80)",
+    }),
+    fingerprint
+  );
+  assert.notStrictEqual(getFingerprint("a002.html", GREY_TEXT), fingerprint);
+});
+
+test("applySuppressions takes suppressed findings out of the counts", () => {
+  const result = applySuppressions(
+    makeResult([
+      { ...GREY_TEXT, Inline_Ignore: "Decorative" },
+      OVER_IMAGE,
+      { ...GREY_TEXT, Element_Path: "#text3" },
+    ]),
+    { ignore: [{ element: "#text2", justification: "Checked by hand" }] }
+  );
+  const [page] = result.pages;
+  assert.deepStrictEqual(
+    page.findings.map((finding) => finding.Suppressed),
+    [
+      { by: "inline", justification: "Decorative" },
+      { by: "config", justification: "Checked by hand" },
+      null,
+    ]
+  );
+  assert.ok(page.findings.every((finding) => finding.Fingerprint));
+  assert.strictEqual(page.totalFailed, 1);
+  assert.strictEqual(page.totalNeedsReview, 0);
+  assert.strictEqual(page.totalSuppressed, 2);
+  assert.strictEqual(result.summary.totalFailed, 1);
+  assert.strictEqual(result.summary.totalSuppressed, 2);
+});
+
+test("an inline ignore without a justification suppresses nothing and says so", () => {
+  const result = applySuppressions(
+    makeResult([
+      { ...GREY_TEXT, Inline_Ignore: "", Reason_For_Failing: "Low contrast." },
+      { ...GREY_TEXT, Element_Path: "#text3", Inline_Ignore: "  " },
+    ])
+  );
+  const [page] = result.pages;
+  assert.strictEqual(
+    page.findings[0].Reason_For_Failing,
+    "Low contrast. data-contrast-ignore is not applied without a justification."
+  );
+  page.findings.forEach((finding) => {
+    assert.strictEqual(finding.Suppressed, null);
+    assert.match(
+      finding.Reason_For_Failing,
+      /data-contrast-ignore is not applied without a justification\.$/
+    );
+  });
+  assert.strictEqual(page.totalSuppressed, 0);
+});
+
+test("ignore entries must match every field they give", () => {
+  const suppressedBy = (entry) =>
+    applySuppressions(makeResult([GREY_TEXT]), {
+      ignore: [{ justification: "Accepted", ...entry }],
+    }).pages[0].findings[0].Suppressed;
+
+  assert.ok(suppressedBy({ page: "a001_*" }));
+  assert.ok(suppressedBy({ element: "#text1" }));
+  assert.ok(suppressedBy({ text: "Grey text", rule: "color-contrast" }));
+  assert.strictEqual(suppressedBy({ page: "a002_*" }), null);
+  assert.strictEqual(suppressedBy({ element: "#text" }), null);
+  assert.strictEqual(
+    suppressedBy({ text: "Grey text", rule: "color-contrast-enhanced" }),
+    null
+  );
+});
+
+test("saveBaseline and loadBaseline round-trip accepted findings", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "baseline-"));
+  t.after(() => fs.remove(dir));
+  const filePath = path.join(dir, "baseline.json");
+
+  assert.deepStrictEqual(loadBaseline(filePath), new Set());
+  const scanned = applySuppressions(
+    makeResult([GREY_TEXT, { ...GREY_TEXT, Inline_Ignore: "Decorative" }])
+  );
+  assert.strictEqual(await saveBaseline(filePath, scanned), 1);
+
+  const baseline = loadBaseline(filePath);
+  const result = applySuppressions(makeResult([GREY_TEXT, OVER_IMAGE]), {
+    baseline,
+  });
+  assert.strictEqual(result.pages[0].findings[0].Suppressed.by, "baseline");
+  assert.strictEqual(result.pages[0].findings[1].Suppressed, null);
+  assert.strictEqual(result.summary.totalFailed, 0);
+  assert.strictEqual(result.summary.totalNeedsReview, 1);
+});
+
+test("loadBaseline rejects files that are not baselines", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "baseline-"));
+  t.after(() => fs.remove(dir));
+  const notJson = path.join(dir, "broken.json");
+  const otherFormat = path.join(dir, "other.json");
+  await fs.writeFile(notJson, "{");
+  await fs.writeJson(otherFormat, { format: 99, findings: [] });
+  assert.throws(() => loadBaseline(notJson), InvalidBaselineError);
+  assert.throws(() => loadBaseline(otherFormat), InvalidBaselineError);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getRegionText, applyEdits, renderDiff } = require("../util/textEdits");
+
+const CSS = [
+  "body { color: #000; }",
+  ".a { color: #999; }",
+  ".b {",
+  "  background: #eee url(x.png);",
+  "}",
+  ".c { color: #aaa; }",
+  "",
+].join("\n");
+
+test("getRegionText reads single and multi-line regions", () => {
+  assert.strictEqual(
+    getRegionText(CSS, {
+      startLine: 2,
+      startColumn: 6,
+      endLine: 2,
+      endColumn: 18,
+    }),
+    "color: #999;"
+  );
+  assert.strictEqual(
+    getRegionText(CSS, {
+      startLine: 3,
+      startColumn: 4,
+      endLine: 4,
+      endColumn: 13,
+    }),
+    "{\n  background"
+  );
+});
+
+test("applyEdits replaces regions and keeps line endings", () => {
+  const edits = [
+    { startLine: 2, startColumn: 13, endLine: 2, endColumn: 17, text: "#555" },
+    { startLine: 6, startColumn: 13, endLine: 6, endColumn: 17, text: "#444" },
+  ];
+  const edited = applyEdits(CSS, edits);
+  assert.match(edited, /\.a \{ color: #555; \}/);
+  assert.match(edited, /\.c \{ color: #444; \}\n$/);
+
+  const crlf = applyEdits(CSS.replace(/\n/g, "\r\n"), edits);
+  assert.strictEqual(crlf, edited.replace(/\n/g, "\r\n"));
+  assert.strictEqual(applyEdits("p{}", []), "p{}");
+});
+
+test("renderDiff renders a unified diff with context", () => {
+  const diff = renderDiff("css/site.css", CSS, [
+    { startLine: 2, startColumn: 13, endLine: 2, endColumn: 17, text: "#555" },
+  ]);
+  assert.strictEqual(
+    diff,
+    [
+      "--- a/css/site.css",
+      "+++ b/css/site.css",
+      "@@ -1,4 +1,4 @@",
+      " body { color: #000; }",
+      "-.a { color: #999; }",
+      "+.a { color: #555; }",
+      " .b {",
+      "   background: #eee url(x.png);",
+      "",
+    ].join("\n")
+  );
+  assert.strictEqual(renderDiff("x.css", CSS, []), "");
+});
+
+test("renderDiff merges nearby edits into one hunk", () => {
+  const diff = renderDiff("site.css", CSS, [
+    { startLine: 6, startColumn: 13, endLine: 6, endColumn: 17, text: "#444" },
+    { startLine: 1, startColumn: 15, endLine: 1, endColumn: 19, text: "#111" },
+  ]);
+  assert.strictEqual((diff.match(/^@@/gm) || []).length, 1);
+  assert.match(diff, /^@@ -1,6 \+1,6 @@$/m);
+  assert.match(diff, /^\+body \{ color: #111; \}$/m);
+  assert.match(diff, /^\+\.c \{ color: #444; \}$/m);
+});
@@ -0,0 +1,124 @@
+/**
+ * @module apca
+ * @description Scores text contrast with APCA, the Accessible Perceptual Contrast Algorithm of the WCAG 3 draft
+ * (constants of version 0.0.98G-4g). Unlike the WCAG 2 ratio, the lightness contrast (Lc) has a polarity:
+ * positive for dark text on a light background, negative for light text on a dark one. The Lc text needs
+ * depends on its size and weight, looked up in the APCA font table.
+ */
+
+// Luminance of sRGB colors, with the simple exponent APCA uses instead of the piecewise sRGB curve
+const MAIN_TRC = 2.4;
+const R_COEFFICIENT = 0.2126729;
+const G_COEFFICIENT = 0.7151522;
+const B_COEFFICIENT = 0.072175;
+
+// Exponents of normal (dark on light) and reverse (light on dark) polarity
+const NORMAL_BACKGROUND = 0.56;
+const NORMAL_TEXT = 0.57;
+const REVERSE_TEXT = 0.62;
+const REVERSE_BACKGROUND = 0.65;
+
+// Soft clamp of near-black colors, scaling and clipping of low contrasts
+const BLACK_THRESHOLD = 0.022;
+const BLACK_CLAMP = 1.414;
+const SCALE = 1.14;
+const LOW_OFFSET = 0.027;
+const LOW_CLIP = 0.1;
+const DELTA_Y_MIN = 0.0005;
+
+// Size of the font table meaning the contrast is only enough for non-text elements at this weight
+const NON_TEXT_ONLY = 777;
+
+/**
+ * Minimum font size in px for each Lc (first column) and font weight from 100 to 900 (other columns),
+ * copied from the `fontMatrixAscend` table of apca-w3 0.1.9.
+ */
+const FONT_LOOKUP = [
+  [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [20, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+  [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+  [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+  [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+  [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+  [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+  [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+  [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+  [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+  [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+  [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+  [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+  [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+  [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+  [95, 45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+  [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+  [105, 39, 25, 18, 14.5, 14, 13, 12, 16, 18],
+  [110, 36, 24, 18, 14, 13, 12, 11, 16, 18],
+  [115, 34.5, 22.5, 17.25, 12.5, 11.875, 11.25, 10.625, 14.5, 16.5],
+  [120, 33, 21, 16.5, 11, 10.75, 10.5, 10.25, 13, 15],
+  [125, 32, 20, 16, 10, 10, 10, 10, 12, 14],
+];
+
+/**
+ * Computes the screen luminance APCA uses for a color.
+ * @param {Object} color - Opaque color as `{ r, g, b }`.
+ * @returns {number} - The luminance, from 0 to 1.
+ */
+function getApcaLuminance({ r, g, b }) {
+  return (
+    R_COEFFICIENT * Math.pow(r / 255, MAIN_TRC) +
+    G_COEFFICIENT * Math.pow(g / 255, MAIN_TRC) +
+    B_COEFFICIENT * Math.pow(b / 255, MAIN_TRC)
+  );
+}
+
+/**
+ * Computes the APCA lightness contrast of text on a background. The order of the colors matters.
+ * @param {Object} text - Opaque text color as `{ r, g, b }`.
+ * @param {Object} background - Opaque background color as `{ r, g, b }`.
+ * @returns {number} - The Lc, about 106 for black on white and -108 for white on black; 0 below the noise floor.
+ */
+function getApcaContrast(text, background) {
+  const clampBlack = (luminance) =>
+    luminance > BLACK_THRESHOLD
+      ? luminance
+      : luminance + Math.pow(BLACK_THRESHOLD - luminance, BLACK_CLAMP);
+  const textY = clampBlack(getApcaLuminance(text));
+  const backgroundY = clampBlack(getApcaLuminance(background));
+  if (Math.abs(backgroundY - textY) < DELTA_Y_MIN) return 0;
+
+  if (backgroundY > textY) {
+    const contrast =
+      (Math.pow(backgroundY, NORMAL_BACKGROUND) -
+        Math.pow(textY, NORMAL_TEXT)) *
+      SCALE;
+    return contrast < LOW_CLIP ? 0 : (contrast - LOW_OFFSET) * 100;
+  }
+  const contrast =
+    (Math.pow(backgroundY, REVERSE_BACKGROUND) -
+      Math.pow(textY, REVERSE_TEXT)) *
+    SCALE;
+  return contrast > -LOW_CLIP ? 0 : (contrast + LOW_OFFSET) * 100;
+}
+
+/**
+ * Looks up the Lc text of a size and weight needs, in either polarity.
+ * The weight is rounded to the nearest hundred of the table.
+ * @param {string|number} fontSize - The font size in px (e.g. "16px").
+ * @param {string|number} fontWeight - The font weight (e.g. "400").
+ * @returns {number|null} - The minimum absolute Lc, or null if the text is too small or thin to be read
+ *  at any contrast.
+ */
+function getApcaRequiredLc(fontSize, fontWeight) {
+  const size = parseFloat(fontSize);
+  const weight = Math.min(
+    Math.max(Math.round((parseInt(fontWeight) || 400) / 100), 1),
+    9
+  );
+  const row = FONT_LOOKUP.find(
+    (entry) => entry[weight] < NON_TEXT_ONLY && entry[weight] <= size
+  );
+  return row ? row[0] : null;
+}
+
+module.exports = { getApcaContrast, getApcaRequiredLc };
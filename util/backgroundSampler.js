@@ -0,0 +1,141 @@
+/**
+ * @module backgroundSampler
+ * @description Samples the rendered pixels behind a text element, for text over background images,
+ * gradients and pictures where no single background color exists.
+ */
+
+const { PNG } = require("pngjs");
+const { compositeOver } = require("./colorUtils");
+const { getContrastRatio } = require("../checkContrastCoreLogic");
+
+const SAMPLE_ATTRIBUTE = "data-contrast-sample";
+const SAMPLING_ATTRIBUTE = "data-contrast-sampling";
+const MAX_SAMPLES = 2500;
+
+/**
+ * Screenshots the box of an element with its text hidden and returns a grid of sampled pixels.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {string|number} sampleId - Value of the element's `data-contrast-sample` attribute.
+ * @param {Object} rect - Box of the element in document coordinates (`x`, `y`, `width`, `height`).
+ * @returns {Promise<Array<Object>>} - Opaque pixel colors as `{ r, g, b, a }`, empty if nothing could be sampled.
+ */
+async function sampleBackgroundPixels(page, sampleId, rect) {
+  if (!rect || rect.width < 1 || rect.height < 1) return [];
+
+  const hidden = await page.evaluate(
+    (sampleAttribute, samplingAttribute, sampleId) => {
+      if (!document.getElementById("contrast-sampling-style")) {
+        const style = document.createElement("style");
+        style.id = "contrast-sampling-style";
+        style.textContent = `[${samplingAttribute}], [${samplingAttribute}] * {
+          color: transparent !important;
+          -webkit-text-fill-color: transparent !important;
+          text-shadow: none !important;
+          caret-color: transparent !important;
+        }`;
+        document.head.appendChild(style);
+      }
+      const element = document.querySelector(
+        `[${sampleAttribute}="${sampleId}"]`
+      );
+      if (!element) return false;
+      element.setAttribute(samplingAttribute, "");
+      return true;
+    },
+    SAMPLE_ATTRIBUTE,
+    SAMPLING_ATTRIBUTE,
+    sampleId
+  );
+  if (!hidden) return [];
+
+  let screenshot;
+  try {
+    screenshot = await page.screenshot({
+      clip: {
+        x: Math.max(rect.x, 0),
+        y: Math.max(rect.y, 0),
+        width: Math.max(Math.floor(rect.width), 1),
+        height: Math.max(Math.floor(rect.height), 1),
+      },
+      captureBeyondViewport: true,
+    });
+  } catch (error) {
+    return [];
+  } finally {
+    await page.evaluate(
+      (sampleAttribute, samplingAttribute, sampleId) => {
+        const element = document.querySelector(
+          `[${sampleAttribute}="${sampleId}"]`
+        );
+        if (element) element.removeAttribute(samplingAttribute);
+      },
+      SAMPLE_ATTRIBUTE,
+      SAMPLING_ATTRIBUTE,
+      sampleId
+    );
+  }
+
+  const png = PNG.sync.read(Buffer.from(screenshot));
+  const step = Math.max(
+    1,
+    Math.ceil(Math.sqrt((png.width * png.height) / MAX_SAMPLES))
+  );
+  const pixels = [];
+  for (let y = 0; y < png.height; y += step) {
+    for (let x = 0; x < png.width; x += step) {
+      const offset = (y * png.width + x) * 4;
+      pixels.push({
+        r: png.data[offset],
+        g: png.data[offset + 1],
+        b: png.data[offset + 2],
+        a: 1,
+      });
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Computes the contrast of a text color against every sampled background pixel.
+ * @param {Object} textColor - Text color as `{ r, g, b, a }`, a translucent color is composited over each pixel.
+ * @param {Array<Object>} pixels - Sampled background pixels.
+ * @returns {Object} - `worstRatio` and `averageRatio` of the text against the pixels,
+ *  with `worstColor` (the pixel giving the worst ratio) and `averageColor` (the mean pixel).
+ */
+function summarizeBackgroundContrast(textColor, pixels) {
+  let worstRatio = Infinity;
+  let worstColor = null;
+  let ratioSum = 0;
+  const channelSums = { r: 0, g: 0, b: 0 };
+
+  pixels.forEach((pixel) => {
+    const ratio = getContrastRatio(compositeOver(textColor, pixel), pixel);
+    ratioSum += ratio;
+    if (ratio < worstRatio) {
+      worstRatio = ratio;
+      worstColor = pixel;
+    }
+    channelSums.r += pixel.r;
+    channelSums.g += pixel.g;
+    channelSums.b += pixel.b;
+  });
+
+  return {
+    worstRatio,
+    worstColor,
+    averageRatio: ratioSum / pixels.length,
+    averageColor: {
+      r: channelSums.r / pixels.length,
+      g: channelSums.g / pixels.length,
+      b: channelSums.b / pixels.length,
+      a: 1,
+    },
+  };
+}
+
+module.exports = {
+  SAMPLE_ATTRIBUTE,
+  sampleBackgroundPixels,
+  summarizeBackgroundContrast,
+};
@@ -0,0 +1,318 @@
+/**
+ * @module ciReport
+ * @description Exports the result of `scanPackage` for CI: SARIF 2.1.0 for code-scanning UIs, with the rule of
+ * each finding and its location in the page source, and JUnit XML where each page is a test case.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { name, version } = require("../package.json");
+const { RULES, getRuleHelp } = require("./ruleCatalog");
+
+const FINGERPRINT_KEY = "contrastFinding/v1";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const ROOT_BASE_ID = "PACKAGE_ROOT";
+
+/**
+ * Describes a rule for the SARIF driver, with its help and description from the accessibility mapping.
+ * @param {Object} rule - A rule of the catalog.
+ * @returns {Object} - The SARIF reporting descriptor.
+ */
+function toSarifRule(rule) {
+  const { help, description } = getRuleHelp(rule.id);
+  return {
+    id: rule.id,
+    name: rule.name,
+    shortDescription: { text: rule.shortDescription },
+    fullDescription: { text: description || help || rule.shortDescription },
+    ...(help && { help: { text: help, markdown: help } }),
+    helpUri: rule.helpUri,
+    properties: { tags: rule.tags },
+  };
+}
+
+/**
+ * Names a page by its path in the package, with forward slashes as in URIs.
+ * @param {Object} summary - Summary of the scan.
+ * @param {string} file - Path of the page.
+ * @returns {string} - Path relative to the package.
+ */
+function getPagePath(summary, file) {
+  return path.relative(summary.root, file).split(path.sep).join("/");
+}
+
+/**
+ * Converts a finding to a SARIF result. Suppressed findings keep their level, with a `suppressions` entry
+ * that code-scanning UIs show as dismissed. A suggested patch of a stylesheet becomes a SARIF fix.
+ * @param {Object} summary - Summary of the scan.
+ * @param {Object} page - Page result the finding belongs to.
+ * @param {Object} finding - The finding.
+ * @returns {Object} - The SARIF result.
+ */
+function toSarifResult(summary, page, finding) {
+  const ruleId = finding.Rule_Id || RULES[0].id;
+  const ruleIndex = RULES.findIndex((rule) => rule.id === ruleId);
+  const location = finding.Source_Location;
+  const patch = finding.Suggested_Patch;
+  return {
+    ruleId,
+    ...(ruleIndex >= 0 && { ruleIndex }),
+    level: finding.Status === "needs review" ? "warning" : "error",
+    message: { text: finding.Reason_For_Failing },
+    ...(finding.Fingerprint && {
+      partialFingerprints: { [FINGERPRINT_KEY]: finding.Fingerprint },
+    }),
+    ...(finding.Suppressed && {
+      suppressions: [
+        {
+          kind: finding.Suppressed.by === "inline" ? "inSource" : "external",
+          justification: finding.Suppressed.justification,
+        },
+      ],
+    }),
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: {
+            uri: encodeURI(getPagePath(summary, page.file)),
+            uriBaseId: ROOT_BASE_ID,
+          },
+          ...(location && {
+            region: {
+              ...location,
+              snippet: { text: finding.Tag },
+            },
+          }),
+        },
+      },
+    ],
+    properties: {
+      check: finding.check,
+      state: finding.State || "default",
+      ...(finding.State_Path && { statePath: finding.State_Path }),
+      ...(finding.Course_Item && { courseItem: finding.Course_Item }),
+      contrastRatio: finding.Contrast_Ratio ?? null,
+      requiredRatio: finding.Required_Ratio ?? null,
+      apcaLc: finding.APCA_Lc ?? null,
+      apcaRequiredLc: finding.APCA_Required_Lc ?? null,
+      level: finding.Level || summary.level,
+      largeText: finding.Large_Text ?? null,
+      textColor: finding.Text_Color || null,
+      backgroundColor: finding.Background_Color || null,
+      suggestedTextColor: finding.Suggested_Text_Color || null,
+      suggestedBackgroundColor: finding.Suggested_Background_Color || null,
+    },
+    ...(patch &&
+      patch.region && {
+        fixes: [
+          {
+            description: {
+              text: `Set ${patch.property} of ${patch.selector} to ${patch.to}`,
+            },
+            artifactChanges: [
+              {
+                artifactLocation: {
+                  uri: encodeURI(patch.source),
+                  uriBaseId: ROOT_BASE_ID,
+                },
+                replacements: [
+                  {
+                    deletedRegion: patch.region,
+                    insertedContent: { text: patch.replacement },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      }),
+  };
+}
+
+/**
+ * Writes the SARIF 2.1.0 log of a scan. Pages that could not be checked are reported as
+ * tool execution notifications.
+ * @async
+ * @function writeSarifReport
+ * @param {Object} result - Result of `scanPackage`.
+ * @param {string} filePath - Path of the `.sarif` file.
+ */
+async function writeSarifReport(result, filePath) {
+  const { summary, pages } = result;
+  const rootUri = pathToFileURL(path.resolve(summary.root)).href;
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name,
+            version,
+            rules: RULES.map(toSarifRule),
+          },
+        },
+        originalUriBaseIds: {
+          [ROOT_BASE_ID]: { uri: `${rootUri}/` },
+        },
+        invocations: [
+          {
+            executionSuccessful: summary.totalPageErrors === 0,
+            toolExecutionNotifications: pages
+              .filter((page) => page.error)
+              .map((page) => ({
+                level: "error",
+                message: { text: page.error },
+                locations: [
+                  {
+                    physicalLocation: {
+                      artifactLocation: {
+                        uri: encodeURI(getPagePath(summary, page.file)),
+                        uriBaseId: ROOT_BASE_ID,
+                      },
+                    },
+                  },
+                ],
+              })),
+          },
+        ],
+        results: pages.flatMap((page) =>
+          page.findings.map((finding) => toSarifResult(summary, page, finding))
+        ),
+      },
+    ],
+  };
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, sarif, { spaces: 2 });
+}
+
+/**
+ * Escapes text for XML content and attribute values, dropping characters XML cannot contain.
+ * @param {*} value - The value to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeXml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    )
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Describes a finding on one line of a test case output.
+ * @param {Object} finding - The finding.
+ * @returns {string} - The description.
+ */
+function describeFinding(finding) {
+  const location = finding.Source_Location
+    ? ` (line ${finding.Source_Location.startLine}, column ${finding.Source_Location.startColumn})`
+    : "";
+  const state = finding.State_Path
+    ? `${finding.State || "default"}, ${finding.State_Path}`
+    : finding.State || "default";
+  return `[${finding.Rule_Id || RULES[0].id}] [${state}]${location} ${
+    finding.Reason_For_Failing
+  }`;
+}
+
+/**
+ * Renders the test case of a page: it fails with its contrast and rule failures, errors when it could not be checked,
+ * and passes otherwise, with the findings needing review and the suppressed ones in its output.
+ * @param {Object} summary - Summary of the scan.
+ * @param {string} suiteName - Name of the test suite, used as class name.
+ * @param {Object} page - The page result.
+ * @returns {string} - The `<testcase>` element.
+ */
+function renderTestCase(summary, suiteName, page) {
+  const active = page.findings.filter((finding) => !finding.Suppressed);
+  const failures = active.filter(
+    (finding) => finding.Status !== "needs review"
+  );
+  const reviews = active.filter((finding) => finding.Status === "needs review");
+  const suppressed = page.findings.filter((finding) => finding.Suppressed);
+  const children = [];
+  if (page.error) {
+    children.push(
+      `<error message="${escapeXml(page.error)}" type="page-error"/>`
+    );
+  }
+  if (failures.length) {
+    children.push(
+      `<failure message="${failures.length} accessibility failure${
+        failures.length === 1 ? "" : "s"
+      }" type="accessibility">${escapeXml(
+        failures.map(describeFinding).join("\n")
+      )}</failure>`
+    );
+  }
+  const output = [
+    ...(reviews.length
+      ? [`Needs review:\n${reviews.map(describeFinding).join("\n")}`]
+      : []),
+    ...(suppressed.length
+      ? [
+          `Suppressed:\n${suppressed
+            .map(
+              (finding) =>
+                `${describeFinding(finding)} (${finding.Suppressed.by}: ${
+                  finding.Suppressed.justification
+                })`
+            )
+            .join("\n")}`,
+        ]
+      : []),
+  ];
+  if (output.length) {
+    children.push(`<system-out>${escapeXml(output.join("\n"))}</system-out>`);
+  }
+  const attributes = `classname="${escapeXml(suiteName)}" name="${escapeXml(
+    getPagePath(summary, page.file)
+  )}" time="0"`;
+  return children.length
+    ? `    <testcase ${attributes}>\n      ${children.join(
+        "\n      "
+      )}\n    </testcase>`
+    : `    <testcase ${attributes}/>`;
+}
+
+/**
+ * Writes the JUnit XML report of a scan, one test case per page.
+ * @async
+ * @function writeJunitReport
+ * @param {Object} result - Result of `scanPackage`.
+ * @param {string} filePath - Path of the `.xml` file.
+ */
+async function writeJunitReport(result, filePath) {
+  const { summary, pages } = result;
+  const suiteName =
+    summary.courseTitle || path.basename(path.resolve(summary.root));
+  const failures = pages.filter((page) =>
+    page.findings.some(
+      (finding) => !finding.Suppressed && finding.Status !== "needs review"
+    )
+  ).length;
+  const counts = `tests="${pages.length}" failures="${failures}" errors="${summary.totalPageErrors}"`;
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Color contrast" ${counts}>`,
+    `  <testsuite name="${escapeXml(suiteName)}" ${counts} skipped="0">`,
+    ...pages.map((page) => renderTestCase(summary, suiteName, page)),
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, xml);
+}
+
+module.exports = { RULES, writeSarifReport, writeJunitReport };
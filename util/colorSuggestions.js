@@ -0,0 +1,186 @@
+/**
+ * @module colorSuggestions
+ * @description Suggests replacement colors for contrast failures: the compliant color nearest to the
+ * failing text (or background) color, found by changing only its OKLCH lightness so the hue is kept.
+ * Failures of the APCA rule get colors meeting their required Lc instead of the WCAG 2 ratio.
+ */
+
+const {
+  parseColor,
+  compositeOver,
+  toOklch,
+  fromOklch,
+  toHex,
+  WHITE,
+} = require("./colorUtils");
+const { getContrastRatio, APCA_RULE_ID } = require("../checkContrastCoreLogic");
+const { getApcaContrast } = require("./apca");
+
+// Lightness step of the scan towards black or white, then refined by bisection
+const LIGHTNESS_STEP = 0.01;
+const BISECTION_STEPS = 20;
+// Chroma below which a color is gray: its hue is noise that would tint the suggestion
+const ACHROMATIC_CHROMA = 0.001;
+
+/**
+ * Changes the lightness of a color, reducing its chroma as much as needed to stay in the sRGB gamut.
+ * @param {number[]} oklch - The color as `[lightness, chroma, hue]`.
+ * @param {number} lightness - The new lightness, from 0 to 1.
+ * @returns {Object} - The color as `{ r, g, b, a }`.
+ */
+function withLightness([, chroma, hue], lightness) {
+  const exact = fromOklch([lightness, chroma, hue]);
+  if (exact) return exact;
+  let low = 0;
+  let high = chroma;
+  for (let step = 0; step < BISECTION_STEPS; step++) {
+    const middle = (low + high) / 2;
+    if (fromOklch([lightness, middle, hue])) low = middle;
+    else high = middle;
+  }
+  return fromOklch([lightness, low, hue]) || fromOklch([lightness, 0, hue]);
+}
+
+/**
+ * Finds the color nearest to `color` in one direction of lightness that meets the ratio against `against`.
+ * @param {number[]} oklch - The color to change, as `[lightness, chroma, hue]`.
+ * @param {Object} against - The color it is compared with.
+ * @param {number} requiredRatio - The ratio to meet.
+ * @param {number} target - 0 to darken the color, 1 to lighten it.
+ * @param {Function} measure - Scores a candidate color against `against`.
+ * @returns {Object|null} - `{ color, ratio, distance }`, or null if even black or white does not meet the ratio.
+ */
+function searchLightness(oklch, against, requiredRatio, target, measure) {
+  const meets = (lightness) => {
+    const candidate = parseColor(toHex(withLightness(oklch, lightness)));
+    return measure(candidate, against) >= requiredRatio ? candidate : null;
+  };
+
+  // Contrast is not monotonic until the color has crossed the other one, so scan before bisecting
+  const direction = target > oklch[0] ? 1 : -1;
+  let passing = null;
+  let failing = oklch[0];
+  for (
+    let lightness = oklch[0];
+    direction * (target - lightness) > 0;
+    lightness += direction * LIGHTNESS_STEP
+  ) {
+    if (meets(lightness)) {
+      passing = lightness;
+      break;
+    }
+    failing = lightness;
+  }
+  if (passing === null) {
+    if (!meets(target)) return null;
+    passing = target;
+  }
+  for (let step = 0; step < BISECTION_STEPS; step++) {
+    const middle = (passing + failing) / 2;
+    if (meets(middle)) passing = middle;
+    else failing = middle;
+  }
+
+  const color = meets(passing);
+  return {
+    color,
+    ratio: measure(color, against),
+    distance: Math.abs(passing - oklch[0]),
+  };
+}
+
+/**
+ * Suggests the color nearest to `color`, with the same hue, that meets the required ratio against `against`.
+ * @param {Object} color - The color to change, as `{ r, g, b, a }` (opaque).
+ * @param {Object} against - The color that is kept, as `{ r, g, b, a }` (opaque).
+ * @param {number} requiredRatio - The ratio to meet.
+ * @param {Function} [measure=getContrastRatio] - Scores a candidate color against `against`,
+ *  the WCAG 2 ratio by default.
+ * @returns {Object|null} - `{ color, ratio }` with the color as a hex string, or null if no lightness meets the ratio.
+ */
+function suggestCompliantColor(
+  color,
+  against,
+  requiredRatio,
+  measure = getContrastRatio
+) {
+  const [lightness, chroma, hue] = toOklch(color);
+  const oklch = [lightness, chroma < ACHROMATIC_CHROMA ? 0 : chroma, hue];
+  const [nearest] = [0, 1]
+    .map((target) =>
+      searchLightness(oklch, against, requiredRatio, target, measure)
+    )
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance);
+  return nearest ? { color: toHex(nearest.color), ratio: nearest.ratio } : null;
+}
+
+/**
+ * Suggests a compliant text color for a contrast result, and alternatively a compliant background color.
+ * @param {Object} result - Result of `checkContrastCoreLogic`, or a result of the same shape.
+ * @param {Object} [options]
+ * @param {boolean} [options.background=true] - Also suggest a background color; false for backgrounds
+ *  that are images, which cannot simply be recolored.
+ * @returns {Object} - `{ foreground, background }`, each `{ color, ratio }` or null when there is nothing
+ *  to suggest (passing or unresolved results, or no compliant color). For the APCA rule, `ratio` is the absolute Lc.
+ */
+function getColorSuggestions(result, { background = true } = {}) {
+  const none = { foreground: null, background: null };
+  const apca = result.ruleId === APCA_RULE_ID;
+  if (
+    result.status === "pass" ||
+    typeof result.ratio !== "number" ||
+    (apca && typeof result.apcaRequiredLc !== "number")
+  ) {
+    return none;
+  }
+  const backgroundColor = parseColor(result.background);
+  const textColor = parseColor(result.foreground);
+  if (!backgroundColor || !textColor) return none;
+  const opaqueBackground = compositeOver(backgroundColor, WHITE);
+  const opaqueText = compositeOver(textColor, opaqueBackground);
+
+  // APCA scores text on a background, so the order of the colors depends on which one changes
+  const required = apca ? result.apcaRequiredLc : result.requiredRatio;
+  const [measureText, measureBackground] = apca
+    ? [
+        (text, against) => Math.abs(getApcaContrast(text, against)),
+        (backdrop, against) => Math.abs(getApcaContrast(against, backdrop)),
+      ]
+    : [getContrastRatio, getContrastRatio];
+
+  return {
+    foreground: suggestCompliantColor(
+      opaqueText,
+      opaqueBackground,
+      required,
+      measureText
+    ),
+    background: background
+      ? suggestCompliantColor(
+          opaqueBackground,
+          opaqueText,
+          required,
+          measureBackground
+        )
+      : null,
+  };
+}
+
+/**
+ * Copies color suggestions into the fields of a report finding.
+ * @param {Object} suggestions - Result of `getColorSuggestions`.
+ * @returns {Object} - `Suggested_Text_Color` and `Suggested_Background_Color`, hex strings or null.
+ */
+function toSuggestionFields({ foreground, background }) {
+  return {
+    Suggested_Text_Color: foreground ? foreground.color : null,
+    Suggested_Background_Color: background ? background.color : null,
+  };
+}
+
+module.exports = {
+  suggestCompliantColor,
+  getColorSuggestions,
+  toSuggestionFields,
+};
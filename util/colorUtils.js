@@ -0,0 +1,516 @@
+/**
+ * @module colorUtils
+ * @description Color parsing (CSS Color Module Level 4) and alpha compositing shared by the static and dynamic checkers.
+ * Colors are handled as `{ r, g, b, a }` objects with channels in 0-255 and alpha in 0-1.
+ */
+
+const { namedColors, systemColors } = require("./namedColors");
+const { UnresolvableColorError } = require("./errors");
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Conversion matrices from the CSS Color Module Level 4 sample code
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const multiplyMatrix = (matrix, vector) =>
+  matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+
+const srgbToLinear = (value) => {
+  const abs = Math.abs(value);
+  return abs <= 0.04045
+    ? value / 12.92
+    : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+};
+const linearToSrgb = (value) => {
+  const abs = Math.abs(value);
+  return abs <= 0.0031308
+    ? value * 12.92
+    : Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+};
+
+/**
+ * RGB color spaces accepted by `color()`, as a transfer function to linear light
+ * and a matrix to CIE XYZ (D65, except ProPhoto which is D50).
+ */
+const RGB_SPACES = {
+  srgb: {
+    toLinear: srgbToLinear,
+    toXyz: [
+      [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+      [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+      [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+    ],
+  },
+  "display-p3": {
+    toLinear: srgbToLinear,
+    toXyz: [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976],
+    ],
+  },
+  "a98-rgb": {
+    toLinear: (value) =>
+      Math.sign(value) * Math.pow(Math.abs(value), 563 / 256),
+    toXyz: [
+      [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+      [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+      [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+    ],
+  },
+  "prophoto-rgb": {
+    toLinear: (value) => {
+      const abs = Math.abs(value);
+      return abs <= 16 / 512
+        ? value / 16
+        : Math.sign(value) * Math.pow(abs, 1.8);
+    },
+    toXyz: [
+      [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+      [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+      [0, 0, 0.8251046025104601],
+    ],
+    d50: true,
+  },
+  rec2020: {
+    toLinear: (value) => {
+      const alpha = 1.09929682680944;
+      const beta = 0.018053968510807;
+      const abs = Math.abs(value);
+      return abs < beta * 4.5
+        ? value / 4.5
+        : Math.sign(value) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+    },
+    toXyz: [
+      [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+      [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+      [0, 0.028072693049087428, 1.060985057710791],
+    ],
+  },
+};
+
+/**
+ * Converts CIE XYZ (D65) to gamma-encoded sRGB channels in 0-1, clipped to the sRGB gamut.
+ * @param {number[]} xyz - XYZ coordinates.
+ * @returns {number[]} - sRGB channels.
+ */
+const xyzD65ToSrgb = (xyz) =>
+  multiplyMatrix(XYZ_D65_TO_LINEAR_SRGB, xyz).map((value) =>
+    clamp(linearToSrgb(value), 0, 1)
+  );
+
+/**
+ * Converts CIE Lab (D50) to CIE XYZ (D65).
+ */
+const labToXyzD65 = ([lightness, a, b]) => {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (lightness + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+    lightness > kappa * epsilon ? Math.pow(fy, 3) : lightness / kappa,
+    Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa,
+  ].map((value, i) => value * D50_WHITE[i]);
+  return multiplyMatrix(D50_TO_D65, xyz);
+};
+
+/**
+ * Converts OKLab to linear-light sRGB channels, which fall outside 0-1 for colors out of the sRGB gamut.
+ */
+const oklabToLinearSrgb = ([lightness, a, b]) => {
+  const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(lightness - 0.0894841775 * a - 1.291485548 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ];
+};
+
+/**
+ * Converts OKLab to gamma-encoded sRGB channels in 0-1.
+ */
+const oklabToSrgb = (oklab) =>
+  oklabToLinearSrgb(oklab).map((value) => clamp(linearToSrgb(value), 0, 1));
+
+/**
+ * Converts gamma-encoded sRGB channels in 0-1 to OKLab.
+ */
+const srgbToOklab = (channels) => {
+  const [red, green, blue] = channels.map(srgbToLinear);
+  const [l, m, s] = [
+    0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue,
+    0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue,
+    0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue,
+  ].map(Math.cbrt);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+};
+
+/**
+ * Converts HSL (hue in degrees, saturation and lightness in 0-1) to sRGB channels in 0-1.
+ */
+const hslToSrgb = (hue, saturation, lightness) => {
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    return lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+/**
+ * Converts HWB (hue in degrees, whiteness and blackness in 0-1) to sRGB channels in 0-1.
+ */
+const hwbToSrgb = (hue, whiteness, blackness) => {
+  if (whiteness + blackness >= 1) {
+    const gray = whiteness / (whiteness + blackness);
+    return [gray, gray, gray];
+  }
+  return hslToSrgb(hue, 1, 0.5).map(
+    (value) => value * (1 - whiteness - blackness) + whiteness
+  );
+};
+
+/**
+ * Parses a numeric component of a color function.
+ * @param {string} token - The component (e.g. "50%", "0.3", "none").
+ * @param {number} percentReference - Value that 100% maps to.
+ * @returns {number} - The value, NaN if it is not a number.
+ */
+const parseNumber = (token, percentReference) => {
+  if (token === "none") return 0;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/.test(token)) return NaN;
+  return token.endsWith("%")
+    ? (parseFloat(token) * percentReference) / 100
+    : parseFloat(token);
+};
+
+/**
+ * Parses a hue component into degrees in 0-360.
+ * @param {string} token - The hue (e.g. "120", "120deg", "0.5turn").
+ * @returns {number} - The hue, NaN if it is not an angle.
+ */
+const parseHue = (token) => {
+  if (token === "none") return 0;
+  const match = token.match(
+    /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/
+  );
+  if (!match) return NaN;
+  const units = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+  const degrees = parseFloat(match[1]) * units[match[2] || "deg"];
+  return ((degrees % 360) + 360) % 360;
+};
+
+/**
+ * Splits the arguments of a color function into components and alpha,
+ * supporting both the legacy comma syntax and the space/slash syntax.
+ * @param {string} args - Text between the parentheses.
+ * @returns {Object|null} - `{ components, alpha }`, or null if malformed.
+ */
+const splitArguments = (args) => {
+  const [main, alpha, extra] = args.split("/");
+  if (extra !== undefined) return null;
+  const components = (main.includes(",") ? main.split(",") : main.split(/\s+/))
+    .map((component) => component.trim())
+    .filter(Boolean);
+  if (main.includes(",") && alpha !== undefined) return null;
+  if (main.includes(",") && components.length === 4) {
+    return { components: components.slice(0, 3), alpha: components[3] };
+  }
+  return { components, alpha: alpha && alpha.trim() };
+};
+
+/**
+ * Converts the arguments of a color function to sRGB channels in 0-1.
+ * @param {string} name - Function name (e.g. "hsl", "oklch", "color").
+ * @param {string[]} components - Components of the color.
+ * @returns {number[]|null} - sRGB channels, or null if unsupported.
+ */
+const colorFunctionToSrgb = (name, components) => {
+  if (name === "color") {
+    const [space, ...values] = components;
+    if (values.length !== 3) return null;
+    const coordinates = values.map((value) => parseNumber(value, 1));
+    if (space === "srgb") return coordinates.map((value) => clamp(value, 0, 1));
+    if (space === "srgb-linear") {
+      return coordinates.map((value) => clamp(linearToSrgb(value), 0, 1));
+    }
+    if (space === "xyz" || space === "xyz-d65")
+      return xyzD65ToSrgb(coordinates);
+    if (space === "xyz-d50") {
+      return xyzD65ToSrgb(multiplyMatrix(D50_TO_D65, coordinates));
+    }
+    const rgbSpace = RGB_SPACES[space];
+    if (!rgbSpace) return null;
+    let xyz = multiplyMatrix(
+      rgbSpace.toXyz,
+      coordinates.map(rgbSpace.toLinear)
+    );
+    if (rgbSpace.d50) xyz = multiplyMatrix(D50_TO_D65, xyz);
+    return xyzD65ToSrgb(xyz);
+  }
+
+  if (components.length !== 3) return null;
+  const [first, second, third] = components;
+
+  switch (name) {
+    case "rgb":
+    case "rgba":
+      return components.map(
+        (value) => clamp(parseNumber(value, 255), 0, 255) / 255
+      );
+    case "hsl":
+    case "hsla":
+      return hslToSrgb(
+        parseHue(first),
+        clamp(parseNumber(second.replace(/%$/, ""), 1) / 100, 0, 1),
+        clamp(parseNumber(third.replace(/%$/, ""), 1) / 100, 0, 1)
+      );
+    case "hwb":
+      return hwbToSrgb(
+        parseHue(first),
+        clamp(parseNumber(second.replace(/%$/, ""), 1) / 100, 0, 1),
+        clamp(parseNumber(third.replace(/%$/, ""), 1) / 100, 0, 1)
+      );
+    case "lab":
+      return xyzD65ToSrgb(
+        labToXyzD65([
+          parseNumber(first, 100),
+          parseNumber(second, 125),
+          parseNumber(third, 125),
+        ])
+      );
+    case "lch": {
+      const chroma = parseNumber(second, 150);
+      const hue = (parseHue(third) * Math.PI) / 180;
+      return xyzD65ToSrgb(
+        labToXyzD65([
+          parseNumber(first, 100),
+          chroma * Math.cos(hue),
+          chroma * Math.sin(hue),
+        ])
+      );
+    }
+    case "oklab":
+      return oklabToSrgb([
+        parseNumber(first, 1),
+        parseNumber(second, 0.4),
+        parseNumber(third, 0.4),
+      ]);
+    case "oklch": {
+      const chroma = parseNumber(second, 0.4);
+      const hue = (parseHue(third) * Math.PI) / 180;
+      return oklabToSrgb([
+        parseNumber(first, 1),
+        chroma * Math.cos(hue),
+        chroma * Math.sin(hue),
+      ]);
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parses any CSS Color Module Level 4 color: hex (3, 4, 6 or 8 digits), named and system colors,
+ * `transparent`, `currentColor`, `rgb()`, `hsl()`, `hwb()`, `lab()`, `lch()`, `oklab()`, `oklch()` and `color()`.
+ * Colors outside the sRGB gamut are clipped.
+ * @param {string} color - The color string.
+ * @param {Object} [options]
+ * @param {string} [options.currentColor] - Value `currentColor` resolves to.
+ * @returns {Object|null} - The color as `{ r, g, b, a }`, or null if it cannot be parsed.
+ */
+function parseColor(color, { currentColor } = {}) {
+  if (typeof color !== "string") return null;
+  const value = color.trim().toLowerCase();
+
+  if (value === "transparent") return { ...TRANSPARENT };
+  if (value === "currentcolor") {
+    return currentColor && currentColor.trim().toLowerCase() !== "currentcolor"
+      ? parseColor(currentColor)
+      : null;
+  }
+
+  const named = namedColors[value] || systemColors[value];
+  if (named) return { r: named[0], g: named[1], b: named[2], a: 1 };
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits
+        .split("")
+        .map((digit) => digit + digit)
+        .join("");
+    }
+    const channels = digits.match(/../g).map((pair) => parseInt(pair, 16));
+    return {
+      r: channels[0],
+      g: channels[1],
+      b: channels[2],
+      a: channels.length === 4 ? channels[3] / 255 : 1,
+    };
+  }
+
+  const colorFunction = value.match(/^([a-z-]+)\((.*)\)$/);
+  if (!colorFunction) return null;
+
+  const args = splitArguments(colorFunction[2]);
+  if (!args) return null;
+  const srgb = colorFunctionToSrgb(colorFunction[1], args.components);
+  const alpha = args.alpha === undefined ? 1 : parseNumber(args.alpha, 1);
+  if (!srgb || srgb.some(isNaN) || isNaN(alpha)) return null;
+
+  const [r, g, b] = srgb.map((channel) => channel * 255);
+  return { r, g, b, a: clamp(alpha, 0, 1) };
+}
+
+/**
+ * Composites a color over a backdrop with the "source-over" operator.
+ * @param {Object} source - The color on top.
+ * @param {Object} backdrop - The color below.
+ * @returns {Object} - The resulting color.
+ */
+function compositeOver(source, backdrop) {
+  const alpha = source.a + backdrop.a * (1 - source.a);
+  if (alpha === 0) return { ...TRANSPARENT };
+
+  const channel = (name) =>
+    (source[name] * source.a + backdrop[name] * backdrop.a * (1 - source.a)) /
+    alpha;
+  return { r: channel("r"), g: channel("g"), b: channel("b"), a: alpha };
+}
+
+/**
+ * Multiplies the alpha of a color by a CSS `opacity` value.
+ * @param {Object} color - The color.
+ * @param {string|number} opacity - The opacity (e.g. "0.5").
+ * @returns {Object} - The color with the opacity applied.
+ */
+function applyOpacity(color, opacity) {
+  const value = parseFloat(opacity);
+  if (isNaN(value)) return color;
+  return { ...color, a: color.a * clamp(value, 0, 1) };
+}
+
+/**
+ * Flattens the text color and the background layers behind it into two opaque colors.
+ * Each layer's background is painted below the content of its descendants, then the
+ * layer's `opacity` is applied to the whole group, as browsers do.
+ * @param {Object} options
+ * @param {string} options.textColor - Color of the text.
+ * @param {Array<Object>} options.layers - `{ backgroundColor, opacity }` from the text's element up to the root.
+ * @param {Object} [options.canvas=WHITE] - Color below the root element.
+ * @returns {Object} - `{ textColor, backgroundColor }` as opaque colors.
+ * @throws {UnresolvableColorError} - If the text color or a background color cannot be parsed.
+ */
+function compositeColorStack({ textColor, layers, canvas = WHITE }) {
+  let text = parseColor(textColor);
+  if (!text) throw new UnresolvableColorError(textColor, "text color");
+  let background = { ...TRANSPARENT };
+
+  layers.forEach(({ backgroundColor, opacity }) => {
+    const layerColor = backgroundColor
+      ? parseColor(backgroundColor, { currentColor: textColor })
+      : TRANSPARENT;
+    if (!layerColor) {
+      throw new UnresolvableColorError(backgroundColor, "background color");
+    }
+    background = applyOpacity(compositeOver(background, layerColor), opacity);
+    text = applyOpacity(compositeOver(text, layerColor), opacity);
+  });
+
+  return {
+    textColor: compositeOver(text, canvas),
+    backgroundColor: compositeOver(background, canvas),
+  };
+}
+
+/**
+ * Converts an opaque color to OKLCH, where lightness can be changed without changing the hue.
+ * @param {Object} color - The color, alpha is ignored.
+ * @returns {number[]} - `[lightness (0-1), chroma, hue (degrees)]`.
+ */
+function toOklch({ r, g, b }) {
+  const [lightness, a, bAxis] = srgbToOklab([r / 255, g / 255, b / 255]);
+  const hue = (Math.atan2(bAxis, a) * 180) / Math.PI;
+  return [lightness, Math.hypot(a, bAxis), hue < 0 ? hue + 360 : hue];
+}
+
+/**
+ * Converts OKLCH to an opaque color, if it is in the sRGB gamut.
+ * @param {number[]} oklch - `[lightness (0-1), chroma, hue (degrees)]`.
+ * @returns {Object|null} - The color as `{ r, g, b, a }`, or null if it is out of the sRGB gamut.
+ */
+function fromOklch([lightness, chroma, hue]) {
+  const radians = (hue * Math.PI) / 180;
+  const linear = oklabToLinearSrgb([
+    lightness,
+    chroma * Math.cos(radians),
+    chroma * Math.sin(radians),
+  ]);
+  if (linear.some((value) => value < -1e-6 || value > 1 + 1e-6)) return null;
+  const [r, g, b] = linear.map(
+    (value) => clamp(linearToSrgb(value), 0, 1) * 255
+  );
+  return { r, g, b, a: 1 };
+}
+
+/**
+ * Formats a color as a 6-digit hex string, ignoring alpha.
+ * @param {Object} color - The color.
+ * @returns {string} - The hex color (e.g. "#F9F3F3").
+ */
+function toHex({ r, g, b }) {
+  return `#${[r, g, b]
+    .map((channel) => Math.round(channel).toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase()}`;
+}
+
+/**
+ * Formats a color as an `rgb()` or, when translucent, `rgba()` string.
+ * @param {Object} color - The color.
+ * @returns {string} - The color string (e.g. "rgb(249, 243, 243)").
+ */
+function toRgbString({ r, g, b, a }) {
+  const channels = [r, g, b].map(Math.round).join(", ");
+  return a < 1
+    ? `rgba(${channels}, ${Math.round(a * 1000) / 1000})`
+    : `rgb(${channels})`;
+}
+
+module.exports = {
+  WHITE,
+  TRANSPARENT,
+  parseColor,
+  compositeOver,
+  applyOpacity,
+  compositeColorStack,
+  toOklch,
+  fromOklch,
+  toHex,
+  toRgbString,
+};
@@ -0,0 +1,239 @@
+/**
+ * @module coursePackage
+ * @description Reads published Lectora courses: SCORM 1.2/2004 and xAPI zips are extracted to a temporary
+ * folder, and `imsmanifest.xml` / `tincan.xml` tell which HTML pages belong to the course, in course order,
+ * with the organization and SCO titles they are labeled with. Pages the manifest does not list are found by
+ * following the navigation of the listed pages.
+ */
+
+const AdmZip = require("adm-zip");
+const cheerio = require("cheerio");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+const HTML_EXTENSION = /\.html?$/i;
+// Quoted page paths, in attributes (`href="a002_page.html"`) and scripts (`trivExitPage('a002_page.html')`)
+const PAGE_REFERENCE = /(["'])([^"'\s<>()]+?\.html?)(?:[?#][^"'\s<>]*)?\1/gi;
+
+/**
+ * Tells whether a package path points to a zip file rather than an extracted folder.
+ * @param {string} source - Path of the package.
+ * @returns {boolean} - True for an existing `.zip` file.
+ */
+function isZipPackage(source) {
+  return (
+    /\.zip$/i.test(source) &&
+    fs.existsSync(source) &&
+    fs.statSync(source).isFile()
+  );
+}
+
+/**
+ * Extracts a zip package to a new temporary folder, named after the zip so page names stay readable.
+ * @async
+ * @param {string} zipPath - Path of the zip file.
+ * @returns {Promise<Object>} - `root`, the extracted package folder, and `tempDir`, the folder to remove afterwards.
+ */
+async function extractPackage(zipPath) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "lectora-contrast-"));
+  const root = path.join(
+    tempDir,
+    path.basename(zipPath, path.extname(zipPath))
+  );
+  new AdmZip(zipPath).extractAllTo(root, true);
+  return { root, tempDir };
+}
+
+/**
+ * Resolves a manifest `href` to a file of the package, ignoring queries, fragments and remote URLs.
+ * @param {string} root - Folder of the package.
+ * @param {string} base - `xml:base` the reference is relative to.
+ * @param {string} href - The referenced path.
+ * @returns {string|null} - Absolute path of an existing file, or null.
+ */
+function resolveManifestHref(root, base, href) {
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+  const filePath = path.resolve(
+    root,
+    decodeURI(base || ""),
+    decodeURI(href.split(/[?#]/)[0])
+  );
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Reads the SCOs of a SCORM manifest, in the order of the default organization.
+ * The pages of a SCO are the HTML files of its resource and of the resources it depends on.
+ * @param {string} root - Folder of the package.
+ * @param {string} xml - Content of `imsmanifest.xml`.
+ * @returns {Object} - `title` of the organization, `launch`, the first SCO page,
+ *  and `pages`, `{ file, label }` for every HTML page of a SCO.
+ */
+function readScormManifest(root, xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const manifestBase = $("manifest").attr("xml:base") || "";
+  const resourcesBase = $("resources").attr("xml:base") || "";
+
+  const resources = new Map();
+  $("resource").each((index, element) => {
+    const resource = $(element);
+    const base = path.join(
+      manifestBase,
+      resourcesBase,
+      resource.attr("xml:base") || ""
+    );
+    const files = [
+      resource.attr("href"),
+      ...resource
+        .children("file")
+        .map((i, file) => $(file).attr("href"))
+        .get(),
+    ]
+      .filter((href) => href && HTML_EXTENSION.test(href.split(/[?#]/)[0]))
+      .map((href) => resolveManifestHref(root, base, href))
+      .filter(Boolean);
+    const dependencies = resource
+      .children("dependency")
+      .map((i, dependency) => $(dependency).attr("identifierref"))
+      .get();
+    resources.set(resource.attr("identifier"), { files, dependencies });
+  });
+  const getResourceFiles = (identifier, visited = new Set()) => {
+    const resource = resources.get(identifier);
+    if (!resource || visited.has(identifier)) return [];
+    visited.add(identifier);
+    return [
+      ...resource.files,
+      ...resource.dependencies.flatMap((dependency) =>
+        getResourceFiles(dependency, visited)
+      ),
+    ];
+  };
+
+  const defaultId = $("organizations").attr("default");
+  const organizations = $("organization");
+  const organization = defaultId
+    ? organizations.filter(
+        (i, element) => $(element).attr("identifier") === defaultId
+      )
+    : organizations.first();
+
+  const title = organization.first().children("title").first().text().trim();
+  const pages = [];
+  const seen = new Set();
+  const walk = (element, titles) => {
+    $(element)
+      .children("item")
+      .each((index, item) => {
+        const itemTitles = [
+          ...titles,
+          $(item).children("title").first().text().trim(),
+        ];
+        getResourceFiles($(item).attr("identifierref")).forEach((file) => {
+          if (seen.has(file)) return;
+          seen.add(file);
+          pages.push({ file, label: itemTitles.filter(Boolean).join(" > ") });
+        });
+        walk(item, itemTitles);
+      });
+  };
+  organization.first().each((index, element) => walk(element, [title]));
+
+  return { title, launch: pages.length ? pages[0].file : null, pages };
+}
+
+/**
+ * Reads the launch page and course name of an xAPI `tincan.xml`.
+ * @param {string} root - Folder of the package.
+ * @param {string} xml - Content of `tincan.xml`.
+ * @returns {Object} - `title`, the course name, `launch`, the launch page,
+ *  and `pages`, the launch page labeled with the course name.
+ */
+function readTinCanManifest(root, xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const activity = $("activity")
+    .filter((index, element) => $(element).children("launch").length > 0)
+    .first();
+  const launch = resolveManifestHref(
+    root,
+    "",
+    activity.children("launch").first().text().trim()
+  );
+  const label = activity.children("name").first().text().trim();
+  return {
+    title: label,
+    launch,
+    pages: launch ? [{ file: launch, label }] : [],
+  };
+}
+
+/**
+ * Lists the pages of the package a page navigates to: the HTML files its attributes and scripts refer to.
+ * @param {string} root - Folder of the package.
+ * @param {string} file - Path of the page.
+ * @returns {Array<string>} - Absolute paths of the existing pages, in the order they are referred to.
+ */
+function getLinkedPages(root, file) {
+  let html;
+  try {
+    html = fs.readFileSync(file, "utf-8");
+  } catch (error) {
+    return [];
+  }
+  const base = path.relative(root, path.dirname(file));
+  return [...html.matchAll(PAGE_REFERENCE)]
+    .map(([, , href]) => resolveManifestHref(root, base, href))
+    .filter((linked) => {
+      const inside = linked && path.relative(root, linked);
+      return inside && !inside.startsWith("..") && !path.isAbsolute(inside);
+    });
+}
+
+/**
+ * Finds the pages of a course from its manifest.
+ * Lectora manifests often list only the launch page of each SCO; the other pages are found by following
+ * the navigation of the listed pages, and are labeled like the page that leads to them.
+ * @param {string} root - Folder of the package.
+ * @returns {Object} - The course structure:
+ *  - `format`: "scorm", "xapi", or null when the package has no manifest.
+ *  - `title`: Title of the course, or null.
+ *  - `launch`: Path of the launch page, or null.
+ *  - `pages`: `{ file, label }` for every course page in course order, empty without a manifest.
+ */
+function readCourseStructure(root) {
+  const scormManifest = path.join(root, "imsmanifest.xml");
+  const tinCanManifest = path.join(root, "tincan.xml");
+  let format = null;
+  let course = { title: null, launch: null, pages: [] };
+
+  if (fs.existsSync(scormManifest)) {
+    format = "scorm";
+    course = readScormManifest(root, fs.readFileSync(scormManifest, "utf-8"));
+  } else if (fs.existsSync(tinCanManifest)) {
+    format = "xapi";
+    course = readTinCanManifest(root, fs.readFileSync(tinCanManifest, "utf-8"));
+  }
+  if (!course.pages.length) {
+    return { format, title: course.title, launch: null, pages: [] };
+  }
+
+  const seen = new Set(course.pages.map(({ file }) => file));
+  // The list grows while it is walked, so linked pages are followed as well
+  for (let index = 0; index < course.pages.length; index++) {
+    const { file, label } = course.pages[index];
+    getLinkedPages(root, file)
+      .filter((linked) => !seen.has(linked))
+      .forEach((linked) => {
+        seen.add(linked);
+        course.pages.push({ file: linked, label });
+      });
+  }
+  return { format, ...course };
+}
+
+module.exports = {
+  isZipPackage,
+  extractPackage,
+  readCourseStructure,
+};
@@ -0,0 +1,191 @@
+const css = require("css");
+const { parseColor } = require("./colorUtils");
+
+/**
+ * CSS properties the static checker resolves through the cascade, besides custom properties (`--*`).
+ * The `background` shorthand is read as the `background-color` it sets, so both compete in one cascade.
+ */
+const CASCADED_PROPERTIES = [
+  "color",
+  "background-color",
+  "background",
+  "font-size",
+  "font-weight",
+  "opacity",
+];
+
+/**
+ * Adds two specificity triples.
+ * @param {number[]} first - Specificity as `[ids, classes, types]`.
+ * @param {number[]} second - Specificity as `[ids, classes, types]`.
+ * @returns {number[]} - The summed specificity.
+ */
+const addSpecificity = (first, second) =>
+  first.map((value, i) => value + second[i]);
+
+/**
+ * Compares two specificity triples.
+ * @param {number[]} first - Specificity as `[ids, classes, types]`.
+ * @param {number[]} second - Specificity as `[ids, classes, types]`.
+ * @returns {number} - Negative if `first` is lower, positive if higher, 0 if equal.
+ */
+const compareSpecificity = (first, second) => {
+  for (let i = 0; i < 3; i++) {
+    if (first[i] !== second[i]) return first[i] - second[i];
+  }
+  return 0;
+};
+
+/**
+ * Calculates the specificity of a single (non comma separated) selector as defined by Selectors Level 4.
+ * `:is()`, `:not()` and `:has()` count as their most specific argument and `:where()` counts as nothing.
+ * @param {string} selector - The selector (e.g. "#text123 p", "span.text2119501Font1").
+ * @returns {number[]} - Specificity as `[ids, classes, types]`.
+ */
+const calculateSpecificity = (selector) => {
+  let specificity = [0, 0, 0];
+  const count = (index) => () => {
+    specificity[index] += 1;
+    return " ";
+  };
+
+  let rest = selector.replace(
+    /:(not|is|has|matches|where)\(((?:[^()]|\([^()]*\))*)\)/gi,
+    (match, name, args) => {
+      if (name.toLowerCase() !== "where") {
+        const mostSpecific = args
+          .split(",")
+          .map((arg) => calculateSpecificity(arg.trim()))
+          .reduce(
+            (max, current) =>
+              compareSpecificity(current, max) > 0 ? current : max,
+            [0, 0, 0]
+          );
+        specificity = addSpecificity(specificity, mostSpecific);
+      }
+      return " ";
+    }
+  );
+
+  rest = rest
+    .replace(/\[[^\]]*\]/g, count(1)) // attribute selectors
+    .replace(/#[\w-]+/g, count(0)) // id selectors
+    .replace(/::[\w-]+(\([^)]*\))?/g, count(2)) // pseudo-elements
+    .replace(/:(before|after|first-line|first-letter)\b/gi, count(2)) // legacy pseudo-elements
+    .replace(/:[\w-]+(\([^)]*\))?/g, count(1)) // pseudo-classes
+    .replace(/\.[\w-]+/g, count(1)); // class selectors
+
+  rest
+    .split(/[\s>+~]+/)
+    .filter((token) => /^[a-z][\w-]*$/i.test(token))
+    .forEach(count(2)); // type selectors
+
+  return specificity;
+};
+
+/**
+ * Finds the color a `background` shorthand sets, e.g. "white" in "white url(bg.png) no-repeat".
+ * A shorthand without a color resets it to transparent; `var()` stands for the color when no color is written.
+ * @param {string} value - Value of the shorthand, without `!important`.
+ * @returns {string} - The `background-color` the shorthand sets.
+ */
+const getShorthandColor = (value) => {
+  if (/^(inherit|initial|unset|revert)$/i.test(value)) return value;
+  const tokens = value.split(/\s+(?![^(]*\))/).reverse();
+  return (
+    tokens.find((token) => parseColor(token)) ||
+    tokens.find((token) => /^var\(/i.test(token)) ||
+    "transparent"
+  );
+};
+
+/**
+ * Reads where a declaration starts and ends in its stylesheet.
+ * @param {Object} declaration - Declaration node of the `css` parser.
+ * @returns {Object} - `line`, `column`, `endLine` and `endColumn` (1-based), null when unknown.
+ */
+const getPosition = ({ position }) => ({
+  line: position ? position.start.line : null,
+  column: position ? position.start.column : null,
+  endLine: position ? position.end.line : null,
+  endColumn: position ? position.end.column : null,
+});
+
+/**
+ * Parses a stylesheet into a flat list of rules that the cascade can be computed from.
+ * Rules inside `@media` blocks keep their media query so it can be evaluated in the browser.
+ * @param {string} cssContent - Content of the stylesheet.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Name of the stylesheet, used in rule metadata.
+ * @param {Function} [options.nextOrder] - Returns an increasing number used as the source order of each declaration.
+ * @returns {Array<Object>} - Rules as `{ selector, specificity, media, source, declarations }`, one per selector.
+ *  Declarations keep their position in the stylesheet. A `background` shorthand becomes a `background-color`
+ *  declaration whose `shorthand` is `{ property, value }` of the declaration as written.
+ */
+const parseCssRules = (cssContent, { source = null, nextOrder } = {}) => {
+  let order = 0;
+  const getOrder = nextOrder || (() => order++);
+  const rules = [];
+
+  const collect = (cssRules, media) => {
+    cssRules.forEach((rule) => {
+      if (rule.type === "media") {
+        collect(rule.rules, media ? `${media} and ${rule.media}` : rule.media);
+        return;
+      }
+      if (rule.type !== "rule") return;
+
+      const declarations = rule.declarations
+        .filter(
+          (declaration) =>
+            declaration.type === "declaration" &&
+            (CASCADED_PROPERTIES.includes(declaration.property.toLowerCase()) ||
+              declaration.property.startsWith("--"))
+        )
+        .map((declaration) => {
+          const property = declaration.property.startsWith("--")
+            ? declaration.property // Custom property names are case-sensitive
+            : declaration.property.toLowerCase();
+          const value = declaration.value
+            .replace(/\s*!important\s*$/i, "")
+            .trim();
+          return {
+            ...(property === "background"
+              ? {
+                  property: "background-color",
+                  value: getShorthandColor(value),
+                  shorthand: { property, value },
+                }
+              : { property, value }),
+            important: /!important\s*$/i.test(declaration.value),
+            ...getPosition(declaration),
+          };
+        });
+      if (!declarations.length) return;
+
+      rule.selectors.forEach((selector) => {
+        rules.push({
+          selector,
+          specificity: calculateSpecificity(selector),
+          media: media || null,
+          source,
+          declarations: declarations.map((declaration) => ({
+            ...declaration,
+            order: getOrder(),
+          })),
+        });
+      });
+    });
+  };
+
+  collect(css.parse(cssContent, { silent: true }).stylesheet.rules, null);
+  return rules;
+};
+
+module.exports = {
+  CASCADED_PROPERTIES,
+  calculateSpecificity,
+  compareSpecificity,
+  getShorthandColor,
+  parseCssRules,
+};
@@ -0,0 +1,88 @@
+/**
+ * @module cssPatch
+ * @description Builds the patch that applies a suggested color to the declaration that sets the failing color:
+ * a unified diff of the course stylesheet, or a description of the change for `<style>` blocks and
+ * `style` attributes, which are part of the page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseColor } = require("./colorUtils");
+const { getRegionText, renderDiff } = require("./textEdits");
+
+/**
+ * Replaces the color of a declaration value. In a `background` shorthand, only its color is replaced.
+ * @param {string} property - The declared property.
+ * @param {string} value - The declared value, without `!important`.
+ * @param {string} color - The new color.
+ * @returns {string} - The new value.
+ */
+function replaceColor(property, value, color) {
+  if (property !== "background") return color;
+  const tokens = value.split(/\s+(?![^(]*\))/);
+  const index = tokens
+    .map((token) => Boolean(parseColor(token)))
+    .lastIndexOf(true);
+  if (index === -1) return `${value} ${color}`;
+  tokens[index] = color;
+  return tokens.join(" ");
+}
+
+/**
+ * Builds the patch that sets a declaration to a suggested color.
+ * @param {Object|null} origin - Where the color was declared, as collected by the static check: `inline`,
+ *  `property` and `value`, plus `source`, `selector`, `important` and the declaration position for rules.
+ * @param {string} color - The suggested color.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Folder the stylesheet is named relative to, in the patch and its diff.
+ * @returns {Object|null} - `{ source, selector, property, from, to, region, replacement, diff }`, or null without
+ *  an origin. `region` (1-based, end exclusive) and `replacement` locate the new declaration text in the stylesheet;
+ *  they and the `diff` are null when the color is not declared in a stylesheet file.
+ */
+function getCssPatch(origin, color, { root } = {}) {
+  if (!origin) return null;
+  const to = replaceColor(origin.property, origin.value, color);
+  const patch = {
+    source: origin.inline ? "style attribute" : origin.source,
+    selector: origin.inline ? null : origin.selector,
+    property: origin.property,
+    from: origin.value,
+    to,
+    region: null,
+    replacement: null,
+    diff: null,
+  };
+  if (origin.inline || !origin.line || !fs.existsSync(origin.source || "")) {
+    return patch;
+  }
+
+  const name = (root ? path.relative(root, origin.source) : origin.source)
+    .split(path.sep)
+    .join("/");
+  const content = fs.readFileSync(origin.source, "utf-8");
+  const region = {
+    startLine: origin.line,
+    startColumn: origin.column,
+    endLine: origin.endLine,
+    endColumn: origin.endColumn,
+  };
+  const declaration = getRegionText(content, region);
+  // Keep the spacing of the declaration around its value
+  const colon = declaration.indexOf(":");
+  const [, leading, trailing] = declaration
+    .slice(colon + 1)
+    .match(/^(\s*)[\s\S]*?(\s*)$/);
+  const replacement = `${declaration.slice(0, colon + 1)}${leading}${to}${
+    origin.important ? " !important" : ""
+  }${trailing}`;
+
+  return {
+    ...patch,
+    source: name,
+    region,
+    replacement,
+    diff: renderDiff(name, content, [{ ...region, text: replacement }]),
+  };
+}
+
+module.exports = { getCssPatch, replaceColor };
@@ -0,0 +1,72 @@
+/**
+ * @module elementScreenshot
+ * @description Takes cropped screenshots of failing elements with the element outlined,
+ * so reviewers can find the text inside the Lectora page.
+ */
+
+const OUTLINE_ID = "contrast-screenshot-outline";
+const PADDING = 24;
+const MAX_WIDTH = 800;
+const MAX_HEIGHT = 400;
+
+/**
+ * Screenshots the area around an element box with an outline drawn over the box.
+ * The outline is an overlay, so the element itself keeps the styles that were checked.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Object} rect - Box of the element in document coordinates (`x`, `y`, `width`, `height`).
+ * @returns {Promise<string|null>} - The screenshot as a PNG data URL, or null for an empty box
+ *  or when the screenshot fails.
+ */
+async function captureElement(page, rect) {
+  if (!rect || rect.width < 1 || rect.height < 1) return null;
+
+  const x = Math.max(rect.x - PADDING, 0);
+  const y = Math.max(rect.y - PADDING, 0);
+  const clip = {
+    x,
+    y,
+    width: Math.min(rect.x + rect.width + PADDING - x, MAX_WIDTH),
+    height: Math.min(rect.y + rect.height + PADDING - y, MAX_HEIGHT),
+  };
+
+  try {
+    await page.evaluate(
+      (outlineId, { x, y, width, height }) => {
+        const outline = document.createElement("div");
+        outline.id = outlineId;
+        Object.assign(outline.style, {
+          position: "absolute",
+          left: `${x - 3}px`,
+          top: `${y - 3}px`,
+          width: `${width + 6}px`,
+          height: `${height + 6}px`,
+          boxSizing: "border-box",
+          border: "3px solid #d6001c",
+          pointerEvents: "none",
+          zIndex: "2147483647",
+        });
+        document.body.appendChild(outline);
+      },
+      OUTLINE_ID,
+      rect
+    );
+    const screenshot = await page.screenshot({
+      clip,
+      captureBeyondViewport: true,
+      encoding: "base64",
+    });
+    return `data:image/png;base64,${screenshot}`;
+  } catch (error) {
+    return null;
+  } finally {
+    await page
+      .evaluate((outlineId) => {
+        const outline = document.getElementById(outlineId);
+        if (outline) outline.remove();
+      }, OUTLINE_ID)
+      .catch(() => {});
+  }
+}
+
+module.exports = { captureElement };
@@ -0,0 +1,117 @@
+/**
+ * @module errors
+ * @description Error classes thrown by the color contrast checker API.
+ * Every error carries a stable `code` so callers can branch without parsing messages.
+ */
+
+/**
+ * Base class of all errors thrown by the checker.
+ */
+class LectoraContrastError extends Error {
+  /**
+   * @param {string} message - Human readable description.
+   * @param {string} [code="ERR_LECTORA_CONTRAST"] - Stable error code.
+   */
+  constructor(message, code = "ERR_LECTORA_CONTRAST") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when an option passed to the API is missing or invalid.
+ */
+class InvalidOptionError extends LectoraContrastError {
+  /**
+   * @param {string} option - Name of the offending option.
+   * @param {string} message - Human readable description.
+   */
+  constructor(option, message) {
+    super(message, "ERR_INVALID_OPTION");
+    this.option = option;
+  }
+}
+
+/**
+ * Thrown when the package folder does not exist.
+ */
+class PackageNotFoundError extends LectoraContrastError {
+  /**
+   * @param {string} root - Path of the missing package folder.
+   */
+  constructor(root) {
+    super(`Package directory not found: ${root}`, "ERR_PACKAGE_NOT_FOUND");
+    this.root = root;
+  }
+}
+
+/**
+ * Thrown when the package contains no HTML page to check.
+ */
+class NoHtmlFilesError extends LectoraContrastError {
+  /**
+   * @param {string} root - Path of the scanned package folder.
+   */
+  constructor(root) {
+    super(`No HTML files found in ${root}`, "ERR_NO_HTML_FILES");
+    this.root = root;
+  }
+}
+
+/**
+ * Thrown when a color cannot be turned into an sRGB value, so no contrast ratio can be computed.
+ */
+class UnresolvableColorError extends LectoraContrastError {
+  /**
+   * @param {string} color - The color value as written.
+   * @param {string} role - What the color is used for (e.g. "text color").
+   */
+  constructor(color, role) {
+    super(
+      `Unresolvable ${role} "${color}": the contrast ratio cannot be computed`,
+      "ERR_UNRESOLVABLE_COLOR"
+    );
+    this.color = color;
+    this.role = role;
+  }
+}
+
+/**
+ * Thrown when checking a page takes longer than the per-page time limit.
+ */
+class PageTimeoutError extends LectoraContrastError {
+  /**
+   * @param {string} file - Path of the page.
+   * @param {number} timeout - The time limit in ms.
+   */
+  constructor(file, timeout) {
+    super(`Checking ${file} timed out after ${timeout}ms`, "ERR_PAGE_TIMEOUT");
+    this.file = file;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when a baseline file exists but cannot be read as a baseline.
+ */
+class InvalidBaselineError extends LectoraContrastError {
+  /**
+   * @param {string} file - Path of the baseline file.
+   * @param {string} reason - Why the file cannot be used.
+   */
+  constructor(file, reason) {
+    super(`Invalid baseline file ${file}: ${reason}`, "ERR_INVALID_BASELINE");
+    this.file = file;
+  }
+}
+
+module.exports = {
+  LectoraContrastError,
+  InvalidOptionError,
+  PackageNotFoundError,
+  NoHtmlFilesError,
+  UnresolvableColorError,
+  PageTimeoutError,
+  InvalidBaselineError,
+};
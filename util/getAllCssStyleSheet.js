@@ -1,6 +1,76 @@
 const cheerio = require("cheerio");
+const css = require("css");
 const fs = require("fs");
+const { pathToFileURL, fileURLToPath } = require("url");
 
+/**
+ * Resolves a stylesheet reference to a local file path.
+ * Query strings and fragments are dropped; references to other hosts resolve to null.
+ * @param {string} href - The `href` or `@import` URL.
+ * @param {URL} baseUrl - URL the reference is relative to.
+ * @returns {string|null} - Absolute file path, or null if the reference is not a local file.
+ */
+const resolveStyleSheetPath = (href, baseUrl) => {
+  let url;
+  try {
+    url = new URL(href.trim(), baseUrl);
+  } catch (error) {
+    return null;
+  }
+  return url.protocol === "file:" ? fileURLToPath(url) : null;
+};
+
+/**
+ * Returns the URL relative references of an HTML file resolve against: its `<base href>`, or the file itself.
+ * @param {Object} $ - The Cheerio document of the HTML file.
+ * @param {string} htmlPath - Path of the HTML file.
+ * @returns {URL} - The base URL.
+ */
+const getBaseUrl = ($, htmlPath) => {
+  const htmlUrl = pathToFileURL(htmlPath);
+  const baseHref = $("base[href]").first().attr("href");
+  if (baseHref) {
+    try {
+      return new URL(baseHref, htmlUrl);
+    } catch (error) {
+      // Ignore an invalid <base href>, as browsers do
+    }
+  }
+  return htmlUrl;
+};
+
+/**
+ * Extracts the URLs of the `@import` rules of a stylesheet.
+ * @param {string} cssContent - Content of the stylesheet.
+ * @returns {string[]} - Imported URLs in source order.
+ */
+const getImportedUrls = (cssContent) => {
+  try {
+    return css
+      .parse(cssContent, { silent: true })
+      .stylesheet.rules.filter((rule) => rule.type === "import")
+      .map((rule) => {
+        const match = rule.import.match(
+          /^\s*(?:url\(\s*)?(["']?)([^"')\s]+)\1/
+        );
+        return match ? match[2] : null;
+      })
+      .filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Finds the stylesheets applied to an HTML file, in cascade order.
+ * `<link rel="stylesheet">` hrefs and the `@import` rules of `<style>` blocks are resolved relative to the HTML file
+ * (or its `<base href>`), and the `@import` chains of each stylesheet are followed, imported sheets coming before
+ * the importing one.
+ * @param {string} htmlPath - Path of the HTML file.
+ * @returns {Object} - The resolved stylesheets:
+ *  - `styleSheets`: Absolute paths of the existing stylesheets, in cascade order.
+ *  - `missingStyleSheets`: `{ href, resolvedPath, from }` for every local reference whose file does not exist.
+ */
 const getAllCssStyleSheet = (htmlPath) => {
   // Read the HTML file (you can replace this with the HTML string if needed)
   const html = fs.readFileSync(htmlPath, "utf-8");
@@ -8,14 +78,44 @@ const getAllCssStyleSheet = (htmlPath) => {
   // Load the HTML into Cheerio
   const $ = cheerio.load(html);
 
-  // Find all <link> tags with rel="stylesheet" and get the 'href' attribute
-  const cssFiles = [];
-  $('link[rel="stylesheet"]').each((index, element) => {
-    const href = $(element).attr("href");
-    const splittedStr = href.split("/");
-    cssFiles.push(splittedStr[splittedStr.length - 1]);
+  const baseUrl = getBaseUrl($, htmlPath);
+
+  const styleSheets = [];
+  const missingStyleSheets = [];
+  const visited = new Set();
+
+  const addStyleSheet = (href, fromUrl, from) => {
+    const resolvedPath = resolveStyleSheetPath(href, fromUrl);
+    if (!resolvedPath || visited.has(resolvedPath)) return;
+    visited.add(resolvedPath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      missingStyleSheets.push({ href, resolvedPath, from });
+      return;
+    }
+
+    const cssContent = fs.readFileSync(resolvedPath, "utf-8");
+    getImportedUrls(cssContent).forEach((importedHref) =>
+      addStyleSheet(importedHref, pathToFileURL(resolvedPath), resolvedPath)
+    );
+    styleSheets.push(resolvedPath);
+  };
+
+  // Follow the <link rel="stylesheet"> tags and the @import rules of <style> blocks, in document order
+  $('link[rel~="stylesheet"][href], style').each((index, element) => {
+    if (element.tagName === "style") {
+      getImportedUrls($(element).html() || "").forEach((href) =>
+        addStyleSheet(href, baseUrl, htmlPath)
+      );
+      return;
+    }
+    const rel = $(element).attr("rel").toLowerCase().split(/\s+/);
+    if (rel.includes("alternate")) return;
+    addStyleSheet($(element).attr("href"), baseUrl, htmlPath);
   });
 
-  return cssFiles;
+  return { styleSheets, missingStyleSheets };
 };
 module.exports = getAllCssStyleSheet;
+module.exports.getBaseUrl = getBaseUrl;
+module.exports.resolveLocalPath = resolveStyleSheetPath;
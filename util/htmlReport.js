@@ -0,0 +1,356 @@
+/**
+ * @module htmlReport
+ * @description Writes the result of `scanPackage` as a single offline HTML file: each finding shows the
+ * outlined screenshot of the element, swatches of its colors, its ratio against the requirement and
+ * the suggested compliant colors, with the help and description of its rule, and the findings can be filtered
+ * by page, rule, WCAG level and severity.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { getFindingRows } = require("./reportExport");
+const {
+  APCA_RULE_ID,
+  getRequiredContrast,
+} = require("../checkContrastCoreLogic");
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1b1b1b; background: #fff; }
+  h1 { margin-top: 0; }
+  dl.summary { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; }
+  dl.summary dt { font-weight: bold; }
+  .filters { display: flex; flex-wrap: wrap; gap: 16px; padding: 12px; margin: 16px 0; background: #f3f3f3; }
+  .filters label { display: flex; flex-direction: column; font-weight: bold; gap: 4px; }
+  .finding { border: 1px solid #767676; border-radius: 4px; margin: 16px 0; padding: 16px; }
+  .finding[hidden] { display: none; }
+  .finding h2 { font-size: 1.1em; margin: 0 0 8px; }
+  .badge { border-radius: 4px; color: #fff; display: inline-block; font-size: 0.85em; padding: 2px 8px; }
+  .badge.fail { background: #b00020; }
+  .badge.review { background: #6b4e00; }
+  .badge.suppressed { background: #4a4a4a; }
+  .layout { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 16px; }
+  .screenshot img { border: 1px solid #ccc; max-width: 100%; }
+  .swatches { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+  .swatch { border: 1px solid #767676; display: inline-block; height: 24px; width: 24px; }
+  .preview { border: 1px solid #767676; font-size: 1.2em; padding: 4px 12px; }
+  .ratio { font-size: 1.2em; font-weight: bold; }
+  pre { background: #f3f3f3; overflow-x: auto; padding: 8px; white-space: pre-wrap; word-break: break-all; }
+`;
+
+const SCRIPT = `
+  const filters = Array.from(document.querySelectorAll("[data-filter]"));
+  const findings = Array.from(document.querySelectorAll(".finding"));
+  const count = document.getElementById("shown-count");
+  const applyFilters = () => {
+    let shown = 0;
+    findings.forEach((finding) => {
+      const visible = filters.every(
+        (filter) => !filter.value || finding.dataset[filter.dataset.filter] === filter.value
+      );
+      finding.hidden = !visible;
+      if (visible) shown += 1;
+    });
+    count.textContent = shown;
+  };
+  filters.forEach((filter) => filter.addEventListener("change", applyFilters));
+  applyFilters();
+`;
+
+/**
+ * Escapes text for HTML content and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Tells the lowest WCAG level a finding fails: text that meets the AA ratio only fails AAA.
+ * APCA findings have a single requirement, so they fail the level of the scan.
+ * @param {Object} row - Finding row from `getFindingRows`.
+ * @returns {string} - "AA" or "AAA".
+ */
+function getFailedLevel(row) {
+  if (
+    row.ratio === null ||
+    row.largeText === null ||
+    row.ruleId === APCA_RULE_ID
+  ) {
+    return row.level;
+  }
+  return row.ratio >= getRequiredContrast(row.largeText, "AA") ? "AAA" : "AA";
+}
+
+/**
+ * Builds a `<select>` filter over one data attribute of the findings.
+ * @param {string} label - Visible label of the filter.
+ * @param {string} key - Name of the dataset key filtered on.
+ * @param {Array<Array<string>>} options - `[value, text]` of each option, after "All".
+ * @returns {string} - The HTML of the filter.
+ */
+function renderFilter(label, key, options) {
+  return `<label>${escapeHtml(label)}
+    <select data-filter="${key}">
+      <option value="">All</option>
+      ${options
+        .map(
+          ([value, text]) =>
+            `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`
+        )
+        .join("")}
+    </select>
+  </label>`;
+}
+
+/**
+ * Renders a sample of text in a suggested color pair.
+ * @param {string} label - What the suggestion changes.
+ * @param {string} textColor - Color of the sample text.
+ * @param {string} backgroundColor - Background color of the sample.
+ * @param {string} suggested - The suggested color.
+ * @returns {string} - The HTML of the suggestion.
+ */
+function renderSuggestion(label, textColor, backgroundColor, suggested) {
+  return `<div class="swatches">
+        <span class="preview" style="color: ${escapeHtml(
+          textColor
+        )}; background: ${escapeHtml(backgroundColor)}">Sample text</span>
+        ${escapeHtml(label)} ${escapeHtml(suggested)}
+      </div>`;
+}
+
+/**
+ * Renders one finding with its screenshot, color swatches, ratio, APCA Lc and suggested colors.
+ * @param {Object} row - Finding row from `getFindingRows`.
+ * @param {number} index - Position of the finding, for its heading.
+ * @returns {string} - The HTML of the finding.
+ */
+function renderFinding(row, index) {
+  const isFailure = row.status === "fail";
+  const severity = row.suppressed ? "suppressed" : row.status;
+  const failedLevel = getFailedLevel(row);
+  const hasColors = row.textColor && row.backgroundColor;
+  const details = [
+    ["Page", row.page],
+    ["Course item", row.courseItem],
+    ["State", row.state],
+    ["State path", row.statePath],
+    ["Check", row.check],
+    ["Rule", row.ruleId],
+    ["Suppressed", row.suppressed],
+    ["Element", row.selector],
+    ["Text", row.text],
+  ].filter(([, value]) => value);
+
+  return `<article class="finding" data-page="${escapeHtml(
+    row.page
+  )}" data-rule="${escapeHtml(
+    row.ruleId
+  )}" data-level="${failedLevel}" data-severity="${escapeHtml(severity)}">
+  <h2>${index + 1}. <span class="badge ${
+    row.suppressed ? "suppressed" : isFailure ? "fail" : "review"
+  }">${
+    row.suppressed ? "Suppressed" : isFailure ? "Fails" : "Needs review"
+  } ${failedLevel}</span> ${escapeHtml(row.text || row.selector || "Page")}</h2>
+  <div class="layout">
+    <div class="screenshot">${
+      row.screenshot
+        ? `<img src="${row.screenshot}" alt="Screenshot of the element, outlined in red">`
+        : "<p>No screenshot available.</p>"
+    }</div>
+    <div>
+      ${
+        hasColors
+          ? `<div class="swatches">
+        <span class="swatch" style="background: ${escapeHtml(
+          row.textColor
+        )}"></span> ${row.largeText === null ? "Color" : "Text"} ${escapeHtml(
+              row.textColor
+            )}
+      </div>
+      <div class="swatches">
+        <span class="swatch" style="background: ${escapeHtml(
+          row.backgroundColor
+        )}"></span> Background ${escapeHtml(row.backgroundColor)}
+      </div>
+      <div class="swatches">
+        <span class="preview" style="color: ${escapeHtml(
+          row.textColor
+        )}; background: ${escapeHtml(row.backgroundColor)}">Sample text</span>
+      </div>`
+          : ""
+      }
+      ${
+        row.ratio !== null
+          ? `<p class="ratio">${row.ratio.toFixed(2)}:1${
+              row.requiredRatio !== null
+                ? ` (required ${row.requiredRatio}:1 for ${
+                    row.largeText === null
+                      ? "non-text content"
+                      : `${row.largeText ? "large" : "normal"} text`
+                  }, level ${escapeHtml(row.level)})`
+                : ""
+            }</p>`
+          : ""
+      }
+      ${
+        row.apcaLc !== null
+          ? `<p class="ratio">APCA Lc ${row.apcaLc.toFixed(1)}${
+              row.apcaRequiredLc !== null
+                ? ` (required Lc ${row.apcaRequiredLc} for its size and weight)`
+                : " (too small or thin to be read at any contrast)"
+            }</p>`
+          : ""
+      }
+      ${
+        row.suggestedTextColor
+          ? renderSuggestion(
+              "Suggested text color",
+              row.suggestedTextColor,
+              row.backgroundColor,
+              row.suggestedTextColor
+            )
+          : ""
+      }
+      ${
+        row.suggestedBackgroundColor
+          ? renderSuggestion(
+              "Or background color",
+              row.textColor,
+              row.suggestedBackgroundColor,
+              row.suggestedBackgroundColor
+            )
+          : ""
+      }
+      <dl>${details
+        .map(
+          ([label, value]) =>
+            `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+        )
+        .join("")}</dl>
+    </div>
+  </div>
+  <p>${escapeHtml(row.reason)}</p>
+  ${
+    row.help
+      ? `<p><strong>How to fix:</strong> ${escapeHtml(row.help)}</p>`
+      : ""
+  }
+  ${
+    row.description
+      ? `<details><summary>About this rule</summary><pre>${escapeHtml(
+          row.description
+        )}</pre></details>`
+      : ""
+  }
+  ${
+    row.patch
+      ? `<details><summary>Suggested patch</summary><pre><code>${escapeHtml(
+          row.patch
+        )}</code></pre></details>`
+      : ""
+  }
+  ${row.tag ? `<pre><code>${escapeHtml(row.tag)}</code></pre>` : ""}
+</article>`;
+}
+
+/**
+ * Writes the HTML report of a scan. Screenshots are only shown when the scan ran with `screenshots: true`.
+ * @async
+ * @function writeHtmlReport
+ * @param {Object} result - Result of `scanPackage`.
+ * @param {string} filePath - Path of the `.html` file.
+ */
+async function writeHtmlReport(result, filePath) {
+  const { summary, pages } = result;
+  const rows = getFindingRows(result);
+  const pageNames = [...new Set(rows.map((row) => row.page))];
+  const ruleIds = [...new Set(rows.map((row) => row.ruleId))].filter(Boolean);
+  const notChecked = pages.filter((page) => page.error);
+  const summaryItems = [
+    ["Package", summary.root],
+    ["Course", summary.courseTitle],
+    ["Level", summary.level],
+    ["Contrast algorithm", summary.algorithm],
+    ["Pages", summary.totalPages],
+    ["Instances checked", summary.totalChecked],
+    ["Instances failed", summary.totalFailed],
+    ["Instances needing review", summary.totalNeedsReview],
+    ["Instances skipped", summary.totalSkipped],
+    ["Instances suppressed", summary.totalSuppressed],
+    ["Pages with errors", summary.totalPageErrors],
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Accessibility report - ${escapeHtml(
+    summary.courseTitle || path.basename(summary.root)
+  )}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>Accessibility report</h1>
+<dl class="summary">${summaryItems
+    .map(
+      ([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`
+    )
+    .join("")}</dl>
+${
+  notChecked.length
+    ? `<h2>Pages with errors</h2><ul>${notChecked
+        .map(
+          (page) =>
+            `<li>${escapeHtml(
+              path.relative(summary.root, page.file)
+            )}: ${escapeHtml(page.error)}</li>`
+        )
+        .join("")}</ul>`
+    : ""
+}
+<div class="filters" role="search">
+  ${renderFilter(
+    "Page",
+    "page",
+    pageNames.map((name) => [name, name])
+  )}
+  ${renderFilter(
+    "Rule",
+    "rule",
+    ruleIds.map((ruleId) => [ruleId, ruleId])
+  )}
+  ${renderFilter("Level", "level", [
+    ["AA", "Fails AA"],
+    ["AAA", "Fails AAA only"],
+  ])}
+  ${renderFilter("Severity", "severity", [
+    ["fail", "Fails"],
+    ["needs review", "Needs review"],
+    ["suppressed", "Suppressed"],
+  ])}
+  <p aria-live="polite"><span id="shown-count">${rows.length}</span> of ${
+    rows.length
+  } findings shown</p>
+</div>
+${rows.map(renderFinding).join("\n")}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, html);
+}
+
+module.exports = { writeHtmlReport };
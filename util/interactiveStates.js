@@ -0,0 +1,257 @@
+/**
+ * @module interactiveStates
+ * @description Puts links, buttons and form controls in their interactive states (hover, focus, active, visited),
+ * so the dynamic checker can read the colors users see while interacting with them.
+ */
+
+const css = require("css");
+
+/**
+ * Controls whose text is checked in each interactive state, including the `div` buttons
+ * Lectora publishes with an `onclick` handler or a `button` id.
+ */
+const INTERACTIVE_SELECTOR = [
+  "a[href]",
+  "area[href]",
+  "button",
+  'input:not([type="hidden"])',
+  "select",
+  "textarea",
+  "summary",
+  '[role="button"]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  '[tabindex]:not([tabindex="-1"])',
+  "[onclick]",
+  'div[id^="button"]',
+].join(", ");
+
+const INTERACTIVE_STATES = ["hover", "focus", "active", "visited"];
+
+const STATE_ATTRIBUTE = "data-contrast-state";
+const VISITED_ATTRIBUTE = "data-contrast-visited";
+const VISITED_STYLE_ID = "contrast-visited-style";
+const TRANSITION_TIMEOUT = 1000;
+
+const sessions = new WeakMap();
+
+/**
+ * Returns the DevTools session of a page, with the DOM and CSS domains enabled
+ * and the ids of the page stylesheets kept up to date.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @returns {Promise<Object>} - `{ client, styleSheetIds }`.
+ */
+function getSession(page) {
+  if (!sessions.has(page)) {
+    sessions.set(
+      page,
+      (async () => {
+        const client = await page.createCDPSession();
+        const styleSheetIds = new Set();
+        client.on("CSS.styleSheetAdded", ({ header }) =>
+          styleSheetIds.add(header.styleSheetId)
+        );
+        client.on("CSS.styleSheetRemoved", ({ styleSheetId }) =>
+          styleSheetIds.delete(styleSheetId)
+        );
+        await client.send("DOM.enable");
+        await client.send("CSS.enable");
+        return { client, styleSheetIds };
+      })()
+    );
+  }
+  return sessions.get(page);
+}
+
+/**
+ * Forces CSS pseudo-classes on an element without dispatching any event, so links are not followed.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {string} selector - Selector of the element.
+ * @param {Array<string>} pseudoClasses - Pseudo-classes to force (e.g. ["active"]), an empty array clears them.
+ */
+async function forcePseudoState(page, selector, pseudoClasses) {
+  const { client } = await getSession(page);
+  const { root } = await client.send("DOM.getDocument", { depth: 0 });
+  const { nodeId } = await client.send("DOM.querySelector", {
+    nodeId: root.nodeId,
+    selector,
+  });
+  if (!nodeId) return;
+  await client.send("CSS.forcePseudoState", {
+    nodeId,
+    forcedPseudoClasses: pseudoClasses,
+  });
+}
+
+/**
+ * Copies the `:visited` rules of a stylesheet to rules matching the visited attribute.
+ * Browsers hide `:visited` colors from `getComputedStyle`, but not the colors of these copies.
+ * @param {string} cssText - Text of the stylesheet.
+ * @returns {string} - The copied rules, empty if the stylesheet has none.
+ */
+function rewriteVisitedRules(cssText) {
+  let ast;
+  try {
+    ast = css.parse(cssText, { silent: true });
+  } catch (error) {
+    return "";
+  }
+
+  const rewrite = (rules) =>
+    rules.flatMap((rule) => {
+      if (rule.type === "rule") {
+        const selectors = (rule.selectors || [])
+          .filter((selector) => selector.includes(":visited"))
+          .map((selector) =>
+            selector.replace(/:visited/g, `[${VISITED_ATTRIBUTE}]`)
+          );
+        return selectors.length ? [{ ...rule, selectors }] : [];
+      }
+      if (rule.type === "media" || rule.type === "supports") {
+        const nested = rewrite(rule.rules || []);
+        return nested.length ? [{ ...rule, rules: nested }] : [];
+      }
+      return [];
+    });
+
+  const rules = rewrite(ast.stylesheet.rules);
+  return rules.length
+    ? css.stringify({ type: "stylesheet", stylesheet: { rules } })
+    : "";
+}
+
+/**
+ * Adds a stylesheet with a copy of every `:visited` rule of the page, read through DevTools
+ * since rules of `file://` stylesheets cannot be read from the page itself.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ */
+async function installVisitedStyles(page) {
+  const { client, styleSheetIds } = await getSession(page);
+  const texts = await Promise.all(
+    [...styleSheetIds].map((styleSheetId) =>
+      client
+        .send("CSS.getStyleSheetText", { styleSheetId })
+        .then(({ text }) => rewriteVisitedRules(text))
+        .catch(() => "")
+    )
+  );
+  await page.evaluate(
+    (styleId, cssText) => {
+      const style = document.createElement("style");
+      style.id = styleId;
+      style.textContent = cssText;
+      document.head.appendChild(style);
+    },
+    VISITED_STYLE_ID,
+    texts.filter(Boolean).join("\n")
+  );
+}
+
+/**
+ * Waits for the transitions and animations started by a state change, at most `TRANSITION_TIMEOUT` ms.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ */
+async function waitForTransitions(page) {
+  await page.evaluate(
+    (timeout) =>
+      Promise.race([
+        Promise.all(
+          document
+            .getAnimations()
+            .map((animation) => animation.finished.catch(() => {}))
+        ),
+        new Promise((resolve) => setTimeout(resolve, timeout)),
+      ]),
+    TRANSITION_TIMEOUT
+  );
+}
+
+/**
+ * Puts an element in an interactive state: the mouse is moved over it for "hover", it receives the focus
+ * for "focus", and ":active" or ":visited" are simulated without clicking it.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {string} selector - Selector of the element.
+ * @param {string} state - "hover", "focus", "active" or "visited".
+ * @returns {Promise<boolean>} - False if the element cannot be in that state (e.g. focus on a plain `div`).
+ */
+async function enterState(page, selector, state) {
+  const handle = await page.$(selector);
+  if (!handle) return false;
+
+  try {
+    if (state === "hover") {
+      await handle.hover();
+    } else if (state === "focus") {
+      const focused = await handle.evaluate((element) => {
+        element.focus();
+        return element.contains(document.activeElement);
+      });
+      if (!focused) return false;
+    } else if (state === "active") {
+      await forcePseudoState(page, selector, ["active"]);
+    } else if (state === "visited") {
+      const isLink = await handle.evaluate((element, attribute) => {
+        if (!element.matches("a[href], area[href]")) return false;
+        element.setAttribute(attribute, "");
+        return true;
+      }, VISITED_ATTRIBUTE);
+      if (!isLink) return false;
+      if (!(await page.$(`#${VISITED_STYLE_ID}`))) {
+        await installVisitedStyles(page);
+      }
+    } else {
+      return false;
+    }
+    await waitForTransitions(page);
+    return true;
+  } catch (error) {
+    return false; // Covered, detached or otherwise unreachable element
+  } finally {
+    await handle.dispose();
+  }
+}
+
+/**
+ * Brings an element back to rest after `enterState`.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {string} selector - Selector of the element.
+ * @param {string} state - The state to leave.
+ */
+async function leaveState(page, selector, state) {
+  try {
+    if (state === "hover") {
+      await page.mouse.move(0, 0);
+    } else if (state === "focus") {
+      await page.evaluate(() => document.activeElement?.blur());
+    } else if (state === "active") {
+      await forcePseudoState(page, selector, []);
+    } else if (state === "visited") {
+      await page.evaluate(
+        (selector, attribute) =>
+          document.querySelector(selector)?.removeAttribute(attribute),
+        selector,
+        VISITED_ATTRIBUTE
+      );
+    }
+    await waitForTransitions(page);
+  } catch (error) {
+    // The page moved on, nothing left to reset
+  }
+}
+
+module.exports = {
+  INTERACTIVE_SELECTOR,
+  INTERACTIVE_STATES,
+  STATE_ATTRIBUTE,
+  VISITED_ATTRIBUTE,
+  enterState,
+  leaveState,
+  waitForTransitions,
+};
@@ -0,0 +1,64 @@
+const path = require("path");
+
+/**
+ * Converts a simple glob pattern into a regular expression.
+ * Supports `*` (anything except a path separator), `**` (anything) and `?` (a single character).
+ * @param {string} pattern - Glob pattern (e.g. "a001_*", "quiz/**\/*.html").
+ * @returns {RegExp} - Regular expression matching the whole string.
+ */
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Checks if a file path matches a glob pattern.
+ * The pattern is tested against the path relative to `root` and against the bare file name,
+ * so both "a001_*" and "quiz/*.html" work.
+ * @param {string} filePath - Path of the file.
+ * @param {string} pattern - Glob pattern.
+ * @param {string} [root="."] - Directory the relative path is computed from.
+ * @returns {boolean} - True if the path matches the pattern.
+ */
+const matchesPattern = (filePath, pattern, root = ".") => {
+  const regExp = globToRegExp(pattern);
+  const relativePath = path.relative(root, filePath).split(path.sep).join("/");
+  return regExp.test(relativePath) || regExp.test(path.basename(filePath));
+};
+
+/**
+ * Filters file paths with include and exclude glob patterns.
+ * A path is kept when it matches at least one include pattern (or none are given)
+ * and matches no exclude pattern.
+ * @param {string[]} filePaths - Paths to filter.
+ * @param {Object} options
+ * @param {string} [options.root="."] - Directory the patterns are relative to.
+ * @param {string[]} [options.include=[]] - Patterns a path must match.
+ * @param {string[]} [options.exclude=[]] - Patterns a path must not match.
+ * @returns {string[]} - Filtered file paths.
+ */
+const filterPaths = (
+  filePaths,
+  { root = ".", include = [], exclude = [] } = {}
+) =>
+  filePaths.filter(
+    (filePath) =>
+      (!include.length ||
+        include.some((pattern) => matchesPattern(filePath, pattern, root))) &&
+      !exclude.some((pattern) => matchesPattern(filePath, pattern, root))
+  );
+
+module.exports = { globToRegExp, matchesPattern, filterPaths };
@@ -0,0 +1,141 @@
+/**
+ * @module pagePool
+ * @description Checks HTML pages in parallel on a pool of Puppeteer pages, loading each of them
+ * with a single readiness strategy and a time limit.
+ */
+
+const { PageTimeoutError } = require("./errors");
+
+/**
+ * Opens a page ready for checking: CSP is bypassed so the checker can inject styles, and the page
+ * behaves as focused even when it is not the front tab, so `:focus` styles apply.
+ * @async
+ * @param {Object} browser - The Puppeteer browser instance.
+ * @returns {Promise<Object>} - The Puppeteer page instance.
+ */
+async function openPage(browser) {
+  const page = await browser.newPage();
+  try {
+    await page.setBypassCSP(true);
+    const client = await page.createCDPSession();
+    await client.send("Emulation.setFocusEmulationEnabled", { enabled: true });
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+  return page;
+}
+
+/**
+ * Navigates to a page and waits until it is ready: loaded, network quiet and web fonts applied.
+ * Pages that keep polling the network are checked once the idle wait gives up.
+ * @async
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {string} fileUrl - URL of the page.
+ * @param {number} timeout - Time limit in ms of each wait.
+ */
+async function loadPage(page, fileUrl, timeout) {
+  await page.goto(fileUrl, { waitUntil: "load", timeout });
+  await page
+    .waitForNetworkIdle({ idleTime: 500, timeout: Math.min(timeout, 10000) })
+    .catch(() => {});
+  await page.waitForSelector("body", { timeout });
+  await page.evaluate(() => document.fonts.ready.then(() => {}));
+}
+
+/**
+ * Tells whether a page can no longer be used after a check failed: it timed out, was closed, or lost its
+ * connection to the browser (the tab crashed or was detached).
+ * @param {Object} page - The Puppeteer page instance.
+ * @param {Error} error - The error of the check.
+ * @returns {boolean} - True if the page must be replaced.
+ */
+function isPageBroken(page, error) {
+  return (
+    error instanceof PageTimeoutError ||
+    page.isClosed() ||
+    /Target closed|Session closed|Protocol error|detached/i.test(error.message)
+  );
+}
+
+/**
+ * Rejects with a `PageTimeoutError` when a check does not settle in time.
+ * @param {Promise} promise - The running check.
+ * @param {string} file - Path of the checked page.
+ * @param {number} timeout - Time limit in ms.
+ * @returns {Promise} - The result of the check.
+ */
+function withTimeout(promise, file, timeout) {
+  let timer;
+  promise.catch(() => {}); // The check may still fail after it timed out
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new PageTimeoutError(file, timeout)),
+        timeout
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a check on every file with up to `concurrency` pages at a time.
+ * Each worker reuses its page from one file to the next, and replaces it after a timeout or once it is closed
+ * or disconnected.
+ * A file whose page cannot be opened fails with that error, and the worker tries again with the next file.
+ * @async
+ * @function runPagePool
+ * @param {Object} browser - The Puppeteer browser instance.
+ * @param {Array<string>} files - Paths of the HTML pages.
+ * @param {Function} check - Called with `(page, file)`, resolves with the result of the file.
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of pages checked in parallel.
+ * @param {number} options.timeout - Time limit in ms of each file.
+ * @param {Function} [options.onStart] - Called with `(done, file)` when a file starts.
+ * @returns {Promise<Array<Object>>} - `{ value }` or `{ error }` for each file, in the order of `files`.
+ */
+async function runPagePool(
+  browser,
+  files,
+  check,
+  { concurrency, timeout, onStart = () => {} }
+) {
+  const results = new Array(files.length);
+  let next = 0;
+  let done = 0;
+
+  const runWorker = async () => {
+    let page = null;
+    try {
+      while (next < files.length) {
+        const index = next++;
+        const file = files[index];
+        onStart(done, file);
+        try {
+          if (!page) page = await openPage(browser);
+          results[index] = {
+            value: await withTimeout(check(page, file), file, timeout),
+          };
+        } catch (error) {
+          results[index] = { error };
+          if (page && isPageBroken(page, error)) {
+            await page.close().catch(() => {});
+            page = null; // Opened again for the next file
+          }
+        }
+        done += 1;
+      }
+    } finally {
+      if (page) await page.close().catch(() => {});
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, files.length) }, runWorker)
+  );
+  return results;
+}
+
+module.exports = runPagePool;
+module.exports.loadPage = loadPage;
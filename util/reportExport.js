@@ -0,0 +1,270 @@
+/**
+ * @module reportExport
+ * @description Exports the result of `scanPackage` for reviewers: an Excel workbook with a summary,
+ * a findings and a pages sheet, and a CSV of the findings that stays stable from one run to the next for diffing.
+ */
+
+const ExcelJS = require("exceljs");
+const fs = require("fs-extra");
+const path = require("path");
+const { getRuleHelp } = require("./ruleCatalog");
+
+/**
+ * Columns of the findings sheet and of the CSV, in order.
+ */
+const FINDING_COLUMNS = [
+  { header: "Page", key: "page", width: 40 },
+  { header: "Course item", key: "courseItem", width: 30 },
+  { header: "Check", key: "check", width: 10 },
+  { header: "Rule", key: "ruleId", width: 24 },
+  { header: "Status", key: "status", width: 10 },
+  { header: "State", key: "state", width: 10 },
+  { header: "State path", key: "statePath", width: 30 },
+  { header: "Selector", key: "selector", width: 14 },
+  { header: "Text", key: "text", width: 40 },
+  { header: "Text color", key: "textColor", width: 20 },
+  { header: "Background color", key: "backgroundColor", width: 20 },
+  { header: "Contrast ratio", key: "ratio", width: 14 },
+  { header: "Required ratio", key: "requiredRatio", width: 14 },
+  { header: "APCA Lc", key: "apcaLc", width: 10 },
+  { header: "APCA required Lc", key: "apcaRequiredLc", width: 16 },
+  { header: "Suggested text color", key: "suggestedTextColor", width: 20 },
+  {
+    header: "Suggested background color",
+    key: "suggestedBackgroundColor",
+    width: 20,
+  },
+  { header: "Suggested patch", key: "patch", width: 60 },
+  { header: "Level", key: "level", width: 8 },
+  { header: "Large text", key: "largeText", width: 10 },
+  { header: "Reason", key: "reason", width: 60 },
+  { header: "Help", key: "help", width: 60 },
+  { header: "Suppressed", key: "suppressed", width: 40 },
+  { header: "Element path", key: "elementPath", width: 40 },
+  { header: "Tag", key: "tag", width: 60 },
+];
+
+/**
+ * Longest text kept in a report field, below the 32,767 characters an Excel cell holds.
+ */
+const MAX_FIELD_LENGTH = 32000;
+
+const PAGE_COLUMNS = [
+  { header: "Page", key: "page", width: 40 },
+  { header: "Course item", key: "courseItem", width: 30 },
+  { header: "Checked", key: "totalChecked", width: 10 },
+  { header: "Failed", key: "totalFailed", width: 10 },
+  { header: "Needs review", key: "totalNeedsReview", width: 14 },
+  { header: "Skipped", key: "totalSkipped", width: 10 },
+  { header: "Suppressed", key: "totalSuppressed", width: 12 },
+  { header: "From cache", key: "cached", width: 12 },
+  { header: "Error", key: "error", width: 60 },
+];
+
+/**
+ * Names a page by its path in the package, so reports do not depend on where the package was scanned.
+ * @param {Object} summary - Summary of the scan.
+ * @param {string} file - Path of the page.
+ * @returns {string} - Path relative to the package, with forward slashes.
+ */
+function getPageName(summary, file) {
+  return path.relative(summary.root, file).split(path.sep).join("/");
+}
+
+/**
+ * Shortens text longer than a report field can hold, such as the outer HTML of a large container.
+ * @param {string} text - The text.
+ * @returns {string} - The text, cut to `MAX_FIELD_LENGTH` characters with a marker if it was longer.
+ */
+function truncateField(text) {
+  const marker = " [truncated]";
+  return text.length > MAX_FIELD_LENGTH
+    ? `${text.slice(0, MAX_FIELD_LENGTH - marker.length)}${marker}`
+    : text;
+}
+
+/**
+ * Describes the suggested patch of a finding: its diff, or the declaration to change when it is not in a stylesheet file.
+ * @param {Object|null} patch - The `Suggested_Patch` of the finding.
+ * @returns {string} - The description, empty without a patch.
+ */
+function describePatch(patch) {
+  if (!patch) return "";
+  if (patch.diff) return patch.diff;
+  return `${patch.source}: ${patch.selector ? `${patch.selector} ` : ""}{ ${
+    patch.property
+  }: ${patch.to} }`;
+}
+
+/**
+ * Flattens the findings of every page into report rows.
+ * @param {Object} result - Result of `scanPackage`.
+ * @returns {Array<Object>} - One row per finding, keyed like `FINDING_COLUMNS`, plus its `screenshot` if any
+ *  and the `description` of its rule from the accessibility mapping.
+ */
+function getFindingRows({ summary, pages }) {
+  return pages.flatMap((page) =>
+    page.findings.map((finding) => {
+      const { help, description } = getRuleHelp(finding.Rule_Id);
+      return {
+        page: getPageName(summary, page.file),
+        courseItem: finding.Course_Item || "",
+        check: finding.check,
+        ruleId: finding.Rule_Id || "",
+        status: finding.Status || "fail",
+        state: finding.State || "default",
+        statePath: finding.State_Path || "",
+        selector: finding.Selector || "",
+        text: truncateField(finding.Text || ""),
+        textColor: finding.Text_Color || "",
+        backgroundColor: finding.Background_Color || "",
+        ratio: finding.Contrast_Ratio ?? null,
+        requiredRatio: finding.Required_Ratio ?? null,
+        apcaLc: finding.APCA_Lc ?? null,
+        apcaRequiredLc: finding.APCA_Required_Lc ?? null,
+        suggestedTextColor: finding.Suggested_Text_Color || "",
+        suggestedBackgroundColor: finding.Suggested_Background_Color || "",
+        patch: truncateField(describePatch(finding.Suggested_Patch)),
+        level: finding.Level || summary.level,
+        largeText: finding.Large_Text ?? null,
+        reason: finding.Reason_For_Failing || "",
+        help: help || "",
+        suppressed: finding.Suppressed
+          ? `${finding.Suppressed.by}: ${finding.Suppressed.justification}`
+          : "",
+        elementPath: finding.Element_Path || "",
+        tag: truncateField(finding.Tag || ""),
+        screenshot: finding.Screenshot || null,
+        description: description || "",
+      };
+    })
+  );
+}
+
+/**
+ * Builds the rows of the pages sheet.
+ * @param {Object} result - Result of `scanPackage`.
+ * @returns {Array<Object>} - One row per page, keyed like `PAGE_COLUMNS`.
+ */
+function getPageRows({ summary, pages }) {
+  return pages.map((page) => ({
+    page: getPageName(summary, page.file),
+    courseItem: page.label || "",
+    totalChecked: page.totalChecked,
+    totalFailed: page.totalFailed,
+    totalNeedsReview: page.totalNeedsReview,
+    totalSkipped: page.totalSkipped,
+    totalSuppressed: page.totalSuppressed || 0,
+    cached: Boolean(page.cached),
+    error: page.error || "",
+  }));
+}
+
+/**
+ * Builds the label/value rows of the summary sheet.
+ * @param {Object} summary - Summary of the scan.
+ * @returns {Array<Array>} - `[label, value]` rows.
+ */
+function getSummaryRows(summary) {
+  return [
+    ["Package", summary.root],
+    ["Course", summary.courseTitle || ""],
+    ["Package format", summary.packageFormat || "folder"],
+    ["Level", summary.level],
+    ["Contrast algorithm", summary.algorithm],
+    ["Pages", summary.totalPages],
+    ["Pages with errors", summary.totalPageErrors],
+    ["Pages rescanned", summary.totalRescanned],
+    ["Instances checked", summary.totalChecked],
+    ["Instances failed", summary.totalFailed],
+    ["Instances needing review", summary.totalNeedsReview],
+    ["Instances skipped", summary.totalSkipped],
+    ["Instances suppressed", summary.totalSuppressed || 0],
+    ...Object.entries(summary.skippedReasons).map(([reason, count]) => [
+      `Skipped: ${reason}`,
+      count,
+    ]),
+  ];
+}
+
+/**
+ * Adds a sheet with a bold, frozen and filterable header row.
+ * @param {Object} workbook - The ExcelJS workbook.
+ * @param {string} name - Name of the sheet.
+ * @param {Array<Object>} columns - Column definitions.
+ * @param {Array<Object>} rows - Rows keyed like the columns.
+ */
+function addTableSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = columns;
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: columns.length },
+  };
+}
+
+/**
+ * Writes the Excel report of a scan.
+ * @async
+ * @function writeXlsxReport
+ * @param {Object} result - Result of `scanPackage`.
+ * @param {string} filePath - Path of the `.xlsx` file.
+ */
+async function writeXlsxReport(result, filePath) {
+  const workbook = new ExcelJS.Workbook();
+  const summarySheet = workbook.addWorksheet("Summary");
+  summarySheet.columns = [{ width: 28 }, { width: 60 }];
+  summarySheet.addRows(getSummaryRows(result.summary));
+  summarySheet.getColumn(1).font = { bold: true };
+
+  addTableSheet(workbook, "Findings", FINDING_COLUMNS, getFindingRows(result));
+  addTableSheet(workbook, "Pages", PAGE_COLUMNS, getPageRows(result));
+
+  await fs.ensureDir(path.dirname(filePath));
+  await workbook.xlsx.writeFile(filePath);
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break.
+ * Text starting like a formula (`=`, `+`, `-`, `@`) is prefixed with a quote so spreadsheets show it as text.
+ * @param {*} value - Value of the field.
+ * @returns {string} - The CSV field.
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the findings of a scan as CSV, one finding per line.
+ * @async
+ * @function writeCsvReport
+ * @param {Object} result - Result of `scanPackage`.
+ * @param {string} filePath - Path of the `.csv` file.
+ */
+async function writeCsvReport(result, filePath) {
+  const lines = [
+    FINDING_COLUMNS.map(({ header }) => toCsvField(header)),
+    ...getFindingRows(result).map((row) =>
+      FINDING_COLUMNS.map(({ key }) => toCsvField(row[key]))
+    ),
+  ].map((fields) => fields.join(","));
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, `${lines.join("\r\n")}\r\n`);
+}
+
+module.exports = {
+  FINDING_COLUMNS,
+  MAX_FIELD_LENGTH,
+  getFindingRows,
+  writeXlsxReport,
+  writeCsvReport,
+};
@@ -0,0 +1,138 @@
+/**
+ * @module ruleCatalog
+ * @description Rules the checker reports, with the WCAG success criterion each one maps to. The help and
+ * description text shown in reports is taken from `accessibilty_mapping.js`.
+ */
+
+const accessibilityRuleDescriptions = require("../accessibilty_mapping");
+
+const UNDERSTANDING_URL = "https://www.w3.org/WAI/WCAG21/Understanding";
+
+/**
+ * Rules reported by the checker: the text and non-text contrast rules, the stylesheet check and the rules of
+ * `checkAccessibilityRules`.
+ */
+const RULES = [
+  {
+    id: "color-contrast",
+    name: "ColorContrast",
+    shortDescription:
+      "Text contrast meets WCAG 2 level AA (1.4.3 Contrast (Minimum))",
+    helpUri: `${UNDERSTANDING_URL}/contrast-minimum.html`,
+    tags: ["accessibility", "wcag2aa", "wcag143"],
+  },
+  {
+    id: "color-contrast-enhanced",
+    name: "ColorContrastEnhanced",
+    shortDescription:
+      "Text contrast meets WCAG 2 level AAA (1.4.6 Contrast (Enhanced))",
+    helpUri: `${UNDERSTANDING_URL}/contrast-enhanced.html`,
+    tags: ["accessibility", "wcag2aaa", "wcag146"],
+  },
+  {
+    id: "color-contrast-apca",
+    name: "ColorContrastApca",
+    shortDescription:
+      "Text reaches the APCA lightness contrast (Lc) its font size and weight need (WCAG 3 draft)",
+    helpUri: "https://github.com/Myndex/apca-w3",
+    tags: ["accessibility", "apca"],
+  },
+  {
+    id: "non-text-contrast",
+    name: "NonTextContrast",
+    shortDescription:
+      "Form field boundaries, meaningful graphics and focus indicators have a 3:1 contrast (1.4.11 Non-text Contrast)",
+    helpUri: `${UNDERSTANDING_URL}/non-text-contrast.html`,
+    tags: ["accessibility", "wcag21aa", "wcag1411"],
+  },
+  {
+    id: "stylesheet-missing",
+    name: "StylesheetMissing",
+    shortDescription: "Stylesheets linked by the page exist in the package",
+    helpUri: `${UNDERSTANDING_URL}/contrast-minimum.html`,
+    tags: ["accessibility"],
+  },
+  {
+    id: "image-alt",
+    name: "ImageAlt",
+    shortDescription: "Images have alternative text (1.1.1 Non-text Content)",
+    helpUri: `${UNDERSTANDING_URL}/non-text-content.html`,
+    tags: ["accessibility", "wcag2a", "wcag111"],
+  },
+  {
+    id: "label",
+    name: "Label",
+    shortDescription:
+      "Form controls have a label and buttons have descriptive text (4.1.2 Name, Role, Value)",
+    helpUri: `${UNDERSTANDING_URL}/name-role-value.html`,
+    tags: ["accessibility", "wcag2a", "wcag131", "wcag412"],
+  },
+  {
+    id: "heading-order",
+    name: "HeadingOrder",
+    shortDescription: "Heading levels only increase by one",
+    helpUri: `${UNDERSTANDING_URL}/info-and-relationships.html`,
+    tags: ["accessibility", "best-practice"],
+  },
+  {
+    id: "landmark-one-main",
+    name: "LandmarkOneMain",
+    shortDescription: "The page has one main landmark",
+    helpUri: `${UNDERSTANDING_URL}/bypass-blocks.html`,
+    tags: ["accessibility", "best-practice"],
+  },
+  {
+    id: "page-has-heading-one",
+    name: "PageHasHeadingOne",
+    shortDescription: "The page has a level-one heading",
+    helpUri: `${UNDERSTANDING_URL}/headings-and-labels.html`,
+    tags: ["accessibility", "best-practice"],
+  },
+  {
+    id: "region",
+    name: "Region",
+    shortDescription: "All content of the page is inside landmarks",
+    helpUri: `${UNDERSTANDING_URL}/bypass-blocks.html`,
+    tags: ["accessibility", "best-practice"],
+  },
+  {
+    id: "aria-hidden-focus",
+    name: "AriaHiddenFocus",
+    shortDescription:
+      "aria-hidden content is not focusable (4.1.2 Name, Role, Value)",
+    helpUri: `${UNDERSTANDING_URL}/name-role-value.html`,
+    tags: ["accessibility", "wcag2a", "wcag412"],
+  },
+  {
+    id: "aria-roles",
+    name: "AriaRoles",
+    shortDescription:
+      "ARIA roles are valid and clickable elements have one (4.1.2 Name, Role, Value)",
+    helpUri: `${UNDERSTANDING_URL}/name-role-value.html`,
+    tags: ["accessibility", "wcag2a", "wcag412"],
+  },
+  {
+    id: "tabindex",
+    name: "Tabindex",
+    shortDescription:
+      "Positive tabindex values follow the visual order (2.4.3 Focus Order)",
+    helpUri: `${UNDERSTANDING_URL}/focus-order.html`,
+    tags: ["accessibility", "wcag2a", "wcag243"],
+  },
+];
+
+/**
+ * Returns the help and description text of a rule from the accessibility mapping.
+ * @param {string} ruleId - Id of the rule (e.g. "image-alt").
+ * @returns {Object} - `help`, what to do to pass the rule, and `description`, what the failure means
+ *  with examples; each null when the mapping has no such text.
+ */
+function getRuleHelp(ruleId) {
+  const texts = accessibilityRuleDescriptions[ruleId] || {};
+  return {
+    help: texts.help || null,
+    description: texts.description || null,
+  };
+}
+
+module.exports = { RULES, getRuleHelp };
@@ -0,0 +1,215 @@
+/**
+ * @module scanCache
+ * @description Persistent cache of page results for incremental re-scans.
+ * Each page is keyed by a hash of its HTML, the stylesheets, scripts, images and fonts it loads and the
+ * checker settings, so only pages whose inputs changed are checked again. The cache is dropped whenever
+ * the checker sources change.
+ */
+
+const cheerio = require("cheerio");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const getAllCssStyleSheet = require("./getAllCssStyleSheet");
+const { getBaseUrl, resolveLocalPath } = getAllCssStyleSheet;
+const { pathToFileURL } = require("url");
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, "../SCAN_CACHE");
+// Attributes of the page loading a file it renders; `href` only loads on SVG `image` and `use`
+const ASSET_ATTRIBUTES = ["src", "poster", "background", "data", "xlink:href"];
+const SVG_HREF_ELEMENTS = ["image", "use", "feimage"];
+// Hashes of the files pages load, by resolved path, so files shared by many pages are read once
+const fileHashCache = new Map();
+
+/**
+ * Hashes the sources of the checker: the modules next to `scanPackage` and in `util`.
+ * @returns {string} - The hash of the checker sources.
+ */
+function getCheckerHash() {
+  const hash = crypto.createHash("sha256");
+  [path.join(__dirname, ".."), __dirname].forEach((dir) =>
+    fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".js"))
+      .sort()
+      .forEach((file) => {
+        hash.update(`\0${file}\0`);
+        hash.update(fs.readFileSync(path.join(dir, file)));
+      })
+  );
+  return hash.digest("hex");
+}
+
+const CHECKER_HASH = getCheckerHash();
+
+/**
+ * Returns the cache file of a package: one file per package folder in the cache directory.
+ * @param {string} root - Folder of the Lectora package.
+ * @param {string} [cacheDir] - Directory of the cache files.
+ * @returns {string} - Path of the cache file.
+ */
+function getCachePath(root, cacheDir = DEFAULT_CACHE_DIR) {
+  const rootHash = crypto
+    .createHash("sha1")
+    .update(path.resolve(root))
+    .digest("hex");
+  return path.join(cacheDir, `${rootHash.slice(0, 16)}.json`);
+}
+
+/**
+ * Reads a cache file. A missing or unreadable cache, or one written by other checker sources, is an empty one.
+ * @param {string} cachePath - Path of the cache file.
+ * @returns {Object} - `{ checker, pages }`, `pages` mapping page paths to `{ key, result }`.
+ */
+function loadCache(cachePath) {
+  try {
+    const cache = fs.readJsonSync(cachePath);
+    if (cache.checker === CHECKER_HASH && cache.pages) return cache;
+  } catch (error) {
+    // Start over with an empty cache
+  }
+  return { checker: CHECKER_HASH, pages: {} };
+}
+
+/**
+ * Writes a cache file.
+ * @async
+ * @param {string} cachePath - Path of the cache file.
+ * @param {Object} cache - The cache, as returned by `loadCache`.
+ */
+async function saveCache(cachePath, cache) {
+  await fs.ensureDir(path.dirname(cachePath));
+  await fs.writeJson(cachePath, cache);
+}
+
+/**
+ * Lists the `url()` references of CSS text.
+ * @param {string} cssText - A stylesheet, `<style>` element or `style` attribute.
+ * @returns {string[]} - The referenced URLs.
+ */
+function getCssUrls(cssText) {
+  return [...cssText.matchAll(/url\(\s*(["']?)([^"')]+?)\1\s*\)/gi)].map(
+    ([, , url]) => url
+  );
+}
+
+/**
+ * Finds the local files a page renders besides its stylesheets and scripts: images, backgrounds
+ * (sampled by the dynamic check), fonts and embedded objects, from the page and its stylesheets.
+ * @param {Function} $ - The cheerio document of the page.
+ * @param {URL} baseUrl - URL the references of the page are relative to.
+ * @param {string[]} styleSheets - Paths of the stylesheets of the page.
+ * @returns {string[]} - Absolute paths of the referenced files.
+ */
+function getAssetPaths($, baseUrl, styleSheets) {
+  const references = [];
+  $("*").each((index, element) => {
+    const { attribs } = element;
+    ASSET_ATTRIBUTES.filter((name) => attribs[name]).forEach((name) =>
+      references.push([attribs[name], baseUrl])
+    );
+    if (attribs.href && SVG_HREF_ELEMENTS.includes(element.name)) {
+      references.push([attribs.href, baseUrl]);
+    }
+    if (attribs.srcset) {
+      attribs.srcset
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean)
+        .forEach((url) => references.push([url, baseUrl]));
+    }
+    if (attribs.style) {
+      getCssUrls(attribs.style).forEach((url) =>
+        references.push([url, baseUrl])
+      );
+    }
+  });
+  $("style").each((index, element) =>
+    getCssUrls($(element).text()).forEach((url) =>
+      references.push([url, baseUrl])
+    )
+  );
+  styleSheets.forEach((styleSheet) =>
+    getCssUrls(fs.readFileSync(styleSheet, "utf-8")).forEach((url) =>
+      references.push([url, pathToFileURL(styleSheet)])
+    )
+  );
+  return [
+    ...new Set(
+      references
+        .map(([url, from]) => resolveLocalPath(url, from))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Hashes a file a page loads. The hash is kept until the file is modified or resized.
+ * @param {string} filePath - Path of the file.
+ * @returns {string} - The hash of the file, or "missing" when it is not a file.
+ */
+function getFileHash(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const stats = fs.existsSync(resolvedPath) ? fs.statSync(resolvedPath) : null;
+  if (!stats || !stats.isFile()) return "missing";
+  const cached = fileHashCache.get(resolvedPath);
+  if (
+    cached &&
+    cached.mtimeMs === stats.mtimeMs &&
+    cached.size === stats.size
+  ) {
+    return cached.hash;
+  }
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(resolvedPath))
+    .digest("hex");
+  fileHashCache.set(resolvedPath, {
+    mtimeMs: stats.mtimeMs,
+    size: stats.size,
+    hash,
+  });
+  return hash;
+}
+
+/**
+ * Computes the cache key of a page from everything its result depends on.
+ * Paths are hashed relative to the page, so a package extracted to a new temporary folder keeps its keys.
+ * @param {string} htmlPath - Path of the HTML page.
+ * @param {Object} settings - Checker settings that change the result (level, policies, crawler options).
+ * @returns {string} - The hash of the page inputs.
+ */
+function getPageKey(htmlPath, settings) {
+  const html = fs.readFileSync(htmlPath, "utf-8");
+  const $ = cheerio.load(html);
+  const baseUrl = getBaseUrl($, htmlPath);
+  const { styleSheets, missingStyleSheets } = getAllCssStyleSheet(htmlPath);
+  const scripts = $("script[src]")
+    .map((index, element) => resolveLocalPath($(element).attr("src"), baseUrl))
+    .get()
+    .filter(Boolean);
+
+  const assets = getAssetPaths($, baseUrl, styleSheets);
+
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify({ checker: CHECKER_HASH, settings }));
+  hash.update(html);
+  const pageDir = path.dirname(htmlPath);
+  [...new Set([...styleSheets, ...scripts, ...assets])].forEach((filePath) => {
+    hash.update(`\0${path.relative(pageDir, filePath)}\0`);
+    hash.update(getFileHash(filePath));
+  });
+  missingStyleSheets.forEach(({ resolvedPath }) =>
+    hash.update(`\0${path.relative(pageDir, resolvedPath)}\0missing`)
+  );
+  return hash.digest("hex");
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  getCachePath,
+  loadCache,
+  saveCache,
+  getPageKey,
+};
@@ -0,0 +1,153 @@
+/**
+ * @module sourceLocation
+ * @description Finds the elements of findings in the source HTML of their page, so reports can point
+ * to the line and column to edit. The page may differ from its source once scripts ran; elements
+ * that cannot be matched unambiguously are left without a location.
+ */
+
+const cheerio = require("cheerio");
+const fs = require("fs-extra");
+
+/**
+ * Collapses white space, to compare text taken from the browser and from the source.
+ * @param {string} text - The text.
+ * @returns {string} - The normalized text.
+ */
+function normalizeText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Reads the tag name and attributes of the outer HTML reported in a finding.
+ * @param {string} tagHtml - Outer HTML of the element.
+ * @returns {Object|null} - `{ name, attributes }`, or null if the HTML has no element.
+ */
+function parseTag(tagHtml) {
+  const element = cheerio
+    .load(tagHtml || "", null, false)
+    .root()
+    .children()
+    .get(0);
+  return element ? { name: element.name, attributes: element.attribs } : null;
+}
+
+/**
+ * Finds the source element of a finding: among the elements with its tag name (and id, if it has one),
+ * the one with the same attributes and text, else the same text, else the same attributes,
+ * else the only element of that kind. An element containing another match is not a match itself.
+ * When several elements match alike (e.g. two identical buttons), none is returned.
+ * @param {Function} $ - The cheerio document of the source, parsed with source locations.
+ * @param {Object} finding - The finding, with its `Tag` and `Text`.
+ * @returns {Object|null} - The source element, or null if none matches unambiguously.
+ */
+function findSourceElement($, finding) {
+  const tag = parseTag(finding.Tag);
+  if (!tag) return null;
+
+  let elements;
+  try {
+    elements = $(tag.name).toArray();
+  } catch (error) {
+    return null; // Tag name that is not a valid selector
+  }
+  const candidates = elements.filter(
+    (element) =>
+      element.sourceCodeLocation &&
+      (!tag.attributes.id || element.attribs.id === tag.attributes.id)
+  );
+  const text = normalizeText(finding.Text);
+  const hasText = (element) =>
+    Boolean(text) && normalizeText($(element).text()).includes(text);
+  const attributes = Object.entries(tag.attributes);
+  const hasAttributes = (element) =>
+    attributes.length > 0 &&
+    attributes.every(([name, value]) => element.attribs[name] === value);
+
+  const matchers = [
+    (element) => hasAttributes(element) && hasText(element),
+    hasText,
+    hasAttributes,
+  ];
+  for (const matches of matchers) {
+    const matching = candidates.filter(matches);
+    // Nested elements of the same kind all contain the text: only the innermost ones render it
+    const innermost = matching.filter(
+      (element) =>
+        !matching.some(
+          (other) => other !== element && $.contains(element, other)
+        )
+    );
+    if (innermost.length > 0) {
+      return innermost.length === 1 ? innermost[0] : null;
+    }
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Adds the source location of each finding of a page.
+ * @param {string} htmlPath - Path of the HTML page.
+ * @param {Array<Object>} findings - Findings of the page.
+ * @returns {Array<Object>} - The findings, with `Source_Location` (`startLine`, `startColumn`, `endLine`,
+ *  `endColumn`, 1-based) on those whose element was found in the source.
+ */
+function locateFindings(htmlPath, findings) {
+  let $;
+  try {
+    $ = cheerio.load(fs.readFileSync(htmlPath, "utf-8"), {
+      sourceCodeLocationInfo: true,
+    });
+  } catch (error) {
+    return findings;
+  }
+
+  return findings.map((finding) => {
+    const element = findSourceElement($, finding);
+    if (!element) return finding;
+    const { startLine, startCol, endLine, endCol } = element.sourceCodeLocation;
+    return {
+      ...finding,
+      Source_Location: {
+        startLine,
+        startColumn: startCol,
+        endLine,
+        endColumn: endCol,
+      },
+    };
+  });
+}
+
+/**
+ * Finds where an attribute of a located element is written in the page source.
+ * @param {string} htmlPath - Path of the HTML page.
+ * @param {Object} location - `Source_Location` of the element.
+ * @param {string} name - Name of the attribute (e.g. "style").
+ * @returns {Object|null} - `startLine`, `startColumn`, `endLine` and `endColumn` of the whole attribute
+ *  (1-based, end exclusive), or null if the element or its attribute is not found.
+ */
+function locateAttribute(htmlPath, location, name) {
+  const $ = cheerio.load(fs.readFileSync(htmlPath, "utf-8"), {
+    sourceCodeLocationInfo: true,
+  });
+  const element = $("*")
+    .toArray()
+    .find(
+      ({ sourceCodeLocation }) =>
+        sourceCodeLocation &&
+        sourceCodeLocation.startLine === location.startLine &&
+        sourceCodeLocation.startCol === location.startColumn
+    );
+  const attribute =
+    element && element.sourceCodeLocation.attrs
+      ? element.sourceCodeLocation.attrs[name]
+      : null;
+  if (!attribute) return null;
+  return {
+    startLine: attribute.startLine,
+    startColumn: attribute.startCol,
+    endLine: attribute.endLine,
+    endColumn: attribute.endCol,
+  };
+}
+
+module.exports = { locateFindings, locateAttribute };
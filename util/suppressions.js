@@ -0,0 +1,226 @@
+/**
+ * @module suppressions
+ * @description Keeps accepted findings from failing a scan. A finding is suppressed, in this order, by a
+ * `data-contrast-ignore` attribute with a justification on the element or an ancestor, by an entry of the
+ * configured ignore list, or by its fingerprint in a baseline file of previously accepted findings.
+ * Suppressed findings stay in the report with their justification but are not counted as failures.
+ * An attribute without a justification suppresses nothing, and the finding says so.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const { matchesPattern } = require("./matchPattern");
+const { InvalidBaselineError } = require("./errors");
+
+const IGNORE_ATTRIBUTE = "data-contrast-ignore";
+const BASELINE_FORMAT = 1;
+const BASELINE_JUSTIFICATION = "Accepted in the baseline";
+const MISSING_JUSTIFICATION = `${IGNORE_ATTRIBUTE} is not applied without a justification.`;
+
+/**
+ * Names a page by its path in the package, so fingerprints do not depend on where the package was scanned.
+ * @param {string} root - The scanned package.
+ * @param {string} file - Path of the page.
+ * @returns {string} - Path relative to the package, with forward slashes.
+ */
+function getPageName(root, file) {
+  return path.relative(root, file).split(path.sep).join("/");
+}
+
+/**
+ * Fingerprints a finding by its page, element path, rule, state and colors. The fingerprint survives
+ * text edits and unrelated changes elsewhere in the page, and changes when the colors are fixed.
+ * @param {string} pageName - Path of the page in the package.
+ * @param {Object} finding - The finding.
+ * @returns {string} - The fingerprint.
+ */
+function getFingerprint(pageName, finding) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      [
+        pageName,
+        finding.Rule_Id,
+        finding.Element_Path || finding.Tag,
+        finding.State || "default",
+        finding.State_Path || "",
+        finding.Text_Color,
+        finding.Background_Color,
+      ].join("\0")
+    )
+    .digest("hex");
+}
+
+/**
+ * Reads the fingerprints of a baseline file. A missing file is an empty baseline, so the first run
+ * with `--update-baseline` can create it.
+ * @param {string} filePath - Path of the baseline file.
+ * @returns {Set<string>} - The accepted fingerprints.
+ * @throws {InvalidBaselineError} - If the file exists but is not a baseline.
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return new Set();
+  let baseline;
+  try {
+    baseline = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new InvalidBaselineError(filePath, error.message);
+  }
+  if (
+    baseline.format !== BASELINE_FORMAT ||
+    !Array.isArray(baseline.findings)
+  ) {
+    throw new InvalidBaselineError(
+      filePath,
+      `expected format ${BASELINE_FORMAT} with a list of findings`
+    );
+  }
+  return new Set(baseline.findings.map(({ fingerprint }) => fingerprint));
+}
+
+/**
+ * Writes a baseline accepting every finding of a scan that is not already suppressed inline or by the ignore list.
+ * Entries are sorted and carry no timestamp, so the file diffs cleanly in version control.
+ * @async
+ * @param {string} filePath - Path of the baseline file.
+ * @param {Object} result - Result of `scanPackage`.
+ * @returns {Promise<number>} - The number of findings in the baseline.
+ */
+async function saveBaseline(filePath, { summary, pages }) {
+  const findings = pages
+    .flatMap((page) =>
+      page.findings
+        .filter(
+          (finding) =>
+            !finding.Suppressed || finding.Suppressed.by === "baseline"
+        )
+        .map((finding) => ({
+          fingerprint: getFingerprint(
+            getPageName(summary.root, page.file),
+            finding
+          ),
+          page: getPageName(summary.root, page.file),
+          element: finding.Element_Path || null,
+          rule: finding.Rule_Id,
+          state: finding.State || "default",
+          textColor: finding.Text_Color || null,
+          backgroundColor: finding.Background_Color || null,
+        }))
+    )
+    .sort((a, b) => a.fingerprint.localeCompare(b.fingerprint))
+    .filter(
+      (entry, index, entries) =>
+        index === 0 || entry.fingerprint !== entries[index - 1].fingerprint
+    );
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(
+    filePath,
+    { format: BASELINE_FORMAT, findings },
+    { spaces: 2 }
+  );
+  return findings.length;
+}
+
+/**
+ * Tells whether an ignore list entry matches a finding. Every field given in the entry must match:
+ * `page` is a glob pattern, `element` an element path (its descendants match too), `text` the text
+ * of the element and `rule` the rule id.
+ * @param {Object} entry - Entry of the ignore list.
+ * @param {string} root - The scanned package.
+ * @param {string} file - Path of the page.
+ * @param {Object} finding - The finding.
+ * @returns {boolean} - True if the entry matches.
+ */
+function matchesIgnoreEntry(entry, root, file, finding) {
+  const elementPath = finding.Element_Path || "";
+  return (
+    (!entry.page || matchesPattern(file, entry.page, root)) &&
+    (!entry.element ||
+      elementPath === entry.element ||
+      elementPath.startsWith(`${entry.element} > `)) &&
+    (!entry.text ||
+      (finding.Text || "").replace(/\s+/g, " ").trim() ===
+        entry.text.replace(/\s+/g, " ").trim()) &&
+    (!entry.rule || finding.Rule_Id === entry.rule)
+  );
+}
+
+/**
+ * Marks the suppressed findings of a scan and takes them out of the failure and review counts.
+ * @param {Object} result - Result of `scanPackage`, before suppressions.
+ * @param {Object} options
+ * @param {Array<Object>} [options.ignore=[]] - Ignore list entries, each with a `justification`.
+ * @param {Set<string>} [options.baseline] - Fingerprints of the accepted findings.
+ * @returns {Object} - The result, with `Suppressed` (`{ by, justification }`, `by` being "inline", "config"
+ *  or "baseline") and `Fingerprint` on findings, and `totalSuppressed` in the summary and pages.
+ *  The reason of a finding under an empty `data-contrast-ignore` says that a justification is required.
+ */
+function applySuppressions(result, { ignore = [], baseline = new Set() } = {}) {
+  const { summary } = result;
+  let totalSuppressed = 0;
+
+  const pages = result.pages.map((page) => {
+    const pageName = getPageName(summary.root, page.file);
+    const counts = { fail: 0, review: 0 };
+    const findings = page.findings.map((finding) => {
+      const Fingerprint = getFingerprint(pageName, finding);
+      const entry = ignore.find((ignoreEntry) =>
+        matchesIgnoreEntry(ignoreEntry, summary.root, page.file, finding)
+      );
+      const inlineJustification =
+        typeof finding.Inline_Ignore === "string"
+          ? finding.Inline_Ignore.trim()
+          : null;
+      let Suppressed = null;
+      if (inlineJustification) {
+        Suppressed = { by: "inline", justification: inlineJustification };
+      } else if (entry) {
+        Suppressed = { by: "config", justification: entry.justification };
+      } else if (baseline.has(Fingerprint)) {
+        Suppressed = { by: "baseline", justification: BASELINE_JUSTIFICATION };
+      }
+      if (Suppressed) {
+        if (finding.Status === "needs review") counts.review += 1;
+        else counts.fail += 1;
+      }
+      // An empty attribute was most likely meant to suppress the finding
+      const Reason_For_Failing =
+        inlineJustification === ""
+          ? [finding.Reason_For_Failing, MISSING_JUSTIFICATION]
+              .filter(Boolean)
+              .join(" ")
+          : finding.Reason_For_Failing;
+      return { ...finding, Reason_For_Failing, Fingerprint, Suppressed };
+    });
+
+    totalSuppressed += counts.fail + counts.review;
+    return {
+      ...page,
+      totalFailed: page.totalFailed - counts.fail,
+      totalNeedsReview: page.totalNeedsReview - counts.review,
+      totalSuppressed: counts.fail + counts.review,
+      findings,
+    };
+  });
+
+  return {
+    ...result,
+    summary: {
+      ...summary,
+      totalFailed: pages.reduce((sum, p) => sum + p.totalFailed, 0),
+      totalNeedsReview: pages.reduce((sum, p) => sum + p.totalNeedsReview, 0),
+      totalSuppressed,
+    },
+    pages,
+  };
+}
+
+module.exports = {
+  IGNORE_ATTRIBUTE,
+  getFingerprint,
+  loadBaseline,
+  saveBaseline,
+  applySuppressions,
+};
@@ -0,0 +1,151 @@
+/**
+ * @module textEdits
+ * @description Applies edits located by line and column to the text of a file, and renders them as a
+ * unified diff that `git apply` and `patch` accept. Positions are 1-based, end columns exclusive,
+ * as reported by the CSS and HTML parsers.
+ */
+
+const CONTEXT_LINES = 2;
+
+/**
+ * Splits a file into lines, without the empty line after a final newline.
+ * @param {string} content - Text of the file.
+ * @returns {string[]} - The lines.
+ */
+function splitLines(content) {
+  return content.replace(/\r?\n$/, "").split(/\r?\n/);
+}
+
+/**
+ * Reads the text of a region of a file.
+ * @param {string} content - Text of the file.
+ * @param {Object} region - `{ startLine, startColumn, endLine, endColumn }`.
+ * @returns {string} - The text of the region, with "\n" line breaks.
+ */
+function getRegionText(
+  content,
+  { startLine, startColumn, endLine, endColumn }
+) {
+  const lines = splitLines(content).slice(startLine - 1, endLine);
+  lines[lines.length - 1] = lines[lines.length - 1].slice(0, endColumn - 1);
+  lines[0] = lines[0].slice(startColumn - 1);
+  return lines.join("\n");
+}
+
+/**
+ * Applies edits to lines. Edits must not overlap.
+ * @param {string[]} lines - Lines of the text; the first line of the edits is line `firstLine`.
+ * @param {Array<Object>} edits - `{ startLine, startColumn, endLine, endColumn, text }` each.
+ * @param {number} [firstLine=1] - Number of the first of the lines.
+ * @returns {string[]} - The edited lines.
+ */
+function editLines(lines, edits, firstLine = 1) {
+  const offsets = [];
+  lines.reduce((offset, line, index) => {
+    offsets[index] = offset;
+    return offset + line.length + 1;
+  }, 0);
+  const toOffset = (line, column) => offsets[line - firstLine] + column - 1;
+  const text = [...edits]
+    .sort(
+      (a, b) =>
+        toOffset(b.startLine, b.startColumn) -
+        toOffset(a.startLine, a.startColumn)
+    )
+    .reduce(
+      (current, edit) =>
+        current.slice(0, toOffset(edit.startLine, edit.startColumn)) +
+        edit.text +
+        current.slice(toOffset(edit.endLine, edit.endColumn)),
+      lines.join("\n")
+    );
+  return text.split("\n");
+}
+
+/**
+ * Applies edits to the text of a file, keeping its line endings.
+ * @param {string} content - Text of the file.
+ * @param {Array<Object>} edits - `{ startLine, startColumn, endLine, endColumn, text }` each, not overlapping.
+ * @returns {string} - The edited text.
+ */
+function applyEdits(content, edits) {
+  const newline = /\r\n/.test(content) ? "\r\n" : "\n";
+  const finalNewline = /\r?\n$/.test(content) ? newline : "";
+  const edited = editLines(splitLines(content), edits).join(newline);
+  return `${edited}${finalNewline}`;
+}
+
+/**
+ * Renders edits of a file as a unified diff, with nearby edits in the same hunk.
+ * @param {string} name - Name of the file in the diff header, relative to the package.
+ * @param {string} content - Text of the file before the edits.
+ * @param {Array<Object>} edits - `{ startLine, startColumn, endLine, endColumn, text }` each, not overlapping.
+ * @returns {string} - The diff, empty without edits.
+ */
+function renderDiff(name, content, edits) {
+  if (!edits.length) return "";
+  const lines = splitLines(content);
+
+  // Edits touching the same lines are changed together
+  const changes = [];
+  [...edits]
+    .sort((a, b) => a.startLine - b.startLine || a.startColumn - b.startColumn)
+    .forEach((edit) => {
+      const last = changes[changes.length - 1];
+      if (last && edit.startLine <= last.endLine) {
+        last.endLine = Math.max(last.endLine, edit.endLine);
+        last.edits.push(edit);
+      } else {
+        changes.push({
+          startLine: edit.startLine,
+          endLine: edit.endLine,
+          edits: [edit],
+        });
+      }
+    });
+
+  // Changes whose context lines meet share a hunk
+  const hunks = [];
+  changes.forEach((change) => {
+    const last = hunks[hunks.length - 1];
+    if (last && change.startLine - last.endLine <= 2 * CONTEXT_LINES + 1) {
+      last.endLine = change.endLine;
+      last.changes.push(change);
+    } else {
+      hunks.push({ ...change, changes: [change] });
+    }
+  });
+
+  let shift = 0;
+  const output = [`--- a/${name}`, `+++ b/${name}`];
+  hunks.forEach((hunk) => {
+    const first = Math.max(hunk.startLine - CONTEXT_LINES, 1);
+    const last = Math.min(hunk.endLine + CONTEXT_LINES, lines.length);
+    const body = [];
+    let line = first;
+    let added = 0;
+    let removed = 0;
+    hunk.changes.forEach((change) => {
+      for (; line < change.startLine; line++) body.push(` ${lines[line - 1]}`);
+      const oldLines = lines.slice(change.startLine - 1, change.endLine);
+      const newLines = editLines(oldLines, change.edits, change.startLine);
+      body.push(...oldLines.map((text) => `-${text}`));
+      body.push(...newLines.map((text) => `+${text}`));
+      removed += oldLines.length;
+      added += newLines.length;
+      line = change.endLine + 1;
+    });
+    for (; line <= last; line++) body.push(` ${lines[line - 1]}`);
+
+    const oldCount = last - first + 1;
+    const newCount = oldCount - removed + added;
+    output.push(
+      `@@ -${first},${oldCount} +${first + shift},${newCount} @@`,
+      ...body
+    );
+    shift += newCount - oldCount;
+  });
+  return `${output.join("\n")}\n`;
+}
+
+module.exports = { getRegionText, applyEdits, renderDiff };
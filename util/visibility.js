@@ -0,0 +1,66 @@
+/**
+ * @module visibility
+ * @description Reasons a run of text cannot be seen by users, and the policies deciding which of them
+ * make the dynamic checker skip the text instead of checking its contrast.
+ */
+
+/**
+ * Every reason a text run may be hidden, in the order they are tested in the page.
+ *  - `display-none`: the element or an ancestor has `display: none`.
+ *  - `visibility-hidden`: the element has `visibility: hidden` or `collapse`.
+ *  - `transparent`: the element or an ancestor has `opacity: 0`.
+ *  - `zero-size`: the element box is less than one pixel wide or high.
+ *  - `off-page`: the element lies outside the page, like Lectora's off-canvas pages.
+ *  - `clipped`: the element is clipped away by `clip`, `clip-path` or an ancestor's overflow.
+ *  - `aria-hidden`: the element is inside `aria-hidden="true"` decorative content.
+ */
+const HIDDEN_REASONS = [
+  "display-none",
+  "visibility-hidden",
+  "transparent",
+  "zero-size",
+  "off-page",
+  "clipped",
+  "aria-hidden",
+];
+
+/**
+ * Named policies and the hidden reasons each of them skips.
+ *  - `visible` (default): only check text a user can see.
+ *  - `rendered`: also check text that is off the page, clipped or `aria-hidden`.
+ *  - `all`: check every run of text, hidden or not.
+ */
+const VISIBILITY_POLICIES = {
+  visible: HIDDEN_REASONS,
+  rendered: ["display-none", "visibility-hidden", "transparent", "zero-size"],
+  all: [],
+};
+
+/**
+ * Tells whether a value is a valid visibility policy: a policy name or an array of hidden reasons.
+ * @param {string|Array<string>} policy - The policy to validate.
+ * @returns {boolean} - True if the policy can be used.
+ */
+function isVisibilityPolicy(policy) {
+  if (Array.isArray(policy)) {
+    return policy.every((reason) => HIDDEN_REASONS.includes(reason));
+  }
+  return Object.prototype.hasOwnProperty.call(VISIBILITY_POLICIES, policy);
+}
+
+/**
+ * Returns the hidden reasons a policy skips, in the order they are tested.
+ * @param {string|Array<string>} [policy="visible"] - A policy name or an array of hidden reasons.
+ * @returns {Array<string>} - The reasons that skip a text run.
+ */
+function getSkippedReasons(policy = "visible") {
+  const reasons = Array.isArray(policy) ? policy : VISIBILITY_POLICIES[policy];
+  return HIDDEN_REASONS.filter((reason) => reasons.includes(reason));
+}
+
+module.exports = {
+  HIDDEN_REASONS,
+  VISIBILITY_POLICIES,
+  isVisibilityPolicy,
+  getSkippedReasons,
+};